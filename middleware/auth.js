@@ -0,0 +1,84 @@
+import User from '../models/User.js';
+import { verifyToken, TokenVerificationError } from '../utils/clerkJwt.js';
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Verifies the token and attaches req.auth and req.user (null if not in MongoDB yet)
+const authenticate = async (req, token) => {
+  const claims = await verifyToken(token);
+
+  req.auth = {
+    userId: claims.sub,
+    sessionId: claims.sid || null,
+    claims
+  };
+  req.user = await User.findOne({ clerkUserId: claims.sub });
+};
+
+const sendAuthError = (res, error) => {
+  if (error instanceof TokenVerificationError) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired session token',
+      reason: error.reason
+    });
+  }
+
+  console.error('Authentication error:', error);
+  return res.status(500).json({
+    success: false,
+    message: 'Error verifying session',
+    error: error.message
+  });
+};
+
+// Rejects requests without a valid Clerk session token
+export const requireAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  try {
+    await authenticate(req, token);
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+// Attaches req.auth/req.user when a token is sent, but lets anonymous requests through
+export const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  req.auth = null;
+  req.user = null;
+
+  if (!token) return next();
+
+  try {
+    await authenticate(req, token);
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+// For routes that need the MongoDB user document, not just a verified Clerk identity
+export const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+  next();
+};
@@ -0,0 +1,35 @@
+// Fixed-window request limits per client: the signed-in user, else the IP.
+// Counts are kept in memory, so they are per server instance and reset on
+// restart - enough to stop a single client flooding an endpoint.
+export const rateLimit = ({ windowMs, max, message = 'Too many requests, please try again later' }) => {
+  const windows = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = req.auth?.userId || req.ip;
+
+    // Forget finished windows once in a while so the map doesn't keep growing
+    if (windows.size > 10000) {
+      windows.forEach((window, windowKey) => {
+        if (window.resetAt <= now) windows.delete(windowKey);
+      });
+    }
+
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+
+    if (window.count > max) {
+      res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message
+      });
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+
+// Clerk delivers webhooks through Svix. Each request is signed over
+// "<svix-id>.<svix-timestamp>.<raw body>" with HMAC-SHA256, using the base64 part
+// of the whsec_ secret as the key. svix-signature carries one or more
+// space-separated "v1,<base64 signature>" entries (several during secret rotation).
+
+const TOLERANCE_SECONDS = parseInt(process.env.CLERK_WEBHOOK_TOLERANCE_SECONDS, 10) || 5 * 60;
+
+const getSecretKey = (secret) => {
+  const encoded = secret.startsWith('whsec_') ? secret.slice('whsec_'.length) : secret;
+  return Buffer.from(encoded, 'base64');
+};
+
+const signaturesMatch = (expected, received) => {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+export const computeSignature = (secret, svixId, timestamp, rawBody) =>
+  crypto
+    .createHmac('sha256', getSecretKey(secret))
+    .update(`${svixId}.${timestamp}.${rawBody}`)
+    .digest('base64');
+
+const reject = (res, message) =>
+  res.status(400).json({
+    success: false,
+    message
+  });
+
+const verifyClerkWebhook = (req, res, next) => {
+  const secret = process.env.CLERK_WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error('❌ CLERK_WEBHOOK_SECRET is not configured - rejecting webhook');
+    return res.status(500).json({
+      success: false,
+      message: 'Webhook verification is not configured'
+    });
+  }
+
+  const svixId = req.get('svix-id');
+  const svixTimestamp = req.get('svix-timestamp');
+  const svixSignature = req.get('svix-signature');
+
+  if (!svixId || !svixTimestamp || !svixSignature) {
+    return reject(res, 'Missing Svix headers');
+  }
+
+  if (!req.rawBody) {
+    return reject(res, 'Missing request body');
+  }
+
+  const timestamp = parseInt(svixTimestamp, 10);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (Number.isNaN(timestamp) || Math.abs(now - timestamp) > TOLERANCE_SECONDS) {
+    return reject(res, 'Webhook timestamp is too old or too new');
+  }
+
+  const expected = computeSignature(secret, svixId, svixTimestamp, req.rawBody.toString('utf8'));
+  const isValid = svixSignature
+    .split(' ')
+    .map(entry => entry.split(','))
+    .some(([version, signature]) => version === 'v1' && signature && signaturesMatch(expected, signature));
+
+  if (!isValid) {
+    return reject(res, 'Invalid webhook signature');
+  }
+
+  req.webhook = {
+    id: svixId,
+    timestamp: new Date(timestamp * 1000)
+  };
+  next();
+};
+
+export default verifyClerkWebhook;
@@ -0,0 +1,310 @@
+import mongoose from 'mongoose';
+import { assertTransition } from '../utils/pipeline.js';
+
+// One entry per status change. Entries are immutable once written - the history is append-only.
+const statusChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null,
+    immutable: true
+  },
+  to: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  actorId: {
+    type: String, // Clerk user ID, or null for system changes
+    default: null,
+    immutable: true
+  },
+  actorRole: {
+    type: String,
+    enum: ['candidate', 'employer', 'admin', 'system'],
+    required: true,
+    immutable: true
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    immutable: true
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, { _id: false });
+
+// Private notes from the hiring team - separate from the candidate's own `notes`
+const teamNoteSchema = new mongoose.Schema({
+  authorId: {
+    type: String, // Clerk user ID
+    required: true
+  },
+  authorName: {
+    type: String
+  },
+  text: {
+    type: String,
+    required: [true, 'Note text is required'],
+    trim: true,
+    maxlength: [2000, 'Note cannot exceed 2000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export const MAX_TAGS = 20;
+
+const applicationSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  clerkUserId: {
+    type: String,
+    required: [true, 'Clerk User ID is required']
+  },
+  // Copied from Job.employerId so employer views don't need a join
+  employerId: {
+    type: String,
+    required: [true, 'Employer ID is required']
+  },
+  // A pipeline stage key (see utils/pipeline.js) - jobs can define custom stages,
+  // so allowed values are checked by transitionTo rather than a schema enum
+  status: {
+    type: String,
+    default: 'applied'
+  },
+  statusChangedAt: {
+    type: Date,
+    default: Date.now
+  },
+  history: [statusChangeSchema],
+  coverLetter: {
+    type: String,
+    maxlength: [1000, 'Cover letter cannot exceed 1000 characters']
+  },
+  resumeUrl: {
+    type: String
+  },
+  // Set when the resume was uploaded here (POST /api/uploads/resume)
+  resumeUpload: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Upload'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Employer review fields. select: false keeps them out of every query unless
+  // asked for, so candidate-facing endpoints can't leak them by accident.
+  rating: {
+    type: Number,
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    },
+    select: false
+  },
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, 'Tags cannot exceed 30 characters']
+    }],
+    validate: {
+      validator: (tags) => tags.length <= MAX_TAGS,
+      message: `An application can have at most ${MAX_TAGS} tags`
+    },
+    select: false
+  },
+  teamNotes: {
+    type: [teamNoteSchema],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+applicationSchema.index({ jobId: 1, userId: 1 }, { unique: true });
+applicationSchema.index({ jobId: 1, status: 1, appliedAt: -1 });
+applicationSchema.index({ userId: 1, appliedAt: -1 });
+applicationSchema.index({ employerId: 1, status: 1 });
+applicationSchema.index({ resumeUpload: 1 }, { sparse: true });
+applicationSchema.index({ jobId: 1, tags: 1 });
+applicationSchema.index({ jobId: 1, rating: -1 });
+
+// Review fields for employer queries: .select(Application.REVIEW_FIELDS)
+applicationSchema.statics.REVIEW_FIELDS = '+rating +tags +teamNotes';
+
+applicationSchema.virtual('user', {
+  ref: 'User',
+  localField: 'userId',
+  foreignField: '_id',
+  justOne: true
+});
+
+applicationSchema.set('toJSON', { virtuals: true });
+
+// Creates the application and bumps the job's counter. Returns null when the user
+// has already applied, so every apply endpoint behaves the same way. A withdrawn
+// or rejected application is reopened instead when the job's reapplyPolicy allows.
+applicationSchema.statics.submit = async function (user, job, { coverLetter, resumeUrl, resumeUpload, notes } = {}) {
+  const details = {
+    coverLetter: coverLetter || '',
+    resumeUrl: resumeUpload?.path || resumeUrl || '',
+    resumeUpload: resumeUpload?._id,
+    notes: notes || '',
+    appliedAt: new Date()
+  };
+  let application;
+
+  try {
+    application = await this.create({
+      jobId: job._id,
+      userId: user._id,
+      clerkUserId: user.clerkUserId,
+      employerId: job.employerId,
+      ...details,
+      status: 'applied',
+      history: [{
+        from: null,
+        to: 'applied',
+        actorId: user.clerkUserId,
+        actorRole: 'candidate'
+      }]
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const previous = await this.findOne({ jobId: job._id, userId: user._id });
+    if (!previous || !job.allowsReapplication(previous)) return null;
+
+    // Conditional on the status the policy was checked against, so only one of
+    // two concurrent re-applies reopens it
+    const { resumeUpload: upload, ...fields } = details;
+    application = await this.findOneAndUpdate(
+      { _id: previous._id, status: previous.status },
+      {
+        $set: { ...fields, ...(upload && { resumeUpload: upload }), status: 'applied', statusChangedAt: new Date() },
+        ...(!upload && { $unset: { resumeUpload: '' } }),
+        $push: {
+          history: {
+            from: previous.status,
+            to: 'applied',
+            actorId: user.clerkUserId,
+            actorRole: 'candidate',
+            reason: 'Re-applied'
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!application) return null;
+
+    // Only withdrawal takes an application out of the job's count
+    if (previous.status !== 'withdrawn') return application;
+  }
+
+  await mongoose.model('Job').findByIdAndUpdate(job._id, {
+    $inc: { applicationCount: 1 }
+  });
+
+  return application;
+};
+
+// Candidate withdrawal: records the transition (conditionally, see commitTransition)
+// and takes the application out of the job's count. Returns the withdrawn
+// application, or null when a concurrent change got there first - then nothing
+// is written and the count is left alone. Throws TransitionError if it is closed.
+applicationSchema.methods.withdraw = async function (job, { reason } = {}) {
+  const withdrawn = await this.commitTransition(job, 'withdrawn', {
+    actorId: this.clerkUserId,
+    actorRole: 'candidate',
+    reason
+  });
+  if (!withdrawn) return null;
+
+  await mongoose.model('Job').updateOne(
+    { _id: this.jobId, applicationCount: { $gt: 0 } },
+    { $inc: { applicationCount: -1 } }
+  );
+
+  return withdrawn;
+};
+
+// Updates the employer's rating and tags. `rating: null` clears it; `tags`
+// replaces the list while addTags/removeTags edit it. The caller saves.
+applicationSchema.methods.review = function ({ rating, tags, addTags = [], removeTags = [] } = {}) {
+  if (rating !== undefined) this.rating = rating === null ? undefined : rating;
+
+  const normalize = (tag) => String(tag).trim().toLowerCase();
+  let next = tags !== undefined ? tags.map(normalize) : (this.tags || []).map(normalize);
+  const removed = new Set(removeTags.map(normalize));
+
+  next = next.filter(tag => tag && !removed.has(tag));
+  addTags.map(normalize).forEach(tag => {
+    if (tag && !next.includes(tag)) next.push(tag);
+  });
+
+  if (tags !== undefined || addTags.length > 0 || removeTags.length > 0) {
+    this.tags = [...new Set(next)];
+  }
+  return this;
+};
+
+// Moves the application through the job's pipeline, recording who did it and why.
+// Throws TransitionError when the move is not allowed; the caller saves.
+applicationSchema.methods.transitionTo = function (job, status, { actorId = null, actorRole, reason } = {}) {
+  assertTransition(job, this.status, status, actorRole);
+
+  this.history.push({
+    from: this.status,
+    to: status,
+    actorId,
+    actorRole,
+    reason
+  });
+  this.status = status;
+  this.statusChangedAt = new Date();
+
+  return this;
+};
+
+// transitionTo written as one conditional update: it only applies while the status
+// is still the one the move was checked against, so two concurrent changes can't
+// both append history from the same `from`. Returns the updated application, or
+// null when someone else changed the status first.
+applicationSchema.methods.commitTransition = async function (job, status, { actorId = null, actorRole, reason } = {}) {
+  assertTransition(job, this.status, status, actorRole);
+
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status },
+    {
+      $set: { status, statusChangedAt: new Date() },
+      $push: { history: { from: this.status, to: status, actorId, actorRole, reason } }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+const Application = mongoose.model('Application', applicationSchema);
+
+export default Application;
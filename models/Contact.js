@@ -57,7 +57,8 @@ const contactSchema = new mongoose.Schema({
   attachments: [{
     filename: String,
     url: String,
-    uploadedAt: Date
+    uploadedAt: Date,
+    uploadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Upload' }
   }]
 }, {
   timestamps: true
@@ -1,4 +1,47 @@
 import mongoose from 'mongoose';
+import geoPointPlugin from './plugins/geoPoint.js';
+import { VERIFICATION_STATUSES } from '../utils/employerVerification.js';
+
+// Domain-ownership proof and admin review (see utils/employerVerification.js)
+const verificationSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: VERIFICATION_STATUSES,
+    default: 'unverified'
+  },
+  // Address on the website domain the code was sent to
+  email: String,
+  domain: String,
+  // Message from the employer to the reviewers
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  codeHash: String,
+  codeSentAt: Date,
+  codeExpiresAt: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Codes sent since codesWindowStartedAt - capped per day across requests
+  codesSent: {
+    type: Number,
+    default: 0
+  },
+  codesWindowStartedAt: Date,
+  requestedAt: Date,
+  emailVerifiedAt: Date,
+  reviewedAt: Date,
+  reviewedBy: String, // Clerk user ID of the admin
+  // Shown to the employer when rejected
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  }
+}, { _id: false });
 
 const employerSchema = new mongoose.Schema({
   companyName: {
@@ -16,6 +59,15 @@ const employerSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Public URL of the uploaded logo (POST /api/uploads/logo)
+  logoUrl: {
+    type: String,
+    trim: true
+  },
+  logoUpload: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Upload'
+  },
   industry: {
     type: String,
     required: [true, 'Industry is required']
@@ -40,10 +92,21 @@ const employerSchema = new mongoose.Schema({
     required: [true, 'User ID is required'],
     unique: true
   },
+  // Linked Clerk organization - membership events put its members on this employer
+  clerkOrganizationId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Set only by an admin review - shown as the verified badge
   isVerified: {
     type: Boolean,
     default: false
   },
+  verification: {
+    type: verificationSchema,
+    default: () => ({})
+  },
   jobCount: {
     type: Number,
     default: 0
@@ -53,6 +116,39 @@ const employerSchema = new mongoose.Schema({
 });
 
 employerSchema.index({ companyName: 'text', industry: 1 });
+employerSchema.index({ 'verification.status': 1, 'verification.emailVerifiedAt': 1 });
+
+employerSchema.virtual('badge').get(function () {
+  if (!this.isVerified) return null;
+  return {
+    label: 'Verified employer',
+    domain: this.verification?.domain || null,
+    verifiedAt: this.verification?.reviewedAt || null
+  };
+});
+
+// Verification details are only for the employer and admins
+// (GET /api/employers/:id/verification)
+employerSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.verification;
+    return ret;
+  }
+});
+
+// What the employer and admins see of a verification request
+employerSchema.methods.verificationSummary = function () {
+  const { codeHash, codeExpiresAt, attempts, codesSent, codesWindowStartedAt, ...summary } = this.verification?.toObject() || {};
+  return {
+    ...summary,
+    codeExpiresAt: this.verification?.status === 'pending_email' ? codeExpiresAt : undefined,
+    isVerified: this.isVerified
+  };
+};
+
+// GeoJSON point geocoded from `location`
+employerSchema.plugin(geoPointPlugin);
 
 const Employer = mongoose.model('Employer', employerSchema);
 
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { TEAM_ROLES } from './User.js';
+
+const INVITATION_TTL_DAYS = 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// An emailed invitation to join an employer's team. Only a hash of the accept
+// token is stored; the token itself is in the invitation link.
+const employerInvitationSchema = new mongoose.Schema({
+  employerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employer',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: TEAM_ROLES,
+      message: `Role must be one of: ${TEAM_ROLES.join(', ')}`
+    },
+    required: [true, 'Role is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: String, // Clerk user ID
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+  },
+  acceptedBy: {
+    type: String // Clerk user ID
+  },
+  acceptedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+employerInvitationSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+employerInvitationSchema.index({ employerId: 1, status: 1 });
+employerInvitationSchema.index({ employerId: 1, email: 1, status: 1 });
+
+// New pending invitation plus the plain token for the email link. The caller saves.
+employerInvitationSchema.statics.build = function (fields) {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { invitation: new this({ ...fields, tokenHash: hashToken(token) }), token };
+};
+
+employerInvitationSchema.statics.findByToken = function (token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+employerInvitationSchema.methods.isUsable = function (now = new Date()) {
+  return this.status === 'pending' && this.expiresAt > now;
+};
+
+const EmployerInvitation = mongoose.model('EmployerInvitation', employerInvitationSchema);
+
+export default EmployerInvitation;
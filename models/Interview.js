@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+
+export const INTERVIEW_STATUSES = ['proposed', 'confirmed', 'cancelled'];
+export const LOCATION_TYPES = ['video', 'phone', 'onsite'];
+export const MAX_SLOTS = 10;
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const slotSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: [true, 'Slot start is required']
+  },
+  end: {
+    type: Date,
+    required: [true, 'Slot end is required']
+  }
+});
+
+const interviewerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Interviewer name cannot be more than 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Interviewer email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid interviewer email']
+  }
+}, { _id: false });
+
+const interviewSchema = new mongoose.Schema({
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  // Clerk user IDs, copied from the application for access checks
+  employerId: {
+    type: String,
+    required: true
+  },
+  candidateId: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Title cannot be more than 150 characters']
+  },
+  durationMinutes: {
+    type: Number,
+    min: [15, 'Interviews must be at least 15 minutes'],
+    max: [480, 'Interviews cannot be longer than 8 hours'],
+    default: 60
+  },
+  // IANA zone the times are shown in to the candidate ("America/Chicago")
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isTimeZone,
+      message: 'Timezone must be an IANA time zone such as America/New_York'
+    }
+  },
+  locationType: {
+    type: String,
+    enum: LOCATION_TYPES,
+    default: 'video'
+  },
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Location cannot be more than 300 characters']
+  },
+  videoLink: {
+    type: String,
+    trim: true,
+    match: [/^https?:\/\/\S+$/, 'Video link must be an http(s) URL']
+  },
+  interviewers: [interviewerSchema],
+  // Times offered by the employer; the candidate books one of them
+  slots: {
+    type: [slotSchema],
+    validate: {
+      validator: (slots) => slots.length > 0 && slots.length <= MAX_SLOTS,
+      message: `Offer between 1 and ${MAX_SLOTS} time slots`
+    }
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Instructions cannot be more than 2000 characters']
+  },
+  status: {
+    type: String,
+    enum: INTERVIEW_STATUSES,
+    default: 'proposed'
+  },
+  scheduledStart: Date,
+  scheduledEnd: Date,
+  confirmedAt: Date,
+  cancelledAt: Date,
+  cancelReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  // Bumped on every change so calendar apps update the existing event
+  sequence: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+interviewSchema.index({ applicationId: 1, createdAt: -1 });
+interviewSchema.index({ status: 1, candidateId: 1, scheduledStart: 1 });
+interviewSchema.index({ status: 1, 'interviewers.email': 1, scheduledStart: 1 });
+
+interviewSchema.pre('validate', function (next) {
+  (this.slots || []).forEach((slot, index) => {
+    if (slot.start && slot.end && slot.end <= slot.start) {
+      this.invalidate(`slots.${index}.end`, 'Slot end must be after its start');
+    }
+  });
+  if (this.locationType === 'video' && !this.videoLink) {
+    this.invalidate('videoLink', 'Video interviews need a video link');
+  }
+  if (this.locationType === 'onsite' && !this.location) {
+    this.invalidate('location', 'On-site interviews need a location');
+  }
+  next();
+});
+
+// Confirmed interviews overlapping [start, end) for the candidate or any of the
+// interviewers - the basis for double-booking checks
+interviewSchema.statics.findConflicts = function ({ start, end, candidateId, interviewerEmails = [], excludeId }) {
+  const people = [];
+  if (candidateId) people.push({ candidateId });
+  if (interviewerEmails.length > 0) people.push({ 'interviewers.email': { $in: interviewerEmails } });
+
+  if (people.length === 0) return Promise.resolve([]);
+
+  return this.find({
+    _id: { $ne: excludeId },
+    status: 'confirmed',
+    scheduledStart: { $lt: end },
+    scheduledEnd: { $gt: start },
+    $or: people
+  }).select('candidateId interviewers scheduledStart scheduledEnd');
+};
+
+const Interview = mongoose.model('Interview', interviewSchema);
+
+export default Interview;
@@ -1,4 +1,19 @@
 import mongoose from 'mongoose';
+import { parseSalary, toSalaryFields, formatSalary, SALARY_PERIODS } from '../utils/salary.js';
+import geoPointPlugin from './plugins/geoPoint.js';
+
+export const JOB_STATUSES = ['draft', 'scheduled', 'published', 'paused', 'closed', 'expired'];
+
+// Status changes an employer can make directly; scheduled → published and
+// published → expired are done by the scheduler (utils/jobScheduler.js)
+const STATUS_TRANSITIONS = {
+  draft: ['scheduled', 'published', 'closed'],
+  scheduled: ['draft', 'published', 'closed'],
+  published: ['paused', 'closed'],
+  paused: ['published', 'closed'],
+  closed: [],
+  expired: []
+};
 
 const jobSchema = new mongoose.Schema({
   title: {
@@ -32,6 +47,28 @@ const jobSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Salary information is required']
   },
+  // Structured salary, parsed from `salary` unless given explicitly (utils/salary.js)
+  salaryMin: {
+    type: Number,
+    min: [0, 'Minimum salary cannot be negative']
+  },
+  salaryMax: {
+    type: Number,
+    min: [0, 'Maximum salary cannot be negative']
+  },
+  salaryCurrency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code']
+  },
+  salaryPeriod: {
+    type: String,
+    enum: SALARY_PERIODS
+  },
+  // Annualized in the job's own currency, used for salary filters
+  salaryAnnualMin: Number,
+  salaryAnnualMax: Number,
   description: {
     type: String,
     required: [true, 'Job description is required']
@@ -59,14 +96,142 @@ const jobSchema = new mongoose.Schema({
   applicationCount: {
     type: Number,
     default: 0
+  },
+  // Employer-defined hiring stages, inserted after one of the default stages (utils/pipeline.js)
+  pipelineStages: [{
+    _id: false,
+    key: { type: String, required: true, trim: true },
+    label: { type: String, required: true, trim: true, maxlength: [50, 'Stage label cannot be more than 50 characters'] },
+    after: { type: String, required: true }
+  }],
+  // Team recruiters who manage this job (see routes/teams.js); owners manage every job
+  assignedRecruiters: [{
+    type: String // Clerk user ID
+  }],
+  // Whether a candidate whose application was withdrawn or rejected may apply again
+  reapplyPolicy: {
+    afterWithdrawal: { type: Boolean, default: true },
+    afterRejection: { type: Boolean, default: false },
+    cooldownDays: {
+      type: Number,
+      default: 0,
+      min: [0, 'Cooldown cannot be negative'],
+      max: [365, 'Cooldown cannot be more than 365 days']
+    }
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'published'
+  },
+  publishAt: {
+    type: Date
+  },
+  publishedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
   }
 }, {
   timestamps: true
 });
 
+// GeoJSON point geocoded from `location`, for radius search
+jobSchema.plugin(geoPointPlugin);
+
 // Create index for better search performance
 jobSchema.index({ title: 'text', description: 'text', company: 'text' });
 jobSchema.index({ type: 1, category: 1, isRemote: 1, isFeatured: 1 });
+jobSchema.index({ salaryCurrency: 1, salaryAnnualMax: 1, salaryAnnualMin: 1 });
+jobSchema.index({ status: 1, createdAt: -1 });
+jobSchema.index({ status: 1, publishAt: 1 });
+jobSchema.index({ status: 1, expiresAt: 1 });
+jobSchema.index({ assignedRecruiters: 1 });
+
+// Only published jobs appear in public listings, search and category pages
+jobSchema.statics.publicFilter = function (filter = {}) {
+  return { ...filter, status: 'published' };
+};
+
+jobSchema.methods.canTransitionTo = function (status) {
+  return STATUS_TRANSITIONS[this.status]?.includes(status) ?? false;
+};
+
+jobSchema.methods.isAcceptingApplications = function () {
+  return this.status === 'published';
+};
+
+// Whether the candidate behind a closed-out application may apply again now
+jobSchema.methods.allowsReapplication = function (application, now = new Date()) {
+  const { afterWithdrawal = true, afterRejection = false, cooldownDays = 0 } = this.reapplyPolicy || {};
+  const allowed = (application.status === 'withdrawn' && afterWithdrawal) ||
+    (application.status === 'rejected' && afterRejection);
+
+  return allowed && now - application.statusChangedAt >= cooldownDays * 24 * 60 * 60 * 1000;
+};
+
+// Lifecycle bookkeeping: future publish dates schedule the job, and the first
+// publish and closing stamp the matching date (reposting resets publishedAt itself)
+jobSchema.pre('validate', function (next) {
+  const now = new Date();
+
+  if (this.expiresAt && this.publishAt && this.expiresAt <= this.publishAt) {
+    this.invalidate('expiresAt', 'Expiry date must be after the publish date');
+  }
+
+  if (this.status === 'published' && this.publishAt && this.publishAt > now) {
+    this.status = 'scheduled';
+  }
+  if (this.status === 'scheduled' && !this.publishAt) {
+    this.invalidate('publishAt', 'Scheduled jobs need a publish date');
+  }
+  if (this.isNew || this.isModified('status')) {
+    if (this.status === 'published' && !this.publishedAt) this.publishedAt = now;
+    if (this.status === 'closed') this.closedAt = now;
+  }
+
+  next();
+});
+
+// Keep the structured salary fields in step with the free-text salary
+jobSchema.pre('validate', function (next) {
+  const structuredChanged = this.isModified('salaryMin') || this.isModified('salaryMax') ||
+    this.isModified('salaryCurrency') || this.isModified('salaryPeriod');
+
+  if (structuredChanged && this.salaryMin != null) {
+    const structured = {
+      min: this.salaryMin,
+      max: this.salaryMax ?? this.salaryMin,
+      currency: this.salaryCurrency || 'USD',
+      period: this.salaryPeriod || 'year'
+    };
+
+    if (structured.max < structured.min) {
+      this.invalidate('salaryMax', 'Maximum salary cannot be less than minimum salary');
+      return next();
+    }
+    if (!this.salary || !this.isModified('salary')) {
+      this.salary = formatSalary(structured);
+    }
+    this.set(toSalaryFields(structured));
+  } else if (this.isModified('salary')) {
+    const parsed = parseSalary(this.salary);
+    this.set(parsed ? toSalaryFields(parsed) : {
+      salaryMin: undefined,
+      salaryMax: undefined,
+      salaryCurrency: undefined,
+      salaryPeriod: undefined,
+      salaryAnnualMin: undefined,
+      salaryAnnualMax: undefined
+    });
+  }
+
+  next();
+});
 
 // Virtual for formatted date
 jobSchema.virtual('postedDate').get(function() {
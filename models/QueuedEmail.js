@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// Outgoing emails waiting for utils/emailQueue.js. Queuing inside a transaction
+// means the email only goes out if the change it announces was committed.
+const queuedEmailSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    lowercase: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+  html: String,
+  text: String,
+  // Extra nodemailer options (headers, icalEvent, attachments, ...)
+  options: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // What the email is about, for debugging and deduplication
+  category: {
+    type: String,
+    default: 'general'
+  },
+  relatedId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  status: {
+    type: String,
+    // skipped: not sent because mail only goes out in production (see utils/mailer.js)
+    // held: addressed to a placeholder user, released when User.syncFromClerk merges them
+    enum: ['pending', 'held', 'sending', 'sent', 'skipped', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  sendAfter: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  lockedAt: Date,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+queuedEmailSchema.index({ status: 1, sendAfter: 1 });
+queuedEmailSchema.index({ relatedId: 1, category: 1 });
+// Sent emails are only kept for a month
+queuedEmailSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const QueuedEmail = mongoose.model('QueuedEmail', queuedEmailSchema);
+
+export default QueuedEmail;
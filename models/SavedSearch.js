@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  // Same parameters as GET /api/jobs, plus an optional text query
+  criteria: {
+    q: { type: String, trim: true, maxlength: [200, 'Query cannot be more than 200 characters'] },
+    type: { type: String },
+    category: String,
+    location: String,
+    remote: { type: String, enum: ['true', 'false'] },
+    featured: { type: String, enum: ['true', 'false'] },
+    minSalary: Number,
+    maxSalary: Number,
+    currency: String
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    default: 'daily'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Jobs published after this are new for the next digest
+  lastRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSentAt: {
+    type: Date
+  },
+  unsubscribeToken: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  }
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1, frequency: 1, lastRunAt: 1 });
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+export default SavedSearch;
@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+export const UPLOAD_KINDS = ['resume', 'logo', 'contact_attachment'];
+
+// Contact attachments not sent with an inquiry within this long can no longer be
+// claimed, and are deleted (utils/uploadCleanup.js)
+export const ATTACHMENT_CLAIM_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const uploadSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: UPLOAD_KINDS,
+    required: [true, 'Upload kind is required']
+  },
+  // Where the active storage driver keeps the bytes (see utils/storage)
+  storageKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Clerk user ID of the uploader, null for anonymous contact attachments
+  uploadedBy: {
+    type: String,
+    default: null,
+    index: true
+  },
+  employerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employer'
+  },
+  contactId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contact'
+  }
+}, {
+  timestamps: true
+});
+
+uploadSchema.index({ kind: 1, createdAt: 1 });
+
+// Stable API path; resumes and attachments hand out signed download URLs from here
+uploadSchema.virtual('path').get(function () {
+  return `/api/uploads/${this._id}`;
+});
+
+uploadSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.storageKey;
+    return ret;
+  }
+});
+
+// A resume the given Clerk user uploaded themselves, or null
+uploadSchema.statics.findOwnedResume = function (id, clerkUserId) {
+  return this.findOne({ _id: id, kind: 'resume', uploadedBy: clerkUserId });
+};
+
+// Contact attachments among `ids` that are still waiting for their inquiry
+uploadSchema.statics.findClaimable = function (ids, now = new Date()) {
+  return this.find({
+    _id: { $in: ids },
+    kind: 'contact_attachment',
+    contactId: { $exists: false },
+    createdAt: { $gt: new Date(now.getTime() - ATTACHMENT_CLAIM_WINDOW_MS) }
+  });
+};
+
+// A user's personal files: their own uploads plus attachments on their contact
+// inquiries (those can be anonymous). Company logos belong to the employer.
+uploadSchema.statics.findPersonal = function (clerkUserId, contactIds = []) {
+  return this.find({
+    kind: { $ne: 'logo' },
+    $or: [
+      { uploadedBy: clerkUserId },
+      { contactId: { $in: contactIds } }
+    ]
+  });
+};
+
+const Upload = mongoose.model('Upload', uploadSchema);
+
+export default Upload;
@@ -1,4 +1,12 @@
 import mongoose from 'mongoose';
+import QueuedEmail from './QueuedEmail.js';
+import { skillKeys } from '../utils/skillMatch.js';
+
+export const TEAM_ROLES = ['owner', 'recruiter', 'viewer'];
+
+// Team role a Clerk organization role gives on the linked employer; other
+// (custom) organization roles can only view
+export const ORGANIZATION_TEAM_ROLES = { 'org:admin': 'owner', 'org:member': 'recruiter' };
 
 const userSchema = new mongoose.Schema({
   clerkUserId: {
@@ -37,6 +45,71 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Created before Clerk told us who this is (see createPlaceholder) - the email
+  // and name are made up and get replaced by syncFromClerk
+  isPlaceholder: {
+    type: Boolean,
+    default: false
+  },
+  // Employer teams this user was invited to (routes/teams.js). The employer's
+  // own account (Employer.userId) is its owner without an entry here.
+  employerMemberships: [{
+    employerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employer',
+      required: true
+    },
+    // Employer.userId - jobs and applications store this as their employerId
+    ownerId: {
+      type: String,
+      required: true
+    },
+    role: {
+      type: String,
+      enum: TEAM_ROLES,
+      required: true
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  // Right to erasure: personal data is anonymized once erasureScheduledFor
+  // passes (utils/erasure.js), unless the request is cancelled before then
+  erasureRequestedAt: {
+    type: Date
+  },
+  erasureScheduledFor: {
+    type: Date
+  },
+  erasedAt: {
+    type: Date
+  },
+  // From Clerk session.created events
+  lastLoginAt: {
+    type: Date
+  },
+  // Clerk organization memberships; organizations map to employers through
+  // Employer.clerkOrganizationId, and members are on that employer's team (teamRole)
+  organizations: [{
+    organizationId: {
+      type: String,
+      required: true
+    },
+    employerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Employer'
+    },
+    // The linked employer's Employer.userId, like employerMemberships.ownerId
+    ownerId: {
+      type: String
+    },
+    role: {
+      type: String
+    },
+    _id: false
+  }],
 
   preferences: {
     jobAlerts: { type: Boolean, default: true },
@@ -72,34 +145,12 @@ const userSchema = new mongoose.Schema({
     githubUrl: String
   },
 
-  // ✅ UPDATED applications block as you instructed
-  applications: [{
-    jobId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'Job',
-      required: true
-    },
-    appliedAt: {
-      type: Date,
-      default: Date.now
-    },
-    status: {
-      type: String,
-      enum: ['applied', 'under_review', 'interview', 'rejected', 'accepted'],
-      default: 'applied'
-    },
-    coverLetter: {
-      type: String,
-      maxlength: [1000, 'Cover letter cannot exceed 1000 characters']
-    },
-    resumeUrl: {
-      type: String
-    },
-    notes: {
-      type: String,
-      maxlength: [500, 'Notes cannot exceed 500 characters']
-    }
-  }],
+  // profile.skills through normalizeSkill (utils/skillMatch.js), kept up to date on
+  // save so aggregations can match skills the same way the app does
+  skillKeys: {
+    type: [String],
+    select: false
+  },
 
   savedJobs: [{
     jobId: {
@@ -109,6 +160,12 @@ const userSchema = new mongoose.Schema({
     savedAt: {
       type: Date,
       default: Date.now
+    },
+    // Private to the user
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note cannot be more than 1000 characters']
     }
   }]
 
@@ -117,6 +174,27 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1, userType: 1 });
 userSchema.index({ 'preferences.preferredCategories': 1 });
 userSchema.index({ 'preferences.preferredLocations': 1 });
+userSchema.index({ 'savedJobs.jobId': 1 });
+userSchema.index({ isPlaceholder: 1 }, { partialFilterExpression: { isPlaceholder: true } });
+userSchema.index({ 'organizations.organizationId': 1 });
+userSchema.index({ 'employerMemberships.employerId': 1 });
+userSchema.index({ erasureScheduledFor: 1 }, { partialFilterExpression: { erasureScheduledFor: { $exists: true } } });
+
+userSchema.pre('validate', function (next) {
+  if (this.isNew || this.isModified('profile.skills')) {
+    this.skillKeys = skillKeys(this.profile?.skills);
+  }
+  next();
+});
+
+// Applications live in their own collection (models/Application.js)
+userSchema.virtual('applications', {
+  ref: 'Application',
+  localField: '_id',
+  foreignField: 'userId'
+});
+
+userSchema.set('toJSON', { virtuals: true });
 
 userSchema.virtual('fullName').get(function () {
   return `${this.firstName} ${this.lastName}`.trim();
@@ -130,27 +208,130 @@ userSchema.methods.isJobSeeker = function () {
   return this.userType === 'job_seeker';
 };
 
-userSchema.statics.findOrCreateFromClerk = async function (clerkUser) {
+// Role on the team of the employer owned by `ownerId` (Employer.userId), or null.
+// Invitations (employerMemberships) and Clerk organizations both put people on a
+// team; someone on it both ways gets the stronger role.
+userSchema.methods.teamRole = function (ownerId) {
+  if (!ownerId) return null;
+  if (ownerId === this.clerkUserId) return 'owner';
+
+  const roles = [
+    ...(this.employerMemberships || [])
+      .filter(membership => membership.ownerId === ownerId)
+      .map(membership => membership.role),
+    ...(this.organizations || [])
+      .filter(organization => organization.ownerId === ownerId)
+      .map(organization => ORGANIZATION_TEAM_ROLES[organization.role] || 'viewer')
+  ];
+  // TEAM_ROLES is ordered strongest first
+  return TEAM_ROLES.find(role => roles.includes(role)) || null;
+};
+
+// Every employerId (as stored on jobs and applications) this user works for
+userSchema.methods.employerIds = function () {
+  return [...new Set([
+    this.clerkUserId,
+    ...(this.employerMemberships || []).map(membership => membership.ownerId),
+    ...(this.organizations || []).map(organization => organization.ownerId).filter(Boolean)
+  ])];
+};
+
+// Stand-in address for users we don't have a real email for yet. Nothing is
+// delivered there: mail to it is held (utils/emailQueue.js) until the user is merged.
+// Lowercase like the stored email, so the two compare equal for mixed-case Clerk IDs.
+export const placeholderEmail = (clerkUserId) => `${clerkUserId.replace('user_', '')}@jobhub.app`.toLowerCase();
+
+export const isPlaceholderEmail = (email) => /@jobhub\.app$/i.test(String(email || ''));
+
+// For Clerk users that act (e.g. apply) before the user.created webhook has landed
+userSchema.statics.createPlaceholder = async function (clerkUserId) {
+  try {
+    const user = await this.create({
+      clerkUserId,
+      email: placeholderEmail(clerkUserId),
+      firstName: 'Job',
+      lastName: 'Seeker',
+      userType: 'job_seeker',
+      isPlaceholder: true
+    });
+    console.log(`✅ Created placeholder user: ${clerkUserId}`);
+    return user;
+  } catch (error) {
+    // The webhook (or a parallel request) got there first
+    if (error.code === 11000) return this.findOne({ clerkUserId });
+    throw error;
+  }
+};
+
+// Makes `email` available to `clerkUserId`. An inactive or placeholder account
+// holding it (e.g. deleted in Clerk, then signed up again) is moved to its
+// placeholder address; an active account keeps it and this returns false.
+// With `dryRun` nothing is changed, only the answer is returned.
+userSchema.statics.claimEmail = async function (email, clerkUserId, { dryRun = false } = {}) {
+  const holder = await this.findOne({ email, clerkUserId: { $ne: clerkUserId } });
+
+  if (!holder) return true;
+  if (holder.isActive && !holder.isPlaceholder) return false;
+  if (dryRun) return true;
+
+  holder.email = placeholderEmail(holder.clerkUserId);
+  await holder.save();
+  console.log(`ℹ️ Released ${email} from inactive user ${holder.clerkUserId}`);
+  return true;
+};
+
+// Creates or updates the user from a normalized Clerk user (utils/clerkClient.js).
+// Placeholder fields are overwritten; on real users only the fields Clerk sent
+// change. With `create: false` unknown users are left alone and null is returned.
+// With `dryRun` nothing is saved - callers can inspect user.modifiedPaths().
+userSchema.statics.syncFromClerk = async function (clerkUser, { create = true, dryRun = false } = {}) {
   let user = await this.findOne({ clerkUserId: clerkUser.id });
 
   if (!user) {
-    const email = clerkUser.emailAddresses[0]?.emailAddress;
-    const firstName = clerkUser.firstName;
-    const lastName = clerkUser.lastName;
-    const profileImage = clerkUser.profileImageUrl;
-
-    user = new this({
-      clerkUserId: clerkUser.id,
-      email,
-      firstName,
-      lastName,
-      profileImage
-    });
+    if (!create) return null;
+    user = new this({ clerkUserId: clerkUser.id });
+  }
 
-    await user.save();
-    console.log(`✅ Created new user in MongoDB: ${email}`);
+  const overwrite = user.isNew || user.isPlaceholder;
+  const hadPlaceholderEmail = user.email === placeholderEmail(clerkUser.id);
+  ['firstName', 'lastName', 'profileImage'].forEach(field => {
+    if (clerkUser[field]) {
+      user[field] = clerkUser[field];
+    } else if (overwrite) {
+      user[field] = undefined;
+    }
+  });
+
+  // Public metadata is only writable from the Clerk dashboard and Backend API
+  if (clerkUser.userType) user.userType = clerkUser.userType;
+  if (clerkUser.lastSignInAt && !(user.lastLoginAt >= clerkUser.lastSignInAt)) {
+    user.lastLoginAt = clerkUser.lastSignInAt;
+  }
+
+  if (clerkUser.email && clerkUser.email !== user.email) {
+    if (await this.claimEmail(clerkUser.email, clerkUser.id, { dryRun })) {
+      user.email = clerkUser.email;
+    } else {
+      console.warn(`⚠️ ${clerkUser.email} already belongs to another active user, keeping ${user.email || 'placeholder'} for ${clerkUser.id}`);
+    }
   }
 
+  // Still without a real address (no email from Clerk, or a conflict): stays a
+  // placeholder so the next sync or reconcile run tries again
+  if (!user.email) user.email = placeholderEmail(clerkUser.id);
+  user.isPlaceholder = user.email === placeholderEmail(clerkUser.id);
+
+  if (!dryRun) {
+    await user.save();
+
+    // Mail held while we only had the placeholder address can go out now
+    if (hadPlaceholderEmail && !user.isPlaceholder) {
+      await QueuedEmail.updateMany(
+        { to: placeholderEmail(clerkUser.id), status: 'held' },
+        { $set: { to: user.email, status: 'pending' } }
+      );
+    }
+  }
   return user;
 };
 
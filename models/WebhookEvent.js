@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+const RETENTION_DAYS = 30;
+// A delivery still marked processing after this long died mid-handler (crash,
+// restart) - the next redelivery takes it over instead of being dropped
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+const webhookEventSchema = new mongoose.Schema({
+  svixId: {
+    type: String,
+    required: [true, 'Svix message ID is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required']
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set by claim; only 'processed' events are duplicates for good. Events
+  // recorded before this field existed were processed.
+  status: {
+    type: String,
+    enum: ['processing', 'processed'],
+    default: 'processed'
+  },
+  claimedAt: {
+    type: Date
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Svix stops retrying long before this, so old IDs can be dropped
+webhookEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Records the delivery before it is handled. Returns 'claimed' when the caller
+// should process it, 'processing' while another delivery of it is being handled
+// and 'duplicate' once it was processed. A stale processing claim is taken over.
+webhookEventSchema.statics.claim = async function (svixId, type, now = new Date()) {
+  try {
+    await this.create({ svixId, type, status: 'processing', claimedAt: now });
+    return 'claimed';
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const takenOver = await this.findOneAndUpdate(
+    { svixId, status: 'processing', claimedAt: { $lte: new Date(now.getTime() - STALE_AFTER_MS) } },
+    { $set: { claimedAt: now } }
+  );
+  if (takenOver) return 'claimed';
+
+  return (await this.exists({ svixId, status: 'processing' })) ? 'processing' : 'duplicate';
+};
+
+// Marks a claimed event as handled; redeliveries are duplicates from now on
+webhookEventSchema.statics.complete = function (svixId, now = new Date()) {
+  return this.updateOne({ svixId }, { $set: { status: 'processed', processedAt: now } });
+};
+
+// Lets Svix redeliver an event whose processing failed
+webhookEventSchema.statics.release = function (svixId) {
+  return this.deleteOne({ svixId });
+};
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+export default WebhookEvent;
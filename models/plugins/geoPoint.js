@@ -0,0 +1,33 @@
+import { geocode, toPoint } from '../../utils/geocode.js';
+
+// Adds a GeoJSON `geo` point (2dsphere-indexed) that is filled from a free-text
+// location field by the offline geocoder whenever that field changes. Setting
+// geo.coordinates explicitly skips geocoding.
+const geoPointPlugin = (schema, { sourceField = 'location' } = {}) => {
+  schema.add({
+    geo: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+        validate: {
+          validator: (value) => !value || (value.length === 2 &&
+            Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90),
+          message: 'Coordinates must be [longitude, latitude]'
+        }
+      }
+    }
+  });
+
+  schema.index({ geo: '2dsphere' });
+
+  schema.pre('validate', function (next) {
+    if (this.isModified(sourceField) && !this.isModified('geo.coordinates')) {
+      const place = geocode(this.get(sourceField));
+      this.set('geo', place ? toPoint(place) : undefined);
+    }
+    next();
+  });
+};
+
+export default geoPointPlugin;
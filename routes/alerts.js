@@ -0,0 +1,93 @@
+import express from 'express';
+import SavedSearch from '../models/SavedSearch.js';
+import { escapeHtml } from '../utils/mailer.js';
+
+const router = express.Router();
+
+// The link in a digest only shows a confirmation page - mail scanners prefetch
+// links, so a GET must not change anything. The page's button and mail clients'
+// one-click List-Unsubscribe (RFC 8058) both POST. ?all=true covers every alert
+// of the token's owner.
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)} - JobHub</title>
+  </head>
+  <body style="font-family: Arial, sans-serif; max-width: 480px; margin: 48px auto; padding: 0 16px;">
+    <h2 style="color: #2563eb;">${escapeHtml(title)}</h2>
+    ${body}
+  </body>
+</html>`;
+
+const describe = (search, all) => (all ? 'all job alerts' : `"${search.name}"`);
+
+// GET /api/alerts/unsubscribe/:token - Confirmation page for the link in a job alert email
+router.get('/unsubscribe/:token', async (req, res) => {
+  try {
+    const all = req.query.all === 'true';
+    const search = await SavedSearch.findOne({ unsubscribeToken: req.params.token });
+
+    if (!search) {
+      return res.status(404).send(page('Link not valid', '<p>This unsubscribe link is invalid or has expired.</p>'));
+    }
+
+    res.send(page('Unsubscribe from job alerts', `
+    <p>Stop receiving emails for ${escapeHtml(describe(search, all))}?</p>
+    <form method="post">
+      <button type="submit" style="background: #2563eb; color: #fff; border: none; padding: 10px 18px; border-radius: 6px; cursor: pointer;">Unsubscribe</button>
+    </form>`));
+  } catch (error) {
+    console.error('Unsubscribe page error:', error);
+    res.status(500).send(page('Something went wrong', '<p>Please try the link again later.</p>'));
+  }
+});
+
+// POST /api/alerts/unsubscribe/:token - Unsubscribe (confirmation page or one-click)
+router.post('/unsubscribe/:token', async (req, res) => {
+  // The confirmation page's form gets a page back, everything else JSON
+  const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+  try {
+    const all = req.query.all === 'true';
+    const search = await SavedSearch.findOne({ unsubscribeToken: req.params.token });
+
+    if (!search) {
+      if (wantsHtml) {
+        return res.status(404).send(page('Link not valid', '<p>This unsubscribe link is invalid or has expired.</p>'));
+      }
+      return res.status(404).json({
+        success: false,
+        message: 'Unsubscribe link is invalid or has expired'
+      });
+    }
+
+    const filter = all ? { userId: search.userId } : { _id: search._id };
+    const result = await SavedSearch.updateMany(filter, { $set: { isActive: false } });
+    const message = `You have been unsubscribed from ${describe(search, all)}`;
+
+    if (wantsHtml) {
+      return res.send(page('Unsubscribed', `<p>${escapeHtml(message)}.</p>`));
+    }
+    res.json({
+      success: true,
+      message,
+      data: { unsubscribed: result.matchedCount }
+    });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+
+    if (wantsHtml) {
+      return res.status(500).send(page('Something went wrong', '<p>Please try again later.</p>'));
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error unsubscribing from job alerts',
+      error: error.message
+    });
+  }
+});
+
+export default router;
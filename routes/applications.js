@@ -1,19 +1,42 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Job from '../models/Job.js';
+import Application from '../models/Application.js';
+import Upload from '../models/Upload.js';
+import Interview from '../models/Interview.js';
+import { requireAuth } from '../middleware/auth.js';
+import interviewRoutes from './interviews.js';
+import { can, forbidden } from '../utils/policy.js';
+import { getStages, getAllowedTransitions, TransitionError } from '../utils/pipeline.js';
+import { normalizeSkill, matchSkills } from '../utils/skillMatch.js';
+import { enqueueEmail } from '../utils/emailQueue.js';
+import { cancelInterview } from '../utils/interviews.js';
+import { applicationStatusEmail, candidateMessageEmail, TEMPLATE_VARIABLES } from '../utils/notifications.js';
 
 const router = express.Router();
 
+const APPLICANT_SORT_FIELDS = ['appliedAt', 'rating', 'matchScore'];
+const MAX_BULK_APPLICATIONS = 100;
+const BULK_ACTIONS = ['status', 'tag', 'message'];
+
+const listOf = (value) =>
+  String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
 // POST /api/applications - Apply for a job (WITH AUTO-USER CREATION)
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, async (req, res) => {
   try {
-    const { clerkUserId, jobId, coverLetter, resumeUrl, notes } = req.body;
+    const { jobId, coverLetter, resumeUrl, resumeUploadId, notes } = req.body;
+    const clerkUserId = req.auth.userId;
 
     // Validation
-    if (!clerkUserId || !jobId) {
+    if (!jobId) {
       return res.status(400).json({
         success: false,
-        message: 'User ID and Job ID are required'
+        message: 'Job ID is required'
       });
     }
 
@@ -26,59 +49,45 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Find OR CREATE user
-    let user = await User.findOne({ clerkUserId });
-    
-    if (!user) {
-      // Auto-create user with minimal data if they don't exist
-      user = new User({
-        clerkUserId: clerkUserId,
-        email: `${clerkUserId.replace('user_', '')}@jobhub.app`, // Generate email from clerk ID
-        firstName: 'Job',
-        lastName: 'Seeker',
-        userType: 'job_seeker'
+    if (!job.isAcceptingApplications()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This job is no longer accepting applications'
       });
-      await user.save();
-      console.log(`✅ Auto-created user for application: ${clerkUserId}`);
     }
 
-    // Check if already applied
-    const existingApplication = user.applications.find(
-      app => app.jobId && app.jobId.toString() === jobId
-    );
+    // The user.created webhook may not have arrived yet - create a placeholder
+    // that the webhook (or scripts/reconcileUsers.js) fills in later
+    const user = req.user || await User.createPlaceholder(clerkUserId);
+
+    let resumeUpload;
+    if (resumeUploadId) {
+      resumeUpload = await Upload.findOwnedResume(resumeUploadId, clerkUserId);
+      if (!resumeUpload) {
+        return res.status(400).json({
+          success: false,
+          message: 'Resume upload not found'
+        });
+      }
+    }
+
+    // Create application (also increments the job's application count)
+    const application = await Application.submit(user, job, { coverLetter, resumeUrl, resumeUpload, notes });
 
-    if (existingApplication) {
+    if (!application) {
       return res.status(400).json({
         success: false,
         message: 'You have already applied for this job'
       });
     }
 
-    // Create application
-    user.applications.push({
-      jobId,
-      coverLetter: coverLetter || '',
-      resumeUrl: resumeUrl || '',
-      notes: notes || '',
-      appliedAt: new Date(),
-      status: 'applied'
-    });
-
-    await user.save();
-
-    // Increment application count on job
-    await Job.findByIdAndUpdate(jobId, {
-      $inc: { applicationCount: 1 }
-    });
-
     // Populate job details for response
-    const populatedUser = await User.findById(user._id).populate('applications.jobId');
-    const newApplication = populatedUser.applications[populatedUser.applications.length - 1];
+    await application.populate('jobId');
 
     res.status(201).json({
       success: true,
       message: 'Application submitted successfully!',
-      data: newApplication
+      data: application
     });
 
   } catch (error) {
@@ -99,45 +108,38 @@ router.post('/', async (req, res) => {
   }
 });
 
-// GET /api/applications/user/:clerkUserId - Get user's applications (WITH AUTO-CREATION)
-router.get('/user/:clerkUserId', async (req, res) => {
+// GET /api/applications/user/:clerkUserId - Get user's applications
+router.get('/user/:clerkUserId', requireAuth, async (req, res) => {
   try {
     const { clerkUserId } = req.params;
     const { page = 1, limit = 10 } = req.query;
 
-    // Find user - don't create if just checking
-    const user = await User.findOne({ clerkUserId })
-      .populate('applications.jobId')
-      .select('applications');
-
-    // If user doesn't exist, return empty array (not 404)
-    if (!user) {
-      return res.json({
-        success: true,
-        data: [],
-        pagination: {
-          current: 1,
-          total: 0,
-          count: 0,
-          totalApplications: 0
-        }
+    if (clerkUserId !== req.auth.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view your own applications'
       });
     }
 
-    // Paginate applications
     const skip = (page - 1) * limit;
-    const applications = user.applications
-      .sort((a, b) => new Date(b.appliedAt) - new Date(a.appliedAt))
-      .slice(skip, skip + parseInt(limit));
+    const filter = { clerkUserId };
+
+    const applications = await Application.find(filter)
+      .sort({ appliedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('jobId');
+
+    const total = await Application.countDocuments(filter);
 
     res.json({
       success: true,
       data: applications,
       pagination: {
         current: parseInt(page),
-        total: Math.ceil(user.applications.length / limit),
+        total: Math.ceil(total / limit),
         count: applications.length,
-        totalApplications: user.applications.length
+        totalApplications: total
       }
     });
 
@@ -151,11 +153,14 @@ router.get('/user/:clerkUserId', async (req, res) => {
   }
 });
 
-// GET /api/applications/job/:jobId - Get applications for a job (employer view)
-router.get('/job/:jobId', async (req, res) => {
+// GET /api/applications/job/:jobId - Applicant dashboard for a job (employer view)
+// Filters: status (comma list), appliedFrom/appliedTo, skills (comma list, all
+// required), tags (comma list, all required), minRating
+// Sort: -appliedAt (default), appliedAt, -rating, rating, -matchScore, matchScore
+router.get('/job/:jobId', requireAuth, async (req, res) => {
   try {
     const { jobId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, status, appliedFrom, appliedTo, skills, tags, minRating, sort = '-appliedAt' } = req.query;
 
     // Verify job exists
     const job = await Job.findById(jobId);
@@ -166,48 +171,105 @@ router.get('/job/:jobId', async (req, res) => {
       });
     }
 
-    // Find all users who applied to this job
-    const users = await User.find({ 
-      'applications.jobId': jobId 
-    }).populate('applications.jobId');
-
-    const applications = users.flatMap(user => 
-      user.applications
-        .filter(app => app.jobId && app.jobId._id.toString() === jobId)
-        .map(app => ({
-          ...app.toObject(),
-          user: {
-            _id: user._id,
-            clerkUserId: user.clerkUserId,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            profileImage: user.profileImage
-          }
-        }))
-    ).sort((a, b) => new Date(b.appliedAt) - new Date(a.appliedAt));
+    if (!can(req.user, 'job:viewApplicants', job)) {
+      return forbidden(res, 'Only the employer who posted this job can view its applicants');
+    }
 
-    // Paginate
+    // A repeated ?sort= arrives as an array and is rejected like any unknown field
+    const sortField = typeof sort === 'string' ? sort.replace(/^-/, '') : null;
+    if (!APPLICANT_SORT_FIELDS.includes(sortField)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${APPLICANT_SORT_FIELDS.join(', ')} (prefix with - for descending)`
+      });
+    }
+
+    if ([appliedFrom, appliedTo].some(date => date && Number.isNaN(new Date(date).getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'appliedFrom and appliedTo must be valid dates'
+      });
+    }
+
+    const filter = { jobId: job._id };
+    if (status) filter.status = { $in: listOf(status) };
+    if (appliedFrom || appliedTo) {
+      filter.appliedAt = {};
+      if (appliedFrom) filter.appliedAt.$gte = new Date(appliedFrom);
+      if (appliedTo) filter.appliedAt.$lte = new Date(appliedTo);
+    }
+    if (tags) filter.tags = { $all: listOf(tags).map(tag => tag.toLowerCase()) };
+    if (minRating && !Number.isNaN(Number(minRating))) filter.rating = { $gte: Number(minRating) };
+
+    const requirements = [...new Set((job.requirements || []).map(normalizeSkill).filter(Boolean))];
+    const requiredSkills = skills ? listOf(skills).map(normalizeSkill) : [];
     const skip = (page - 1) * limit;
-    const paginatedApplications = applications.slice(skip, skip + parseInt(limit));
+
+    const [result] = await Application.aggregate([
+      { $match: filter },
+      {
+        $lookup: {
+          from: User.collection.name,
+          localField: 'userId',
+          foreignField: '_id',
+          pipeline: [{ $project: { clerkUserId: 1, email: 1, firstName: 1, lastName: 1, profileImage: 1, 'profile.skills': 1, 'profile.headline': 1, skillKeys: 1 } }],
+          as: 'user'
+        }
+      },
+      { $set: { user: { $first: '$user' } } },
+      // Normalized when the profile was saved (User.skillKeys)
+      { $set: { normalizedSkills: { $ifNull: ['$user.skillKeys', []] } } },
+      {
+        $set: {
+          matchScore: requirements.length === 0 ? null : {
+            $round: [{
+              $multiply: [100, { $divide: [{ $size: { $setIntersection: ['$normalizedSkills', requirements] } }, requirements.length] }]
+            }, 0]
+          }
+        }
+      },
+      ...(requiredSkills.length > 0 ? [{ $match: { $expr: { $setIsSubset: [requiredSkills, '$normalizedSkills'] } } }] : []),
+      { $sort: { [sortField]: sort.startsWith('-') ? -1 : 1, appliedAt: -1, _id: 1 } },
+      {
+        $facet: {
+          results: [{ $skip: skip }, { $limit: parseInt(limit) }, { $unset: ['normalizedSkills', 'history', 'user.skillKeys'] }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const applications = result.results.map(application => ({
+      ...application,
+      skillMatch: matchSkills(application.user?.profile?.skills, job.requirements)
+    }));
 
     res.json({
       success: true,
-      data: paginatedApplications,
+      data: applications,
       job: {
         title: job.title,
-        company: job.company
+        company: job.company,
+        requirements: job.requirements
       },
       pagination: {
         current: parseInt(page),
-        total: Math.ceil(applications.length / limit),
-        count: paginatedApplications.length,
-        totalApplications: applications.length
+        total: Math.ceil(total / limit),
+        count: applications.length,
+        totalApplications: total
       }
     });
 
   } catch (error) {
     console.error('Get job applications error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error fetching job applications',
@@ -216,44 +278,563 @@ router.get('/job/:jobId', async (req, res) => {
   }
 });
 
-// PUT /api/applications/:applicationId/status - Update application status
-router.put('/:applicationId/status', async (req, res) => {
+// PUT /api/applications/:applicationId/review - Rate and tag an applicant
+// Body: { rating: 1-5 | null, tags: [...] } or { addTags: [...], removeTags: [...] }
+router.put('/:applicationId/review', requireAuth, async (req, res) => {
   try {
-    const { applicationId } = req.params;
-    const { status, clerkUserId } = req.body;
+    const { rating, tags, addTags, removeTags } = req.body;
+
+    for (const [name, value] of Object.entries({ tags, addTags, removeTags })) {
+      if (value !== undefined && !Array.isArray(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `${name} must be an array`
+        });
+      }
+    }
+
+    const application = await Application.findById(req.params.applicationId).select(Application.REVIEW_FIELDS);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const job = await Job.findById(application.jobId);
+
+    if (!can(req.user, 'application:review', job)) {
+      return forbidden(res, 'Only the employer who posted this job can review its applicants');
+    }
+
+    application.review({ rating, tags, addTags, removeTags });
+    await application.save();
+
+    res.json({
+      success: true,
+      message: 'Review saved successfully',
+      data: {
+        rating: application.rating ?? null,
+        tags: application.tags
+      }
+    });
+  } catch (error) {
+    console.error('Review application error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error saving review',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/applications/:applicationId/team-notes - Add a private hiring team note
+router.post('/:applicationId/team-notes', requireAuth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId).select('jobId +teamNotes');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const job = await Job.findById(application.jobId);
+
+    if (!can(req.user, 'application:review', job)) {
+      return forbidden(res, 'Only the employer who posted this job can add team notes');
+    }
 
-    if (!status || !clerkUserId) {
+    application.teamNotes.push({
+      authorId: req.auth.userId,
+      authorName: req.user.fullName,
+      text: req.body.text
+    });
+    await application.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added successfully',
+      data: application.teamNotes[application.teamNotes.length - 1]
+    });
+  } catch (error) {
+    console.error('Add team note error:', error);
+
+    if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
-        message: 'Status and User ID are required'
+        message: 'Invalid application ID'
       });
     }
 
-    const user = await User.findOne({ 
-      'applications._id': applicationId,
-      clerkUserId 
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error adding note',
+      error: error.message
     });
+  }
+});
+
+// DELETE /api/applications/:applicationId/team-notes/:noteId - Delete your own team note
+router.delete('/:applicationId/team-notes/:noteId', requireAuth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId).select('jobId +teamNotes');
 
-    if (!user) {
+    if (!application) {
       return res.status(404).json({
         success: false,
         message: 'Application not found'
       });
     }
 
-    const application = user.applications.id(applicationId);
-    application.status = status;
+    const job = await Job.findById(application.jobId);
+    const note = application.teamNotes.id(req.params.noteId);
+
+    if (!can(req.user, 'application:review', job)) {
+      return forbidden(res);
+    }
+
+    if (!note) {
+      return res.status(404).json({
+        success: false,
+        message: 'Note not found'
+      });
+    }
+
+    if (note.authorId !== req.auth.userId && req.user.userType !== 'admin') {
+      return forbidden(res, 'You can only delete your own notes');
+    }
 
-    await user.save();
+    note.deleteOne();
+    await application.save();
 
     res.json({
       success: true,
-      message: 'Application status updated successfully',
+      message: 'Note deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete team note error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting note',
+      error: error.message
+    });
+  }
+});
+
+// Checks the request body of POST /bulk; returns an error message or null
+const validateBulkRequest = ({ applicationIds, action, status, addTags, removeTags, template }) => {
+  if (!Array.isArray(applicationIds) || applicationIds.length === 0) {
+    return 'applicationIds must be a non-empty array';
+  }
+  if (applicationIds.length > MAX_BULK_APPLICATIONS) {
+    return `At most ${MAX_BULK_APPLICATIONS} applications can be updated at once`;
+  }
+  if (!BULK_ACTIONS.includes(action)) {
+    return `Action must be one of: ${BULK_ACTIONS.join(', ')}`;
+  }
+  if (action === 'status' && !status) {
+    return 'Status is required';
+  }
+  if (action === 'tag' && ![addTags, removeTags].some(tags => Array.isArray(tags) && tags.length > 0)) {
+    return 'addTags or removeTags is required';
+  }
+  if (action === 'message' && !(template?.subject && template?.body)) {
+    return 'template.subject and template.body are required';
+  }
+  return null;
+};
+
+// POST /api/applications/bulk - Change status, tag or message many applicants at once
+// Body: { applicationIds, action: 'status', status, reason, notify = true }
+//       { applicationIds, action: 'tag', addTags, removeTags }
+//       { applicationIds, action: 'message', template: { subject, body } }
+// Applications that can't be changed are reported and skipped; the rest are saved
+// together in one transaction along with the queued candidate emails.
+router.post('/bulk', requireAuth, async (req, res) => {
+  const error = validateBulkRequest(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+      ...(req.body.action === 'message' && { templateVariables: TEMPLATE_VARIABLES })
+    });
+  }
+
+  const { action, status, reason, notify = true, addTags, removeTags, template } = req.body;
+  const applicationIds = [...new Set(req.body.applicationIds.map(String))];
+  const session = await mongoose.startSession();
+  let results = [];
+  let emailsQueued = 0;
+
+  try {
+    await session.withTransaction(async () => {
+      // The callback may be retried, so start from scratch each time
+      results = [];
+      const emails = [];
+
+      const validIds = applicationIds.filter(id => mongoose.isValidObjectId(id));
+      const applications = await Application.find({ _id: { $in: validIds } })
+        .select(Application.REVIEW_FIELDS)
+        .session(session);
+      const jobs = await Job.find({ _id: { $in: applications.map(application => application.jobId) } }).session(session);
+      const users = await User.find({ _id: { $in: applications.map(application => application.userId) } })
+        .select('email firstName lastName')
+        .session(session);
+
+      const byId = (docs) => new Map(docs.map(doc => [doc._id.toString(), doc]));
+      const applicationsById = byId(applications);
+      const jobsById = byId(jobs);
+      const usersById = byId(users);
+
+      for (const id of applicationIds) {
+        const application = applicationsById.get(id);
+        if (!application) {
+          results.push({ id, success: false, message: 'Application not found' });
+          continue;
+        }
+
+        const job = jobsById.get(application.jobId.toString());
+        const candidate = usersById.get(application.userId.toString());
+        const permission = action === 'status' ? 'application:updateStatus' : 'application:review';
+
+        if (!can(req.user, permission, job)) {
+          results.push({ id, success: false, message: 'You do not have permission to change this application' });
+          continue;
+        }
+
+        try {
+          if (action === 'status') {
+            application.transitionTo(job, status, {
+              actorId: req.auth.userId,
+              actorRole: req.user.userType === 'admin' ? 'admin' : 'employer',
+              reason
+            });
+          } else if (action === 'tag') {
+            application.review({ addTags, removeTags });
+          }
+
+          if (application.isModified()) {
+            await application.save({ session });
+          }
+
+          if (candidate && action === 'status' && notify) {
+            emails.push(applicationStatusEmail({ user: candidate, job, application, status }));
+          } else if (candidate && action === 'message') {
+            emails.push(candidateMessageEmail({ user: candidate, job, application, template }));
+          }
+
+          results.push({
+            id,
+            success: true,
+            status: application.status,
+            ...(action === 'tag' && { tags: application.tags })
+          });
+        } catch (itemError) {
+          if (!(itemError instanceof TransitionError) && itemError.name !== 'ValidationError') {
+            throw itemError;
+          }
+          results.push({
+            id,
+            success: false,
+            message: itemError.message,
+            ...(itemError instanceof TransitionError && { allowedStatuses: itemError.allowed })
+          });
+        }
+      }
+
+      await enqueueEmail(emails, { session });
+      emailsQueued = emails.length;
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      success: true,
+      message: `Updated ${succeeded} of ${results.length} applications`,
+      data: {
+        results,
+        succeeded,
+        failed: results.length - succeeded,
+        emailsQueued
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk application update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating applications - no changes were saved',
+      error: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+});
+
+// PUT /api/applications/:applicationId - Candidate edits cover letter, resume or
+// notes. Only while the application is still `applied` - once the employer has
+// started reviewing it the submission is frozen.
+router.put('/:applicationId', requireAuth, async (req, res) => {
+  try {
+    const { coverLetter, resumeUrl, resumeUploadId, notes } = req.body;
+    const application = await Application.findById(req.params.applicationId);
+
+    if (!application || application.clerkUserId !== req.auth.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    if (application.status !== 'applied') {
+      return res.status(409).json({
+        success: false,
+        message: 'Applications can only be edited before the employer starts reviewing them'
+      });
+    }
+
+    if (resumeUploadId) {
+      const resumeUpload = await Upload.findOwnedResume(resumeUploadId, req.auth.userId);
+      if (!resumeUpload) {
+        return res.status(400).json({
+          success: false,
+          message: 'Resume upload not found'
+        });
+      }
+      application.set({ resumeUrl: resumeUpload.path, resumeUpload: resumeUpload._id });
+    } else if (resumeUrl !== undefined) {
+      application.set({ resumeUrl: resumeUrl || '', resumeUpload: undefined });
+    }
+
+    if (coverLetter !== undefined) application.coverLetter = coverLetter || '';
+    if (notes !== undefined) application.notes = notes || '';
+
+    await application.save();
+
+    res.json({
+      success: true,
+      message: 'Application updated successfully',
       data: application
     });
 
+  } catch (error) {
+    console.error('Edit application error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating application',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/applications/:applicationId/withdraw - Candidate withdraws their application
+router.post('/:applicationId/withdraw', requireAuth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId);
+
+    if (!application || application.clerkUserId !== req.auth.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const job = await Job.findById(application.jobId);
+    const withdrawn = await application.withdraw(job, { reason: req.body.reason });
+
+    if (!withdrawn) {
+      return res.status(409).json({
+        success: false,
+        message: 'The application status was changed in the meantime - reload it and try again'
+      });
+    }
+
+    // Withdrawn candidates won't attend: cancel open interviews like the candidate
+    // would, so interviewers get the cancellation and calendar update
+    const interviews = await Interview.find({
+      applicationId: application._id,
+      status: { $in: ['proposed', 'confirmed'] }
+    });
+
+    if (interviews.length > 0) {
+      const candidate = await User.findById(application.userId);
+      for (const interview of interviews) {
+        await cancelInterview(interview, { job, candidate, reason: 'Application withdrawn', cancelledBy: 'candidate' });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Application withdrawn',
+      data: {
+        status: withdrawn.status,
+        canReapply: Boolean(job?.allowsReapplication(withdrawn))
+      }
+    });
+
+  } catch (error) {
+    console.error('Withdraw application error:', error);
+
+    if (error instanceof TransitionError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        allowedStatuses: error.allowed
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error withdrawing application',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/applications/:applicationId/status - Move an application through the hiring pipeline
+router.put('/:applicationId/status', requireAuth, async (req, res) => {
+  try {
+    const { applicationId } = req.params;
+    const { status, reason } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status is required'
+      });
+    }
+
+    const application = await Application.findById(applicationId);
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const job = await Job.findById(application.jobId);
+
+    if (!can(req.user, 'application:updateStatus', job)) {
+      return forbidden(res, 'Only the employer who posted this job can change application status');
+    }
+
+    const updated = await application.commitTransition(job, status, {
+      actorId: req.auth.userId,
+      actorRole: req.user.userType === 'admin' ? 'admin' : 'employer',
+      reason
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The application status was changed in the meantime - reload it and try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Application status updated successfully',
+      data: updated
+    });
+
   } catch (error) {
     console.error('Update application status error:', error);
+
+    if (error instanceof TransitionError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        allowedStatuses: error.allowed
+      });
+    }
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error updating application status',
@@ -262,6 +843,59 @@ router.put('/:applicationId/status', async (req, res) => {
   }
 });
 
+// GET /api/applications/:applicationId/history - Status history (candidate or job owner)
+router.get('/:applicationId/history', requireAuth, async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.applicationId)
+      .select('jobId clerkUserId status history');
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        message: 'Application not found'
+      });
+    }
+
+    const job = await Job.findById(application.jobId);
+    const isCandidate = application.clerkUserId === req.auth.userId;
+
+    if (!isCandidate && !can(req.user, 'job:viewApplicants', job)) {
+      return forbidden(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: application.status,
+        history: application.history,
+        stages: getStages(job),
+        allowedStatuses: isCandidate
+          ? getAllowedTransitions(job, application.status, 'candidate')
+          : getAllowedTransitions(job, application.status, 'employer')
+      }
+    });
+
+  } catch (error) {
+    console.error('Get application history error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid application ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching application history',
+      error: error.message
+    });
+  }
+});
+
+// Interview scheduling for an application (routes/interviews.js)
+router.use('/:applicationId/interviews', interviewRoutes);
+
 // Simple test route to verify API is working
 router.get('/test', (req, res) => {
   res.json({
@@ -7,6 +7,9 @@ const router = express.Router();
 router.get('/', async (req, res) => {
   try {
     const categories = await Job.aggregate([
+      {
+        $match: Job.publicFilter()
+      },
       {
         $group: {
           _id: '$category',
@@ -53,12 +56,14 @@ router.get('/:name/jobs', async (req, res) => {
     const { page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
 
-    const jobs = await Job.find({ category: req.params.name })
+    const filter = Job.publicFilter({ category: req.params.name });
+
+    const jobs = await Job.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
-    const total = await Job.countDocuments({ category: req.params.name });
+    const total = await Job.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
 
     res.json({
@@ -1,13 +1,21 @@
 import express from 'express';
 import Contact from '../models/Contact.js';
-import nodemailer from 'nodemailer';
+import Upload from '../models/Upload.js';
+import { sendMail } from '../utils/mailer.js';
+import { claimTokenUploadId, verifyClaimToken } from '../utils/uploads.js';
 
 const router = express.Router();
 
+const MAX_ATTACHMENTS = 5;
+
+// Undoes a claim made for an inquiry that wasn't saved
+const releaseAttachments = (uploadIds, contactId) =>
+  Upload.updateMany({ _id: { $in: uploadIds }, contactId }, { $unset: { contactId: '' } });
+
 // POST /api/contact - Submit contact form
 router.post('/', async (req, res) => {
   try {
-    const { name, email, subject, message, category, userId } = req.body;
+    const { name, email, subject, message, category, userId, attachmentTokens = [] } = req.body;
 
     // Validation
     if (!name || !email || !subject || !message) {
@@ -17,6 +25,35 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (req.body.attachmentIds !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send the claimToken of each uploaded attachment in attachmentTokens'
+      });
+    }
+
+    if (!Array.isArray(attachmentTokens) || attachmentTokens.length > MAX_ATTACHMENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `attachmentTokens must be a list of at most ${MAX_ATTACHMENTS} attachment claim tokens`
+      });
+    }
+
+    // Files from POST /api/uploads/contact-attachment not yet sent with an inquiry,
+    // each claimed with the token its uploader was given
+    const tokens = [...new Set(attachmentTokens)];
+    const ids = tokens.map(claimTokenUploadId);
+    const uploads = ids.includes(null) ? [] : await Upload.findClaimable(ids);
+    const claimed = tokens.every(token =>
+      uploads.some(upload => upload._id.toString() === claimTokenUploadId(token) && verifyClaimToken(upload, token)));
+
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more attachments were not found or have expired'
+      });
+    }
+
     // Create contact inquiry
     const contact = new Contact({
       name,
@@ -24,10 +61,40 @@ router.post('/', async (req, res) => {
       subject,
       message,
       category: category || 'general',
-      userId: userId || null
+      userId: userId || null,
+      attachments: uploads.map(upload => ({
+        filename: upload.originalName,
+        url: upload.path,
+        uploadedAt: upload.createdAt,
+        uploadId: upload._id
+      }))
     });
+    await contact.validate();
+
+    // Claim the files for this inquiry before saving it, so of two submissions
+    // with the same tokens only one gets them
+    const uploadIds = uploads.map(upload => upload._id);
+    if (uploadIds.length > 0) {
+      const { modifiedCount } = await Upload.updateMany(
+        { _id: { $in: uploadIds }, contactId: { $exists: false } },
+        { $set: { contactId: contact._id } }
+      );
+
+      if (modifiedCount !== uploadIds.length) {
+        await releaseAttachments(uploadIds, contact._id);
+        return res.status(409).json({
+          success: false,
+          message: 'One or more attachments were already sent with another message'
+        });
+      }
+    }
 
-    await contact.save();
+    try {
+      await contact.save();
+    } catch (error) {
+      await releaseAttachments(uploadIds, contact._id);
+      throw error;
+    }
 
     // Send confirmation email (if email service configured)
     await sendConfirmationEmail(contact);
@@ -46,6 +113,13 @@ router.post('/', async (req, res) => {
 
   } catch (error) {
     console.error('Contact form error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid attachment ID'
+      });
+    }
     
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
@@ -199,17 +273,7 @@ router.post('/:id/response', async (req, res) => {
 // Helper function to send confirmation email
 const sendConfirmationEmail = async (contact) => {
   try {
-    // Configure nodemailer with your email service
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD
-      }
-    });
-
     const mailOptions = {
-      from: process.env.EMAIL_USER,
       to: contact.email,
       subject: `JobHub: We've received your message - ${contact.subject}`,
       html: `
@@ -230,8 +294,8 @@ const sendConfirmationEmail = async (contact) => {
       `
     };
 
-    if (process.env.NODE_ENV === 'production') {
-      await transporter.sendMail(mailOptions);
+    const result = await sendMail(mailOptions);
+    if (result.sent) {
       console.log(`✅ Confirmation email sent to: ${contact.email}`);
     }
 
@@ -244,16 +308,7 @@ const sendConfirmationEmail = async (contact) => {
 // Helper function to send response email
 const sendResponseEmail = async (contact, responseMessage) => {
   try {
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD
-      }
-    });
-
     const mailOptions = {
-      from: process.env.EMAIL_USER,
       to: contact.email,
       subject: `JobHub: Response to your inquiry - ${contact.subject}`,
       html: `
@@ -271,8 +326,8 @@ const sendResponseEmail = async (contact, responseMessage) => {
       `
     };
 
-    if (process.env.NODE_ENV === 'production') {
-      await transporter.sendMail(mailOptions);
+    const result = await sendMail(mailOptions);
+    if (result.sent) {
       console.log(`✅ Response email sent to: ${contact.email}`);
     }
 
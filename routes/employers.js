@@ -1,9 +1,98 @@
 import express from 'express';
 import Employer from '../models/Employer.js';
 import Job from '../models/Job.js';
+import User from '../models/User.js';
+import EmployerInvitation from '../models/EmployerInvitation.js';
+import { requireAuth, requireUser, optionalAuth } from '../middleware/auth.js';
+import teamRoutes, { invitationRoutes } from './teams.js';
+import { can, forbidden } from '../utils/policy.js';
+import { sendMail } from '../utils/mailer.js';
+import { enqueueEmail } from '../utils/emailQueue.js';
+import {
+  VerificationError,
+  requestVerification,
+  confirmVerification,
+  reviewVerification,
+  verificationCodeEmail,
+  verificationDecisionEmail,
+  websiteDomain
+} from '../utils/employerVerification.js';
 
 const router = express.Router();
 
+const verificationError = (res, error, message) => {
+  if (error instanceof VerificationError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid employer ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// Accepting team invitations (routes/teams.js)
+router.use('/invitations', invitationRoutes);
+
+// GET /api/employers/verification-requests - Admin review queue, oldest first
+router.get('/verification-requests', requireAuth, async (req, res) => {
+  try {
+    if (!can(req.user, 'employer:verify')) {
+      return forbidden(res, 'Only admins can review verification requests');
+    }
+
+    const { status = 'pending_review', page = 1, limit = 20 } = req.query;
+    const filter = { 'verification.status': status };
+    const skip = (page - 1) * limit;
+
+    const [employers, total] = await Promise.all([
+      Employer.find(filter)
+        .sort({ 'verification.emailVerifiedAt': 1, 'verification.requestedAt': 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Employer.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: employers.map(employer => ({
+        ...employer.toJSON(),
+        verification: employer.verificationSummary()
+      })),
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        count: employers.length,
+        totalRequests: total
+      }
+    });
+  } catch (error) {
+    verificationError(res, error, 'Error fetching verification requests');
+  }
+});
+
 // GET /api/employers - Get all employers (existing)
 router.get('/', async (req, res) => {
   try {
@@ -77,7 +166,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/employers - Create new employer
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, requireUser, async (req, res) => {
   try {
     const {
       companyName,
@@ -86,10 +175,14 @@ router.post('/', async (req, res) => {
       industry,
       size,
       location,
-      contactEmail,
-      userId
+      contactEmail
     } = req.body;
 
+    // The profile belongs to the caller; admins may create one for another user
+    const userId = req.user.userType === 'admin' && req.body.userId
+      ? req.body.userId
+      : req.auth.userId;
+
     // Basic validation
     if (!companyName || !industry || !size || !location || !contactEmail || !userId) {
       return res.status(400).json({
@@ -126,6 +219,12 @@ router.post('/', async (req, res) => {
 
     const savedEmployer = await newEmployer.save();
 
+    // Creating a company profile turns a job seeker account into an employer account
+    if (userId === req.auth.userId && req.user.isJobSeeker()) {
+      req.user.userType = 'employer';
+      await req.user.save();
+    }
+
     res.status(201).json({
       success: true,
       message: 'Employer created successfully',
@@ -152,7 +251,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/employers/:id - Update employer
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireAuth, async (req, res) => {
   try {
     const {
       companyName,
@@ -174,6 +273,17 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    if (!can(req.user, 'employer:update', employer)) {
+      return forbidden(res, 'You can only edit your own company profile');
+    }
+
+    if (typeof isVerified === 'boolean' && isVerified !== employer.isVerified && !can(req.user, 'employer:verify', employer)) {
+      return forbidden(res, 'Only admins can verify employers');
+    }
+
+    // The domain proof only holds for the website it was made for
+    const websiteChanged = website && websiteDomain(website) !== websiteDomain(employer.website);
+
     // Update fields
     const updateData = {};
     if (companyName) updateData.companyName = companyName;
@@ -183,7 +293,16 @@ router.put('/:id', async (req, res) => {
     if (size) updateData.size = size;
     if (location) updateData.location = location;
     if (contactEmail) updateData.contactEmail = contactEmail;
-    if (typeof isVerified === 'boolean') updateData.isVerified = isVerified;
+    if (typeof isVerified === 'boolean') {
+      // Admin override - keep the verification record in step
+      updateData.isVerified = isVerified;
+      updateData['verification.status'] = isVerified ? 'verified' : 'unverified';
+      updateData['verification.reviewedAt'] = new Date();
+      updateData['verification.reviewedBy'] = req.auth.userId;
+    } else if (websiteChanged && (employer.isVerified || employer.verification.status !== 'unverified')) {
+      updateData.isVerified = false;
+      updateData.verification = { status: 'unverified' };
+    }
 
     const updatedEmployer = await Employer.findByIdAndUpdate(
       req.params.id,
@@ -223,8 +342,127 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// GET /api/employers/:id/verification - Verification status (owner or admin)
+router.get('/:id/verification', requireAuth, async (req, res) => {
+  try {
+    const employer = await Employer.findById(req.params.id);
+    if (!employer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employer not found'
+      });
+    }
+
+    if (!can(req.user, 'employer:update', employer)) {
+      return forbidden(res);
+    }
+
+    res.json({
+      success: true,
+      data: employer.verificationSummary()
+    });
+  } catch (error) {
+    verificationError(res, error, 'Error fetching verification status');
+  }
+});
+
+// POST /api/employers/:id/verification - Request verification: emails a code to
+// `email`, which must be on the company website's domain
+router.post('/:id/verification', requireAuth, async (req, res) => {
+  try {
+    const { email, note } = req.body;
+
+    const employer = await Employer.findById(req.params.id);
+    if (!employer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employer not found'
+      });
+    }
+
+    if (!can(req.user, 'employer:update', employer)) {
+      return forbidden(res, 'You can only verify your own company');
+    }
+
+    const code = requestVerification(employer, { email, note });
+    await sendMail(verificationCodeEmail({ employer, code }));
+    await employer.save();
+
+    res.status(202).json({
+      success: true,
+      message: `We sent a verification code to ${employer.verification.email}`,
+      data: employer.verificationSummary()
+    });
+  } catch (error) {
+    verificationError(res, error, 'Error requesting verification');
+  }
+});
+
+// POST /api/employers/:id/verification/confirm - Submit the emailed code
+router.post('/:id/verification/confirm', requireAuth, async (req, res) => {
+  try {
+    const employer = await Employer.findById(req.params.id);
+    if (!employer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employer not found'
+      });
+    }
+
+    if (!can(req.user, 'employer:update', employer)) {
+      return forbidden(res, 'You can only verify your own company');
+    }
+
+    try {
+      confirmVerification(employer, req.body.code);
+    } finally {
+      // Failed attempts count towards the limit
+      await employer.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email confirmed - your request is now waiting for review',
+      data: employer.verificationSummary()
+    });
+  } catch (error) {
+    verificationError(res, error, 'Error confirming verification code');
+  }
+});
+
+// POST /api/employers/:id/verification/review - Admin approves or rejects
+router.post('/:id/verification/review', requireAuth, async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+
+    const employer = await Employer.findById(req.params.id);
+    if (!employer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employer not found'
+      });
+    }
+
+    if (!can(req.user, 'employer:verify', employer)) {
+      return forbidden(res, 'Only admins can review verification requests');
+    }
+
+    reviewVerification(employer, { decision, reason, reviewerId: req.auth.userId });
+    await employer.save();
+    await enqueueEmail(verificationDecisionEmail({ employer }));
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Employer verified' : 'Verification request rejected',
+      data: employer.verificationSummary()
+    });
+  } catch (error) {
+    verificationError(res, error, 'Error reviewing verification request');
+  }
+});
+
 // DELETE /api/employers/:id - Delete employer
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAuth, async (req, res) => {
   try {
     const employer = await Employer.findById(req.params.id);
     
@@ -235,6 +473,10 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    if (!can(req.user, 'employer:delete', employer)) {
+      return forbidden(res, 'You can only delete your own company profile');
+    }
+
     // Check if employer has jobs
     const jobCount = await Job.countDocuments({ employerId: employer.userId });
     if (jobCount > 0) {
@@ -246,6 +488,22 @@ router.delete('/:id', async (req, res) => {
 
     await Employer.findByIdAndDelete(req.params.id);
 
+    // Dissolve the team
+    await User.updateMany(
+      { 'employerMemberships.employerId': employer._id },
+      { $pull: { employerMemberships: { employerId: employer._id } } }
+    );
+    // Organization members stay in the Clerk organization, just no longer linked
+    await User.updateMany(
+      { 'organizations.employerId': employer._id },
+      { $unset: { 'organizations.$[organization].employerId': '', 'organizations.$[organization].ownerId': '' } },
+      { arrayFilters: [{ 'organization.employerId': employer._id }] }
+    );
+    await EmployerInvitation.updateMany(
+      { employerId: employer._id, status: 'pending' },
+      { $set: { status: 'revoked' } }
+    );
+
     res.json({
       success: true,
       message: 'Employer deleted successfully',
@@ -272,8 +530,8 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// GET /api/employers/:id/jobs - Get jobs by employer (existing)
-router.get('/:id/jobs', async (req, res) => {
+// GET /api/employers/:id/jobs - Get jobs by employer (the employer's team also sees unpublished jobs)
+router.get('/:id/jobs', optionalAuth, async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
@@ -286,12 +544,18 @@ router.get('/:id/jobs', async (req, res) => {
       });
     }
 
-    const jobs = await Job.find({ employerId: employer.userId })
+    const filter = can(req.user, 'employer:viewTeam', employer)
+      ? { employerId: employer.userId }
+      : Job.publicFilter({ employerId: employer.userId });
+
+    if (req.query.status && filter.status === undefined) filter.status = req.query.status;
+
+    const jobs = await Job.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
-    const total = await Job.countDocuments({ employerId: employer.userId });
+    const total = await Job.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
 
     res.json({
@@ -326,6 +590,9 @@ router.get('/:id/jobs', async (req, res) => {
   }
 });
 
+// Team members and invitations (routes/teams.js)
+router.use('/:id/team', teamRoutes);
+
 // GET /api/employers/stats/count - Get employer statistics (existing)
 router.get('/stats/count', async (req, res) => {
   try {
@@ -0,0 +1,391 @@
+import express from 'express';
+import User from '../models/User.js';
+import Job from '../models/Job.js';
+import Application from '../models/Application.js';
+import Interview from '../models/Interview.js';
+import { requireAuth } from '../middleware/auth.js';
+import { can, forbidden } from '../utils/policy.js';
+import { isOutcome, getAllowedTransitions } from '../utils/pipeline.js';
+import { participants, calendarFor, cancelInterview } from '../utils/interviews.js';
+import { enqueueEmail } from '../utils/emailQueue.js';
+import {
+  interviewInvitationEmail,
+  interviewConfirmedEmail,
+  interviewReminderEmail
+} from '../utils/notifications.js';
+
+// Interviews are a sub-resource of applications:
+//   /api/applications/:applicationId/interviews
+// The employer offers time slots, the candidate books one, and both sides get a
+// calendar invite plus reminders (queued emails, see utils/emailQueue.js).
+
+const router = express.Router({ mergeParams: true });
+
+const REMINDER_OFFSETS_MS = [24 * 60 * 60 * 1000, 60 * 60 * 1000];
+const INTERVIEW_FIELDS = ['title', 'durationMinutes', 'timezone', 'locationType', 'location', 'videoLink', 'interviewers', 'instructions'];
+
+// Loads the application and job and works out who is asking
+const loadContext = async (req, res) => {
+  const application = await Application.findById(req.params.applicationId);
+
+  if (!application) {
+    res.status(404).json({
+      success: false,
+      message: 'Application not found'
+    });
+    return null;
+  }
+
+  // Invites, reminders and calendar entries all need the job - stop before writing anything
+  const job = await Job.findById(application.jobId);
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+    return null;
+  }
+
+  const isEmployer = can(req.user, 'interview:manage', job);
+  const isCandidate = application.clerkUserId === req.auth.userId;
+
+  if (!isEmployer && !isCandidate) {
+    forbidden(res);
+    return null;
+  }
+
+  return { application, job, isEmployer, isCandidate };
+};
+
+const findInterview = async (req, res) => {
+  const interview = await Interview.findOne({
+    _id: req.params.interviewId,
+    applicationId: req.params.applicationId
+  });
+
+  if (!interview) {
+    res.status(404).json({
+      success: false,
+      message: 'Interview not found'
+    });
+  }
+  return interview;
+};
+
+const describeConflicts = (conflicts, candidateId, emails) =>
+  conflicts.map(conflict => ({
+    start: conflict.scheduledStart,
+    end: conflict.scheduledEnd,
+    with: conflict.candidateId === candidateId
+      ? 'candidate'
+      : conflict.interviewers.map(interviewer => interviewer.email).filter(email => emails.includes(email))
+  }));
+
+const interviewError = (res, error, message) => {
+  console.error(`${message}:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// GET /api/applications/:applicationId/interviews - Interviews for an application
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const context = await loadContext(req, res);
+    if (!context) return;
+
+    const interviews = await Interview.find({ applicationId: context.application._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: interviews
+    });
+  } catch (error) {
+    interviewError(res, error, 'Error fetching interviews');
+  }
+});
+
+// POST /api/applications/:applicationId/interviews - Offer interview slots (employer)
+// Body: { slots: [{ start, end? }], durationMinutes, timezone, locationType,
+//         location, videoLink, interviewers: [{ name, email }], title, instructions }
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const context = await loadContext(req, res);
+    if (!context) return;
+
+    const { application, job, isEmployer } = context;
+
+    if (!isEmployer) {
+      return forbidden(res, 'Only the employer who posted this job can schedule interviews');
+    }
+
+    if (isOutcome(application.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot schedule an interview for an application that is ${application.status}`
+      });
+    }
+
+    const interview = new Interview({
+      applicationId: application._id,
+      jobId: job._id,
+      employerId: job.employerId,
+      candidateId: application.clerkUserId
+    });
+    INTERVIEW_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) interview.set(field, req.body[field]);
+    });
+
+    const now = new Date();
+    const durationMs = interview.durationMinutes * 60 * 1000;
+    const slots = (Array.isArray(req.body.slots) ? req.body.slots : []).map(slot => {
+      const start = new Date(slot?.start);
+      return { start, end: slot?.end ? new Date(slot.end) : new Date(start.getTime() + durationMs) };
+    });
+
+    if (slots.some(slot => Number.isNaN(slot.start.getTime()) || slot.start <= now)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every slot needs a valid start time in the future'
+      });
+    }
+    interview.slots = slots;
+
+    await interview.validate();
+
+    // Don't offer times the candidate or an interviewer already has an interview
+    const emails = interview.interviewers.map(interviewer => interviewer.email);
+    const conflicts = [];
+    for (const [index, slot] of interview.slots.entries()) {
+      const found = await Interview.findConflicts({ start: slot.start, end: slot.end, candidateId: application.clerkUserId, interviewerEmails: emails });
+      if (found.length > 0) {
+        conflicts.push({ slot: index, start: slot.start, conflicts: describeConflicts(found, application.clerkUserId, emails) });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some slots overlap interviews that are already booked',
+        conflicts
+      });
+    }
+
+    await interview.save();
+
+    if (getAllowedTransitions(job, application.status, 'employer').includes('interview')) {
+      application.transitionTo(job, 'interview', {
+        actorId: req.auth.userId,
+        actorRole: req.user.userType === 'admin' ? 'admin' : 'employer',
+        reason: 'Interview scheduled'
+      });
+      await application.save();
+    }
+
+    const candidate = await User.findById(application.userId);
+    if (candidate) {
+      await enqueueEmail(interviewInvitationEmail({ user: candidate, job, interview }));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Interview slots offered to the candidate',
+      data: interview
+    });
+  } catch (error) {
+    interviewError(res, error, 'Error scheduling interview');
+  }
+});
+
+// GET /api/applications/:applicationId/interviews/:interviewId - Interview details
+router.get('/:interviewId', requireAuth, async (req, res) => {
+  try {
+    const context = await loadContext(req, res);
+    if (!context) return;
+
+    const interview = await findInterview(req, res);
+    if (!interview) return;
+
+    res.json({
+      success: true,
+      data: interview
+    });
+  } catch (error) {
+    interviewError(res, error, 'Error fetching interview');
+  }
+});
+
+// POST /api/applications/:applicationId/interviews/:interviewId/book - Candidate picks a slot
+router.post('/:interviewId/book', requireAuth, async (req, res) => {
+  try {
+    const context = await loadContext(req, res);
+    if (!context) return;
+
+    const { application, job, isCandidate } = context;
+
+    if (!isCandidate) {
+      return forbidden(res, 'Only the candidate can book an interview slot');
+    }
+
+    const interview = await findInterview(req, res);
+    if (!interview) return;
+
+    const slot = interview.slots.id(req.body.slotId);
+
+    if (!slot) {
+      return res.status(400).json({
+        success: false,
+        message: 'slotId must be one of the offered slots',
+        slots: interview.slots
+      });
+    }
+
+    if (interview.status !== 'proposed' || slot.start <= new Date()) {
+      return res.status(409).json({
+        success: false,
+        message: interview.status === 'proposed'
+          ? 'This slot is in the past - please pick another one'
+          : `This interview is already ${interview.status}`
+      });
+    }
+
+    const emails = interview.interviewers.map(interviewer => interviewer.email);
+    const conflicts = await Interview.findConflicts({
+      start: slot.start,
+      end: slot.end,
+      candidateId: application.clerkUserId,
+      interviewerEmails: emails,
+      excludeId: interview._id
+    });
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot is no longer available - please pick another one',
+        conflicts: describeConflicts(conflicts, application.clerkUserId, emails)
+      });
+    }
+
+    // Only one booking wins if the candidate double-submits
+    const booked = await Interview.findOneAndUpdate(
+      { _id: interview._id, status: 'proposed' },
+      {
+        $set: { status: 'confirmed', scheduledStart: slot.start, scheduledEnd: slot.end, confirmedAt: new Date() },
+        $inc: { sequence: 1 }
+      },
+      { new: true }
+    );
+
+    if (!booked) {
+      return res.status(409).json({
+        success: false,
+        message: 'This interview has already been booked or cancelled'
+      });
+    }
+
+    const candidate = await User.findById(application.userId);
+    const calendar = calendarFor(booked, job, candidate, 'REQUEST');
+    const now = Date.now();
+
+    await enqueueEmail(participants(booked, candidate).flatMap(recipient => [
+      interviewConfirmedEmail({ recipient, job, interview: booked, calendar }),
+      ...REMINDER_OFFSETS_MS
+        .map(offset => new Date(booked.scheduledStart.getTime() - offset))
+        .filter(sendAfter => sendAfter.getTime() > now)
+        .map(sendAfter => interviewReminderEmail({ recipient, job, interview: booked, sendAfter }))
+    ]));
+
+    res.json({
+      success: true,
+      message: 'Interview confirmed - a calendar invite is on its way',
+      data: booked
+    });
+  } catch (error) {
+    interviewError(res, error, 'Error booking interview');
+  }
+});
+
+// POST /api/applications/:applicationId/interviews/:interviewId/cancel - Cancel (either side)
+router.post('/:interviewId/cancel', requireAuth, async (req, res) => {
+  try {
+    const context = await loadContext(req, res);
+    if (!context) return;
+
+    const { application, job, isCandidate } = context;
+
+    const interview = await findInterview(req, res);
+    if (!interview) return;
+
+    if (interview.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: 'This interview is already cancelled'
+      });
+    }
+
+    const candidate = await User.findById(application.userId);
+    await cancelInterview(interview, {
+      job,
+      candidate,
+      reason: req.body.reason,
+      cancelledBy: isCandidate ? 'candidate' : 'employer'
+    });
+
+    res.json({
+      success: true,
+      message: 'Interview cancelled',
+      data: interview
+    });
+  } catch (error) {
+    interviewError(res, error, 'Error cancelling interview');
+  }
+});
+
+// GET /api/applications/:applicationId/interviews/:interviewId/calendar.ics - Calendar file
+router.get('/:interviewId/calendar.ics', requireAuth, async (req, res) => {
+  try {
+    const context = await loadContext(req, res);
+    if (!context) return;
+
+    const interview = await findInterview(req, res);
+    if (!interview) return;
+
+    if (interview.status !== 'confirmed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only confirmed interviews have a calendar invite'
+      });
+    }
+
+    const candidate = await User.findById(context.application.userId);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8; method=REQUEST',
+      'Content-Disposition': 'attachment; filename="interview.ics"'
+    });
+    res.send(calendarFor(interview, context.job, candidate, 'REQUEST'));
+  } catch (error) {
+    interviewError(res, error, 'Error generating calendar invite');
+  }
+});
+
+export default router;
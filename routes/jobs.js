@@ -1,42 +1,110 @@
 import express from 'express';
 import Job from '../models/Job.js';
+import User from '../models/User.js';
+import Employer from '../models/Employer.js';
+import Application from '../models/Application.js';
+import { requireAuth, optionalAuth } from '../middleware/auth.js';
+import { can, forbidden } from '../utils/policy.js';
+import { getStages, OUTCOMES, validateCustomStages } from '../utils/pipeline.js';
+import { geocode, toPoint } from '../utils/geocode.js';
+import { buildJobFilters, combineFilters } from '../utils/jobFilters.js';
+import { getSimilarJobs, clearSimilarJobsCache } from '../utils/similarJobs.js';
 
 const router = express.Router();
 
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+// Annual salary buckets for the search facets; the last boundary is exclusive
+const SALARY_FACET_BOUNDARIES = [0, 30000, 50000, 75000, 100000, 150000, 200000, Number.MAX_SAFE_INTEGER];
+const LOCATION_FACET_LIMIT = 10;
+
+// Resolves lat/lng or near=<city> from the query; returns { origin } or { error }
+const getSearchOrigin = ({ lat, lng, near }) => {
+  if (near) {
+    const place = geocode(near);
+    return place ? { origin: place } : { error: `Unknown location: ${near}` };
+  }
+
+  if (lat === undefined && lng === undefined) return {};
+
+  const latitude = Number(lat);
+  const longitude = Number(lng);
+  if (lat === undefined || lng === undefined || Number.isNaN(latitude) || Number.isNaN(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return { error: 'lat and lng must both be valid coordinates' };
+  }
+  return { origin: { lat: latitude, lng: longitude } };
+};
+
 // GET /api/jobs - Get all jobs with filtering (existing)
 router.get('/', async (req, res) => {
   try {
-    const { 
-      type, 
-      category, 
-      location, 
-      remote, 
-      featured,
-      page = 1, 
-      limit = 10 
-    } = req.query;
-
-    const filter = {};
-    
-    if (type) filter.type = type;
-    if (category) filter.category = category;
-    if (location) filter.location = { $regex: location, $options: 'i' };
-    if (remote) filter.isRemote = remote === 'true';
-    if (featured) filter.isFeatured = featured === 'true';
+    const { radius, page = 1, limit = 10 } = req.query;
+
+    const { origin, error: originError } = getSearchOrigin(req.query);
+    if (originError) {
+      return res.status(400).json({
+        success: false,
+        message: originError
+      });
+    }
+
+    // Salary filters compare annualized amounts, so hourly and yearly jobs mix correctly
+    const filter = combineFilters(buildJobFilters(req.query), Job.publicFilter());
 
     const skip = (page - 1) * limit;
 
-    const jobs = await Job.find(filter)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    let jobs;
+    let total;
+    let geoSearch;
+
+    if (origin) {
+      // Radius search: nearest first, with the distance on each result
+      const radiusKm = Math.min(Math.max(Number(radius) || DEFAULT_RADIUS_KM, 1), MAX_RADIUS_KM);
+      const [result] = await Job.aggregate([
+        {
+          $geoNear: {
+            near: toPoint(origin),
+            key: 'geo',
+            distanceField: 'distance',
+            maxDistance: radiusKm * 1000,
+            spherical: true,
+            query: filter
+          }
+        },
+        {
+          $facet: {
+            data: [{ $skip: skip }, { $limit: parseInt(limit) }],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      jobs = result.data.map(doc => ({
+        ...Job.hydrate(doc).toJSON(),
+        distanceKm: Math.round(doc.distance / 100) / 10
+      }));
+      total = result.total[0]?.count || 0;
+      geoSearch = {
+        origin: { name: origin.name, lat: origin.lat, lng: origin.lng },
+        radiusKm
+      };
+    } else {
+      jobs = await Job.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      total = await Job.countDocuments(filter);
+    }
 
-    const total = await Job.countDocuments(filter);
     const totalPages = Math.ceil(total / limit);
 
     res.json({
       success: true,
       data: jobs,
+      ...(geoSearch && { geoSearch }),
       pagination: {
         current: parseInt(page),
         total: totalPages,
@@ -54,38 +122,87 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/jobs/search - Search jobs (existing)
+// GET /api/jobs/search - Text search with filters, plus facet counts for each filter
 router.get('/search', async (req, res) => {
   try {
     const { q, page = 1, limit = 10 } = req.query;
 
-    if (!q) {
-      return res.status(400).json({
-        success: false,
-        message: 'Search query is required'
-      });
-    }
-
     const skip = (page - 1) * limit;
+    const filters = buildJobFilters(req.query);
+    const allFilters = combineFilters(filters);
+
+    // Each facet is counted with every filter except its own, so the UI can show
+    // how many results picking a different value would give
+    const facetPipeline = (dimension, groupBy) => [
+      { $match: combineFilters(filters, {}, dimension) },
+      { $group: { _id: groupBy, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    ];
+
+    const [result] = await Job.aggregate([
+      { $match: Job.publicFilter(q ? { $text: { $search: q } } : {}) },
+      ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          results: [
+            { $match: allFilters },
+            { $sort: q ? { score: -1, createdAt: -1 } : { createdAt: -1 } },
+            { $skip: skip },
+            { $limit: parseInt(limit) }
+          ],
+          total: [
+            { $match: allFilters },
+            { $count: 'count' }
+          ],
+          type: facetPipeline('type', '$type'),
+          category: facetPipeline('category', '$category'),
+          remote: facetPipeline('remote', '$isRemote'),
+          featured: facetPipeline('featured', '$isFeatured'),
+          location: [
+            ...facetPipeline('location', '$location'),
+            { $limit: LOCATION_FACET_LIMIT }
+          ],
+          salary: [
+            { $match: combineFilters(filters, {}, 'salary') },
+            {
+              $bucket: {
+                groupBy: '$salaryAnnualMin',
+                boundaries: SALARY_FACET_BOUNDARIES,
+                default: 'unspecified',
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ]
+        }
+      }
+    ]);
 
-    const jobs = await Job.find(
-      { $text: { $search: q } },
-      { score: { $meta: 'textScore' } }
-    )
-      .sort({ score: { $meta: 'textScore' } })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Job.countDocuments({ $text: { $search: q } });
+    const total = result.total[0]?.count || 0;
     const totalPages = Math.ceil(total / limit);
 
     res.json({
       success: true,
-      data: jobs,
+      data: result.results.map(doc => ({
+        ...Job.hydrate(doc).toJSON(),
+        ...(q && { score: doc.score })
+      })),
+      facets: {
+        type: result.type,
+        category: result.category,
+        remote: result.remote,
+        featured: result.featured,
+        location: result.location,
+        salary: result.salary.map(({ _id, count }) => {
+          if (_id === 'unspecified') return { value: 'unspecified', count };
+          const max = SALARY_FACET_BOUNDARIES[SALARY_FACET_BOUNDARIES.indexOf(_id) + 1];
+          return { value: { min: _id, max: max === Number.MAX_SAFE_INTEGER ? null : max }, count };
+        })
+      },
       pagination: {
         current: parseInt(page),
         total: totalPages,
-        count: jobs.length,
+        count: result.results.length,
         totalJobs: total
       }
     });
@@ -99,12 +216,12 @@ router.get('/search', async (req, res) => {
   }
 });
 
-// GET /api/jobs/:id - Get single job (existing)
-router.get('/:id', async (req, res) => {
+// GET /api/jobs/:id - Get single job (unpublished jobs only for the employer's team)
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
 
-    if (!job) {
+    if (!job || (job.status !== 'published' && !can(req.user, 'job:viewUnpublished', job))) {
       return res.status(404).json({
         success: false,
         message: 'Job not found'
@@ -133,9 +250,51 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/jobs/:id/similar - Related published jobs for the detail page
+router.get('/:id/similar', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 6, 20);
+    const job = await Job.findById(req.params.id);
+
+    if (!job || job.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const { results, cached } = await getSimilarJobs(job, limit);
+
+    res.json({
+      success: true,
+      data: results,
+      cached
+    });
+  } catch (error) {
+    console.error('Get similar jobs error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching similar jobs',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/jobs - Create new job
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, async (req, res) => {
   try {
+    if (!can(req.user, 'job:create')) {
+      return forbidden(res, 'Only employers can post jobs');
+    }
+
     const {
       title,
       company,
@@ -143,16 +302,38 @@ router.post('/', async (req, res) => {
       type,
       category,
       salary,
+      salaryMin,
+      salaryMax,
+      salaryCurrency,
+      salaryPeriod,
       description,
       requirements,
       isRemote = false,
       isFeatured = false,
       isUrgent = false,
-      employerId
+      status = 'published',
+      publishAt,
+      expiresAt,
+      reapplyPolicy
     } = req.body;
 
-    // Basic validation
-    if (!title || !company || !location || !type || !category || !salary || !description || !employerId) {
+    // Jobs belong to the poster's company: their own, or one whose team they post
+    // for (`employerId` is the company's Employer.userId). Admins may post for anyone.
+    let employerId = req.auth.userId;
+    if (req.body.employerId && req.body.employerId !== req.auth.userId) {
+      if (req.user.userType !== 'admin' &&
+          !can(req.user, 'employer:postJobs', await Employer.findOne({ userId: req.body.employerId }))) {
+        return forbidden(res, 'You can only post jobs for your own company');
+      }
+      employerId = req.body.employerId;
+    }
+
+    if (isFeatured && !can(req.user, 'job:feature', await Employer.findOne({ userId: employerId }))) {
+      return forbidden(res, 'Only verified employers can feature jobs');
+    }
+
+    // Basic validation - salary can be free text, structured, or both
+    if (!title || !company || !location || !type || !category || (!salary && salaryMin == null) || !description) {
       return res.status(400).json({
         success: false,
         message: 'All required fields must be provided'
@@ -166,6 +347,14 @@ router.post('/', async (req, res) => {
       });
     }
 
+    // New jobs start as drafts or go live (a future publishAt schedules them)
+    if (!['draft', 'published'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New jobs must have status "draft" or "published"'
+      });
+    }
+
     const newJob = new Job({
       title,
       company,
@@ -173,15 +362,26 @@ router.post('/', async (req, res) => {
       type,
       category,
       salary,
+      salaryMin,
+      salaryMax,
+      salaryCurrency,
+      salaryPeriod,
       description,
       requirements,
       isRemote,
       isFeatured,
       isUrgent,
-      employerId
+      employerId,
+      // A recruiter keeps managing the jobs they post
+      assignedRecruiters: req.user.teamRole(employerId) === 'recruiter' ? [req.auth.userId] : [],
+      status,
+      publishAt,
+      expiresAt,
+      reapplyPolicy
     });
 
     const savedJob = await newJob.save();
+    clearSimilarJobsCache();
 
     res.status(201).json({
       success: true,
@@ -209,7 +409,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/jobs/:id - Update job
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireAuth, async (req, res) => {
   try {
     const {
       title,
@@ -218,11 +418,18 @@ router.put('/:id', async (req, res) => {
       type,
       category,
       salary,
+      salaryMin,
+      salaryMax,
+      salaryCurrency,
+      salaryPeriod,
       description,
       requirements,
       isRemote,
       isFeatured,
-      isUrgent
+      isUrgent,
+      publishAt,
+      expiresAt,
+      reapplyPolicy
     } = req.body;
 
     // Find job first
@@ -234,6 +441,15 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    if (!can(req.user, 'job:update', job)) {
+      return forbidden(res, 'You can only edit your own job postings');
+    }
+
+    if (typeof isFeatured === 'boolean' && isFeatured !== job.isFeatured &&
+        !can(req.user, 'job:feature', await Employer.findOne({ userId: job.employerId }))) {
+      return forbidden(res, 'Only verified employers can feature jobs');
+    }
+
     // Update fields
     const updateData = {};
     if (title) updateData.title = title;
@@ -242,17 +458,26 @@ router.put('/:id', async (req, res) => {
     if (type) updateData.type = type;
     if (category) updateData.category = category;
     if (salary) updateData.salary = salary;
+    if (salaryMin != null) updateData.salaryMin = salaryMin;
+    if (salaryMax != null) updateData.salaryMax = salaryMax;
+    if (salaryCurrency) updateData.salaryCurrency = salaryCurrency;
+    if (salaryPeriod) updateData.salaryPeriod = salaryPeriod;
     if (description) updateData.description = description;
     if (requirements) updateData.requirements = requirements;
     if (typeof isRemote === 'boolean') updateData.isRemote = isRemote;
     if (typeof isFeatured === 'boolean') updateData.isFeatured = isFeatured;
     if (typeof isUrgent === 'boolean') updateData.isUrgent = isUrgent;
+    if (publishAt !== undefined) updateData.publishAt = publishAt;
+    if (expiresAt !== undefined) updateData.expiresAt = expiresAt;
+    // Partial update - unspecified policy fields keep their values
+    ['afterWithdrawal', 'afterRejection', 'cooldownDays'].forEach(field => {
+      if (reapplyPolicy?.[field] !== undefined) updateData[`reapplyPolicy.${field}`] = reapplyPolicy[field];
+    });
 
-    const updatedJob = await Job.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    // Save through the document so the salary hook re-derives the structured fields
+    job.set(updateData);
+    const updatedJob = await job.save();
+    clearSimilarJobsCache();
 
     res.json({
       success: true,
@@ -286,8 +511,330 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// PUT /api/jobs/:id/status - Publish, schedule, pause or close a job
+router.put('/:id/status', requireAuth, async (req, res) => {
+  try {
+    const { status, publishAt } = req.body;
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (!can(req.user, 'job:update', job)) {
+      return forbidden(res, 'You can only edit your own job postings');
+    }
+
+    if (!job.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change a ${job.status} job to "${status}"`
+      });
+    }
+
+    if (status === 'scheduled' && publishAt) job.publishAt = publishAt;
+    if (status === 'published') job.publishAt = undefined;
+    job.status = status;
+
+    await job.save();
+    clearSimilarJobsCache();
+
+    res.json({
+      success: true,
+      message: 'Job status updated successfully',
+      data: job
+    });
+  } catch (error) {
+    console.error('Update job status error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating job status',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/jobs/:id/repost - Put a closed, expired or paused job back online
+router.post('/:id/repost', requireAuth, async (req, res) => {
+  try {
+    const { expiresAt } = req.body;
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (!can(req.user, 'job:update', job)) {
+      return forbidden(res, 'You can only edit your own job postings');
+    }
+
+    if (!['closed', 'expired', 'paused'].includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only closed, expired or paused jobs can be reposted (this job is ${job.status})`
+      });
+    }
+
+    const now = new Date();
+
+    // Keep the original listing length unless a new expiry is given
+    let newExpiry = expiresAt ? new Date(expiresAt) : undefined;
+    if (!newExpiry && job.expiresAt && job.publishedAt) {
+      newExpiry = new Date(now.getTime() + (job.expiresAt - job.publishedAt));
+    }
+
+    job.set({
+      status: 'published',
+      publishAt: undefined,
+      publishedAt: now,
+      expiresAt: newExpiry,
+      closedAt: undefined
+    });
+
+    await job.save();
+    clearSimilarJobsCache();
+
+    res.json({
+      success: true,
+      message: 'Job reposted successfully',
+      data: job
+    });
+  } catch (error) {
+    console.error('Repost job error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error reposting job',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/jobs/:id/pipeline - Get the hiring stages for a job
+router.get('/:id/pipeline', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('pipelineStages');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        stages: getStages(job),
+        outcomes: OUTCOMES
+      }
+    });
+  } catch (error) {
+    console.error('Get job pipeline error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching job pipeline',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/jobs/:id/pipeline - Replace the custom hiring stages for a job
+router.put('/:id/pipeline', requireAuth, async (req, res) => {
+  try {
+    const { stages = [] } = req.body;
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (!can(req.user, 'job:update', job)) {
+      return forbidden(res, 'You can only edit your own job postings');
+    }
+
+    const errors = validateCustomStages(stages);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
+    // Don't strand applications in a stage that is being removed
+    const keptKeys = stages.map(stage => stage.key);
+    const removedKeys = job.pipelineStages
+      .map(stage => stage.key)
+      .filter(key => !keptKeys.includes(key));
+
+    if (removedKeys.length > 0) {
+      const inUse = await Application.countDocuments({ jobId: job._id, status: { $in: removedKeys } });
+      if (inUse > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot remove stages that still have applications: ${removedKeys.join(', ')}`
+        });
+      }
+    }
+
+    job.pipelineStages = stages.map(({ key, label, after }) => ({ key, label: label.trim(), after }));
+    await job.save();
+
+    res.json({
+      success: true,
+      message: 'Job pipeline updated successfully',
+      data: {
+        stages: getStages(job),
+        outcomes: OUTCOMES
+      }
+    });
+  } catch (error) {
+    console.error('Update job pipeline error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating job pipeline',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/jobs/:id/recruiters - Replace the team recruiters assigned to a job
+router.put('/:id/recruiters', requireAuth, async (req, res) => {
+  try {
+    const { recruiters } = req.body;
+
+    if (!Array.isArray(recruiters) || !recruiters.every(id => typeof id === 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recruiters must be an array of user IDs'
+      });
+    }
+
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (!can(req.user, 'job:assignRecruiters', job)) {
+      return forbidden(res, 'Only the company owners can assign recruiters');
+    }
+
+    // Only recruiters and owners on this employer's team can be assigned
+    const requested = [...new Set(recruiters)];
+    const members = await User.find({ clerkUserId: { $in: requested } })
+      .select('clerkUserId employerMemberships organizations');
+    const memberIds = new Set(members
+      .filter(member => ['owner', 'recruiter'].includes(member.teamRole(job.employerId)))
+      .map(member => member.clerkUserId));
+    const invalid = requested.filter(id => !memberIds.has(id));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some users are not recruiters on this team',
+        invalid
+      });
+    }
+
+    job.assignedRecruiters = requested;
+    await job.save();
+
+    res.json({
+      success: true,
+      message: 'Recruiters updated',
+      data: { assignedRecruiters: job.assignedRecruiters }
+    });
+  } catch (error) {
+    console.error('Assign recruiters error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error assigning recruiters',
+      error: error.message
+    });
+  }
+});
+
 // DELETE /api/jobs/:id - Delete job
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAuth, async (req, res) => {
   try {
     const job = await Job.findById(req.params.id);
     
@@ -298,7 +845,17 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    if (!can(req.user, 'job:delete', job)) {
+      return forbidden(res, 'You can only delete your own job postings');
+    }
+
     await Job.findByIdAndDelete(req.params.id);
+    // Don't leave saved-job entries pointing at nothing
+    await User.updateMany(
+      { 'savedJobs.jobId': job._id },
+      { $pull: { savedJobs: { jobId: job._id } } }
+    );
+    clearSimilarJobsCache();
 
     res.json({
       success: true,
@@ -330,11 +887,14 @@ router.delete('/:id', async (req, res) => {
 // GET /api/jobs/stats/count - Get job statistics (existing)
 router.get('/stats/count', async (req, res) => {
   try {
-    const totalJobs = await Job.countDocuments();
-    const featuredJobs = await Job.countDocuments({ isFeatured: true });
-    const remoteJobs = await Job.countDocuments({ isRemote: true });
+    const totalJobs = await Job.countDocuments(Job.publicFilter());
+    const featuredJobs = await Job.countDocuments(Job.publicFilter({ isFeatured: true }));
+    const remoteJobs = await Job.countDocuments(Job.publicFilter({ isRemote: true }));
     
     const categoryStats = await Job.aggregate([
+      {
+        $match: Job.publicFilter()
+      },
       {
         $group: {
           _id: '$category',
@@ -347,6 +907,9 @@ router.get('/stats/count', async (req, res) => {
     ]);
 
     const typeStats = await Job.aggregate([
+      {
+        $match: Job.publicFilter()
+      },
       {
         $group: {
           _id: '$type',
@@ -0,0 +1,366 @@
+import express from 'express';
+import Employer from '../models/Employer.js';
+import EmployerInvitation from '../models/EmployerInvitation.js';
+import Job from '../models/Job.js';
+import User, { TEAM_ROLES } from '../models/User.js';
+import { requireAuth, requireUser } from '../middleware/auth.js';
+import { can, forbidden } from '../utils/policy.js';
+import { enqueueEmail } from '../utils/emailQueue.js';
+import { escapeHtml } from '../utils/mailer.js';
+
+// Employer teams. The account that created the employer (Employer.userId) is its
+// owner; others join through emailed invitations as owner, recruiter or viewer
+// (see utils/policy.js for what each role can do). Members of the employer's linked
+// Clerk organization are on the team too, with the role their organization role
+// gives (managed in Clerk, not here). Memberships live on the User document so
+// permission checks don't need another query.
+//
+//   /api/employers/:id/team/...              team management (this router)
+//   /api/employers/invitations/:token/accept accepting an invitation (invitationRoutes)
+
+const router = express.Router({ mergeParams: true });
+export const invitationRoutes = express.Router();
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://jobhub-works.vercel.app';
+
+const displayName = (user) => [user?.firstName, user?.lastName].filter(Boolean).join(' ');
+
+const teamInvitationEmail = ({ employer, invitation, token, inviter }) => {
+  const link = `${FRONTEND_URL}/invitations/${token}`;
+  const inviterName = displayName(inviter) || 'A colleague';
+
+  return {
+    to: invitation.email,
+    subject: `Join ${employer.companyName} on JobHub`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">You're invited to ${escapeHtml(employer.companyName)}</h2>
+        <p>${escapeHtml(inviterName)} invited you to join the hiring team as a <strong>${escapeHtml(invitation.role)}</strong>.</p>
+        <p><a href="${link}">Accept the invitation</a></p>
+        <p style="color: #6b7280; font-size: 12px;">The link expires on ${invitation.expiresAt.toDateString()}. Sign in with ${escapeHtml(invitation.email)} to accept it.</p>
+      </div>
+    `,
+    text: `${inviterName} invited you to join ${employer.companyName} on JobHub as a ${invitation.role}.\n\nAccept: ${link}`,
+    category: 'team_invitation',
+    relatedId: invitation._id
+  };
+};
+
+const teamError = (res, error, message) => {
+  console.error(`${message}:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: errors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// Loads the employer and checks `action`; responds and returns null otherwise
+const loadEmployer = async (req, res, action = 'employer:manageTeam') => {
+  const employer = await Employer.findById(req.params.id);
+
+  if (!employer) {
+    res.status(404).json({
+      success: false,
+      message: 'Employer not found'
+    });
+    return null;
+  }
+  if (!can(req.user, action, employer)) {
+    forbidden(res, action === 'employer:manageTeam'
+      ? 'Only the company owners can manage its team'
+      : "You are not on this company's team");
+    return null;
+  }
+  return employer;
+};
+
+const memberSummary = (user, role, joinedAt) => ({
+  userId: user.clerkUserId,
+  name: displayName(user),
+  email: user.email,
+  profileImage: user.profileImage,
+  role,
+  joinedAt
+});
+
+const checkRole = (res, role) => {
+  if (TEAM_ROLES.includes(role)) return true;
+
+  res.status(400).json({
+    success: false,
+    message: `Role must be one of: ${TEAM_ROLES.join(', ')}`
+  });
+  return false;
+};
+
+// GET /api/employers/:id/team - Members (and pending invitations, for owners)
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const employer = await loadEmployer(req, res, 'employer:viewTeam');
+    if (!employer) return;
+
+    const [owner, members] = await Promise.all([
+      User.findOne({ clerkUserId: employer.userId }),
+      User.find({
+        clerkUserId: { $ne: employer.userId },
+        $or: [{ 'employerMemberships.employerId': employer._id }, { 'organizations.employerId': employer._id }]
+      })
+    ]);
+
+    const team = members.map(member => {
+      const membership = member.employerMemberships.find(entry => entry.employerId.equals(employer._id));
+      return {
+        ...memberSummary(member, member.teamRole(employer.userId), membership?.joinedAt),
+        fromOrganization: member.organizations.some(entry => entry.employerId?.equals(employer._id))
+      };
+    });
+    if (owner) team.unshift({ ...memberSummary(owner, 'owner', employer.createdAt), isAccountOwner: true });
+
+    const invitations = can(req.user, 'employer:manageTeam', employer)
+      ? await EmployerInvitation.find({ employerId: employer._id, status: 'pending', expiresAt: { $gt: new Date() } })
+        .sort({ createdAt: -1 })
+      : undefined;
+
+    res.json({
+      success: true,
+      data: {
+        members: team,
+        invitations
+      }
+    });
+  } catch (error) {
+    teamError(res, error, 'Error fetching team');
+  }
+});
+
+// POST /api/employers/:id/team/invitations - Invite someone by email
+router.post('/invitations', requireAuth, async (req, res) => {
+  try {
+    const { email, role = 'recruiter' } = req.body;
+
+    const employer = await loadEmployer(req, res);
+    if (!employer) return;
+    if (!checkRole(res, role)) return;
+
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    const alreadyMember = await User.exists({
+      email: normalizedEmail,
+      $or: [
+        { clerkUserId: employer.userId },
+        { 'employerMemberships.employerId': employer._id },
+        { 'organizations.employerId': employer._id }
+      ]
+    });
+
+    if (alreadyMember) {
+      return res.status(409).json({
+        success: false,
+        message: 'This person is already on the team'
+      });
+    }
+
+    // Inviting again replaces the earlier link
+    await EmployerInvitation.updateMany(
+      { employerId: employer._id, email: normalizedEmail, status: 'pending' },
+      { $set: { status: 'revoked' } }
+    );
+
+    const { invitation, token } = EmployerInvitation.build({
+      employerId: employer._id,
+      email: normalizedEmail,
+      role,
+      invitedBy: req.auth.userId
+    });
+    await invitation.save();
+    await enqueueEmail(teamInvitationEmail({ employer, invitation, token, inviter: req.user }));
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: invitation
+    });
+  } catch (error) {
+    teamError(res, error, 'Error sending invitation');
+  }
+});
+
+// DELETE /api/employers/:id/team/invitations/:invitationId - Revoke a pending invitation
+router.delete('/invitations/:invitationId', requireAuth, async (req, res) => {
+  try {
+    const employer = await loadEmployer(req, res);
+    if (!employer) return;
+
+    const invitation = await EmployerInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, employerId: employer._id, status: 'pending' },
+      { $set: { status: 'revoked' } },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    teamError(res, error, 'Error revoking invitation');
+  }
+});
+
+// PUT /api/employers/:id/team/members/:userId - Change a member's role
+router.put('/members/:userId', requireAuth, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const employer = await loadEmployer(req, res);
+    if (!employer) return;
+    if (!checkRole(res, role)) return;
+
+    if (req.params.userId === employer.userId) {
+      return res.status(400).json({
+        success: false,
+        message: "The company account's own role cannot be changed"
+      });
+    }
+
+    const result = await User.updateOne(
+      { clerkUserId: req.params.userId, 'employerMemberships.employerId': employer._id },
+      { $set: { 'employerMemberships.$.role': role } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    // Viewers don't manage jobs
+    if (role === 'viewer') {
+      await Job.updateMany({ employerId: employer.userId }, { $pull: { assignedRecruiters: req.params.userId } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: { userId: req.params.userId, role }
+    });
+  } catch (error) {
+    teamError(res, error, 'Error updating team member');
+  }
+});
+
+// DELETE /api/employers/:id/team/members/:userId - Remove a member (or leave the team)
+router.delete('/members/:userId', requireAuth, async (req, res) => {
+  try {
+    const isLeaving = req.params.userId === req.auth.userId;
+    const employer = await loadEmployer(req, res, isLeaving ? 'employer:viewTeam' : 'employer:manageTeam');
+    if (!employer) return;
+
+    if (req.params.userId === employer.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The company account cannot be removed from its team'
+      });
+    }
+
+    const result = await User.updateOne(
+      { clerkUserId: req.params.userId, 'employerMemberships.employerId': employer._id },
+      { $pull: { employerMemberships: { employerId: employer._id } } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Team member not found'
+      });
+    }
+
+    await Job.updateMany({ employerId: employer.userId }, { $pull: { assignedRecruiters: req.params.userId } });
+
+    res.json({
+      success: true,
+      message: isLeaving ? 'You left the team' : 'Team member removed'
+    });
+  } catch (error) {
+    teamError(res, error, 'Error removing team member');
+  }
+});
+
+// POST /api/employers/invitations/:token/accept - Join the team. The signed-in
+// user's email must be the one the invitation was sent to.
+invitationRoutes.post('/:token/accept', requireAuth, requireUser, async (req, res) => {
+  try {
+    const invitation = await EmployerInvitation.findByToken(req.params.token);
+
+    if (!invitation || !invitation.isUsable()) {
+      return res.status(404).json({
+        success: false,
+        message: 'This invitation is invalid or has expired'
+      });
+    }
+
+    if (invitation.email !== req.user.email) {
+      return forbidden(res, `This invitation was sent to ${invitation.email} - sign in with that address to accept it`);
+    }
+
+    const employer = await Employer.findById(invitation.employerId);
+    if (!employer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employer not found'
+      });
+    }
+
+    if (employer.userId !== req.auth.userId) {
+      const membership = req.user.employerMemberships.find(entry => entry.employerId.equals(employer._id));
+      if (membership) {
+        membership.role = invitation.role;
+      } else {
+        req.user.employerMemberships.push({ employerId: employer._id, ownerId: employer.userId, role: invitation.role });
+      }
+      if (req.user.isJobSeeker()) req.user.userType = 'employer';
+      await req.user.save();
+    }
+
+    invitation.set({ status: 'accepted', acceptedBy: req.auth.userId, acceptedAt: new Date() });
+    await invitation.save();
+
+    res.json({
+      success: true,
+      message: `You joined ${employer.companyName} as a ${invitation.role}`,
+      data: {
+        employerId: employer._id,
+        companyName: employer.companyName,
+        role: invitation.role
+      }
+    });
+  } catch (error) {
+    teamError(res, error, 'Error accepting invitation');
+  }
+});
+
+export default router;
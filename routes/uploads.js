@@ -0,0 +1,316 @@
+import express from 'express';
+import Upload from '../models/Upload.js';
+import Employer from '../models/Employer.js';
+import Application from '../models/Application.js';
+import { requireAuth, requireUser, optionalAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { can, forbidden } from '../utils/policy.js';
+import { getStorage } from '../utils/storage/index.js';
+import {
+  UPLOAD_RULES,
+  uploadMiddleware,
+  detectFileType,
+  allowedMimeTypes,
+  storageKeyFor,
+  signDownloadUrl,
+  verifyDownloadSignature,
+  signClaimToken
+} from '../utils/uploads.js';
+
+const router = express.Router();
+
+const BACKEND_URL = process.env.BACKEND_URL || 'https://backenddeployment-1-wwzi.onrender.com';
+
+// Runs multer for one upload kind and validates size, MIME type and content
+const acceptFile = (kind) => (req, res, next) => {
+  uploadMiddleware(kind)(req, res, (error) => {
+    if (error) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge
+          ? `File is too large (max ${UPLOAD_RULES[kind].maxBytes / (1024 * 1024)} MB)`
+          : `Upload error: ${error.message}`
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required (multipart field "file")'
+      });
+    }
+
+    req.fileType = detectFileType(kind, req.file);
+    if (!req.fileType) {
+      return res.status(415).json({
+        success: false,
+        message: 'Unsupported file type or file content does not match its type',
+        allowedTypes: allowedMimeTypes(kind)
+      });
+    }
+
+    next();
+  });
+};
+
+const storeFile = async (req, kind, extra = {}) => {
+  const storage = await getStorage();
+  const storageKey = storageKeyFor(kind, req.fileType);
+
+  await storage.put(storageKey, req.file.buffer, { contentType: req.file.mimetype });
+
+  try {
+    return await Upload.create({
+      kind,
+      storageKey,
+      originalName: req.file.originalname,
+      contentType: req.file.mimetype,
+      size: req.file.size,
+      uploadedBy: req.auth?.userId || null,
+      ...extra
+    });
+  } catch (error) {
+    await storage.remove(storageKey);
+    throw error;
+  }
+};
+
+// Logos are public; resumes are visible to the applicant and the teams of the
+// employers they applied to; contact attachments to the sender and support (admins)
+const canReadUpload = async (req, upload) => {
+  if (upload.kind === 'logo') return true;
+  if (!req.auth) return false;
+  if (req.user?.userType === 'admin') return true;
+  if (upload.uploadedBy && upload.uploadedBy === req.auth.userId) return true;
+
+  if (upload.kind === 'resume') {
+    const employerIds = req.user ? req.user.employerIds() : [req.auth.userId];
+    return Boolean(await Application.exists({ resumeUpload: upload._id, employerId: { $in: employerIds } }));
+  }
+
+  return false;
+};
+
+const uploadError = (res, error, message) => {
+  console.error(`${message}:`, error);
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid ID'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// POST /api/uploads/resume - Upload a resume (PDF/DOCX)
+// Multipart field "file"; setAsProfileResume=true also links it from the profile
+router.post('/resume', requireAuth, requireUser, acceptFile('resume'), async (req, res) => {
+  try {
+    const upload = await storeFile(req, 'resume');
+
+    if (req.body.setAsProfileResume === 'true') {
+      req.user.set('profile.resumeUrl', upload.path);
+      await req.user.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Resume uploaded successfully',
+      data: upload
+    });
+  } catch (error) {
+    uploadError(res, error, 'Error uploading resume');
+  }
+});
+
+// POST /api/uploads/logo - Upload a company logo (PNG/JPEG/WebP)
+// Multipart fields "file" and "employerId"
+router.post('/logo', requireAuth, acceptFile('logo'), async (req, res) => {
+  try {
+    const employer = await Employer.findById(req.body.employerId);
+
+    if (!employer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employer not found'
+      });
+    }
+
+    if (!can(req.user, 'employer:update', employer)) {
+      return forbidden(res, 'You can only change the logo of your own company');
+    }
+
+    const upload = await storeFile(req, 'logo', { employerId: employer._id });
+    const previous = employer.logoUpload;
+
+    employer.logoUpload = upload._id;
+    employer.logoUrl = `${BACKEND_URL}${upload.path}/download`;
+    await employer.save();
+
+    // The old logo is no longer referenced anywhere
+    if (previous) {
+      const old = await Upload.findByIdAndDelete(previous);
+      if (old) await (await getStorage()).remove(old.storageKey);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Logo uploaded successfully',
+      data: { upload, logoUrl: employer.logoUrl }
+    });
+  } catch (error) {
+    uploadError(res, error, 'Error uploading logo');
+  }
+});
+
+// Anyone can upload contact attachments, so cap how many one client sends
+const attachmentRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  message: 'Too many attachments uploaded, please try again later'
+});
+
+// POST /api/uploads/contact-attachment - Attach a file to a contact inquiry
+// Returns a claimToken to send in attachmentTokens with POST /api/contact within
+// 24 hours; unclaimed attachments are deleted after that
+router.post('/contact-attachment', optionalAuth, attachmentRateLimit, acceptFile('contact_attachment'), async (req, res) => {
+  try {
+    const upload = await storeFile(req, 'contact_attachment');
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: {
+        ...upload.toJSON(),
+        claimToken: signClaimToken(upload)
+      }
+    });
+  } catch (error) {
+    uploadError(res, error, 'Error uploading attachment');
+  }
+});
+
+// GET /api/uploads/:id - File details and a short-lived download URL
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const upload = await Upload.findById(req.params.id);
+
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (!(await canReadUpload(req, upload))) {
+      return req.auth
+        ? forbidden(res, 'You do not have access to this file')
+        : res.status(401).json({ success: false, message: 'Authentication required' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...upload.toJSON(),
+        download: signDownloadUrl(upload, { baseUrl: BACKEND_URL })
+      }
+    });
+  } catch (error) {
+    uploadError(res, error, 'Error fetching file');
+  }
+});
+
+// GET /api/uploads/:id/download - Stream the file (signed URL, logos are public)
+router.get('/:id/download', async (req, res) => {
+  try {
+    const upload = await Upload.findById(req.params.id);
+
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const { expires, signature } = req.query;
+    if (upload.kind !== 'logo' && !verifyDownloadSignature(upload._id.toString(), expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Download link is invalid or has expired'
+      });
+    }
+
+    const stream = await (await getStorage()).get(upload.storageKey);
+    const filename = (upload.originalName || 'download').replace(/[^\w.\- ]+/g, '_');
+
+    res.set({
+      'Content-Type': upload.contentType,
+      'Content-Length': upload.size,
+      'Content-Disposition': `${upload.kind === 'logo' ? 'inline' : 'attachment'}; filename="${filename}"`,
+      'Cache-Control': upload.kind === 'logo' ? 'public, max-age=86400' : 'private, no-store'
+    });
+
+    stream.on('error', (error) => {
+      console.error('Download stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({
+        success: false,
+        message: 'File content is missing from storage'
+      });
+    }
+    uploadError(res, error, 'Error downloading file');
+  }
+});
+
+// DELETE /api/uploads/:id - Delete your own upload (admins: any)
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const upload = await Upload.findById(req.params.id);
+
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    if (upload.uploadedBy !== req.auth.userId && req.user?.userType !== 'admin') {
+      return forbidden(res, 'You can only delete your own files');
+    }
+
+    // Employers still need resumes attached to applications
+    if (upload.kind === 'resume' && await Application.exists({ resumeUpload: upload._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'This resume is attached to an application and cannot be deleted'
+      });
+    }
+
+    if (upload.kind === 'logo') {
+      await Employer.updateOne({ logoUpload: upload._id }, { $unset: { logoUpload: 1, logoUrl: 1 } });
+    }
+
+    await (await getStorage()).remove(upload.storageKey);
+    await upload.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'File deleted successfully'
+    });
+  } catch (error) {
+    uploadError(res, error, 'Error deleting file');
+  }
+});
+
+export default router;
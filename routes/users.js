@@ -1,32 +1,68 @@
 import express from 'express';
+import Job from '../models/Job.js';
 import User from '../models/User.js';
+import Application from '../models/Application.js';
+import SavedSearch from '../models/SavedSearch.js';
+import Upload from '../models/Upload.js';
+import { requireAuth, requireUser } from '../middleware/auth.js';
+import { applyProfileUpdates } from '../utils/profileUpdate.js';
+import { scoreJobForUser, hasRecommendationSignals } from '../utils/recommendations.js';
+import { buildJobFilters, combineFilters } from '../utils/jobFilters.js';
+import { readFile } from '../utils/storage/index.js';
+import { extractText, parseResumeText, proposeProfileUpdates } from '../utils/resumeParser.js';
+import { collectUserData, sendExportZip } from '../utils/dataExport.js';
+import { scheduleErasure } from '../utils/erasure.js';
 
 const router = express.Router();
 
+// Newest published jobs considered for recommendations
+const RECOMMENDATION_CANDIDATES = 500;
+
+// Saved jobs expiring within this many days are flagged closingSoon
+const SAVED_JOB_CLOSING_SOON_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAVED_JOB_FIELDS = {
+  title: 1, company: 1, location: 1, type: 1, category: 1, salary: 1,
+  isRemote: 1, status: 1, expiresAt: 1, closedAt: 1, employerId: 1
+};
+
+// removed: the job was deleted; isClosed: no longer taking applications
+const savedJobFlags = (job, now = new Date()) => {
+  if (!job) return { removed: true, isClosed: true, closingSoon: false };
+
+  const isClosed = job.status !== 'published' || (job.expiresAt && job.expiresAt <= now);
+  const closingSoon = !isClosed && !!job.expiresAt &&
+    job.expiresAt - now <= SAVED_JOB_CLOSING_SOON_DAYS * DAY_MS;
+
+  return { removed: false, isClosed: !!isClosed, closingSoon };
+};
+
+const MAX_SAVED_SEARCHES = 20;
+const SAVED_SEARCH_CRITERIA = ['q', 'type', 'category', 'location', 'remote', 'featured', 'minSalary', 'maxSalary', 'currency'];
+
+// Keep only the GET /api/jobs parameters a saved search understands
+const pickCriteria = (criteria = {}) =>
+  Object.fromEntries(
+    Object.entries(criteria).filter(([key, value]) =>
+      SAVED_SEARCH_CRITERIA.includes(key) && value !== undefined && value !== '')
+  );
+
+const savedSearchValidationError = (res, error) => {
+  const errors = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    message: 'Validation error',
+    errors: errors
+  });
+};
+
 // GET /api/users/me - Get current user profile
-router.get('/me', async (req, res) => {
+router.get('/me', requireAuth, requireUser, async (req, res) => {
   try {
-    // In a real app, you'd get user ID from JWT token or session
-    // For now, we'll use a query parameter for demo
-    const { clerkUserId } = req.query;
-
-    if (!clerkUserId) {
-      return res.status(400).json({
-        success: false,
-        message: 'User ID is required'
-      });
-    }
-
-    const user = await User.findOne({ clerkUserId })
-      .populate('applications.jobId')
-      .populate('savedJobs.jobId');
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+    const user = await req.user.populate([
+      { path: 'applications', options: { sort: { appliedAt: -1 } }, populate: { path: 'jobId' } },
+      { path: 'savedJobs.jobId' }
+    ]);
 
     res.json({
       success: true,
@@ -42,31 +78,31 @@ router.get('/me', async (req, res) => {
   }
 });
 
-// PUT /api/users/me - Update user profile
-router.put('/me', async (req, res) => {
+// PUT /api/users/me - Update editable profile and preferences fields
+router.put('/me', requireAuth, requireUser, async (req, res) => {
   try {
-    const { clerkUserId, updates } = req.body;
+    const { updates } = req.body;
 
-    if (!clerkUserId || !updates) {
+    if (!updates) {
       return res.status(400).json({
         success: false,
-        message: 'User ID and updates are required'
+        message: 'Updates are required'
       });
     }
 
-    const user = await User.findOneAndUpdate(
-      { clerkUserId },
-      updates,
-      { new: true, runValidators: true }
-    );
+    const user = req.user;
+    const { errors } = applyProfileUpdates(user, updates);
 
-    if (!user) {
-      return res.status(404).json({
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: 'Validation error',
+        errors
       });
     }
 
+    await user.save();
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -76,7 +112,9 @@ router.put('/me', async (req, res) => {
     console.error('Update user error:', error);
     
     if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
+      const errors = Object.fromEntries(
+        Object.entries(error.errors).map(([path, err]) => [path, err.message])
+      );
       return res.status(400).json({
         success: false,
         message: 'Validation error',
@@ -92,58 +130,173 @@ router.put('/me', async (req, res) => {
   }
 });
 
-// POST /api/users/me/applications - Apply for a job
-router.post('/me/applications', async (req, res) => {
+// POST /api/users/me/resume/parse - Propose profile updates from an uploaded resume
+// Body: { uploadId } (defaults to the resume linked from the profile). Nothing is
+// saved - send the returned `updates` to PUT /api/users/me to accept them.
+router.post('/me/resume/parse', requireAuth, requireUser, async (req, res) => {
   try {
-    const { clerkUserId, jobId, coverLetter } = req.body;
+    const user = req.user;
+    const uploadId = req.body.uploadId ||
+      user.profile?.resumeUrl?.match(/^\/api\/uploads\/([a-f0-9]{24})$/)?.[1];
+
+    const upload = uploadId && await Upload.findOwnedResume(uploadId, user.clerkUserId);
 
-    if (!clerkUserId || !jobId) {
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: 'Resume not found - upload one with POST /api/uploads/resume first'
+      });
+    }
+
+    let text;
+    try {
+      text = await extractText(await readFile(upload.storageKey), upload.contentType);
+    } catch (error) {
+      console.error('Resume text extraction error:', error);
+      return res.status(422).json({
+        success: false,
+        message: 'Could not read text from this resume'
+      });
+    }
+
+    const extracted = parseResumeText(text);
+    const updates = proposeProfileUpdates(user, extracted);
+
+    res.json({
+      success: true,
+      message: Object.keys(updates).length > 0
+        ? 'Review the proposed updates and send them to PUT /api/users/me'
+        : 'Your profile already has everything found in this resume',
+      data: {
+        extracted,
+        updates
+      }
+    });
+  } catch (error) {
+    console.error('Parse resume error:', error);
+
+    if (error.name === 'CastError') {
       return res.status(400).json({
         success: false,
-        message: 'User ID and Job ID are required'
+        message: 'Invalid upload ID'
       });
     }
 
-    const user = await User.findOne({ clerkUserId });
+    res.status(500).json({
+      success: false,
+      message: 'Error parsing resume',
+      error: error.message
+    });
+  }
+});
 
-    if (!user) {
-      return res.status(404).json({
+// GET /api/users/me/recommendations - Jobs matching the user's skills and preferences
+router.get('/me/recommendations', requireAuth, requireUser, async (req, res) => {
+  try {
+    const { limit = 10, minScore = 1 } = req.query;
+    const user = req.user;
+
+    if (!hasRecommendationSignals(user)) {
+      return res.json({
+        success: true,
+        data: [],
+        message: 'Add skills or job preferences to your profile to get recommendations'
+      });
+    }
+
+    // Leave out jobs the user already applied to or saved
+    const appliedJobIds = await Application.distinct('jobId', { userId: user._id });
+    const savedJobIds = user.savedJobs.map(saved => saved.jobId);
+
+    const jobs = await Job.find(Job.publicFilter({ _id: { $nin: [...appliedJobIds, ...savedJobIds] } }))
+      .sort({ createdAt: -1 })
+      .limit(RECOMMENDATION_CANDIDATES);
+
+    const recommendations = jobs
+      .map(job => ({ job, ...scoreJobForUser(user, job) }))
+      .filter(recommendation => recommendation.score >= Number(minScore))
+      .sort((a, b) => b.score - a.score || b.job.createdAt - a.job.createdAt)
+      .slice(0, parseInt(limit));
+
+    res.json({
+      success: true,
+      data: recommendations
+    });
+  } catch (error) {
+    console.error('Get recommendations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching recommendations',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/users/me/applications - Apply for a job
+router.post('/me/applications', requireAuth, requireUser, async (req, res) => {
+  try {
+    const { jobId, coverLetter, resumeUploadId } = req.body;
+
+    if (!jobId) {
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: 'Job ID is required'
       });
     }
 
-    // Check if already applied
-    const alreadyApplied = user.applications.some(app => 
-      app.jobId.toString() === jobId
-    );
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
 
-    if (alreadyApplied) {
+    if (!job.isAcceptingApplications()) {
       return res.status(400).json({
         success: false,
-        message: 'You have already applied for this job'
+        message: 'This job is no longer accepting applications'
       });
     }
 
-    // Add application
-    user.applications.push({
-      jobId,
-      coverLetter: coverLetter || '',
-      appliedAt: new Date()
-    });
+    let resumeUpload;
+    if (resumeUploadId) {
+      resumeUpload = await Upload.findOwnedResume(resumeUploadId, req.user.clerkUserId);
+      if (!resumeUpload) {
+        return res.status(400).json({
+          success: false,
+          message: 'Resume upload not found'
+        });
+      }
+    }
 
-    await user.save();
+    const application = await Application.submit(req.user, job, { coverLetter, resumeUpload });
+
+    if (!application) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already applied for this job'
+      });
+    }
 
     // Populate the job details for response
-    await user.populate('applications.jobId');
+    await application.populate('jobId');
 
     res.status(201).json({
       success: true,
       message: 'Application submitted successfully',
-      data: user.applications[user.applications.length - 1]
+      data: application
     });
   } catch (error) {
     console.error('Apply job error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error submitting application',
@@ -152,30 +305,114 @@ router.post('/me/applications', async (req, res) => {
   }
 });
 
+// GET /api/users/me/saved-jobs - Saved jobs, newest first
+// Filters: status=open|closing_soon|closed|removed plus the GET /api/jobs filters
+router.get('/me/saved-jobs', requireAuth, requireUser, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const now = new Date();
+    const closingSoonBy = new Date(now.getTime() + SAVED_JOB_CLOSING_SOON_DAYS * DAY_MS);
+
+    // The isClosed test of savedJobFlags: the scheduler expires jobs on an interval,
+    // so a published job whose expiresAt has passed is already closed
+    const openJob = { 'job.status': 'published', 'job.expiresAt': { $not: { $lte: now } } };
+    const statusFilters = {
+      open: openJob,
+      closing_soon: { 'job.status': 'published', 'job.expiresAt': { $gt: now, $lte: closingSoonBy } },
+      closed: { job: { $exists: true }, $nor: [openJob] },
+      removed: { job: { $exists: false } }
+    };
+
+    if (status && !statusFilters[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Object.keys(statusFilters).join(', ')}`
+      });
+    }
+
+    // Job filters apply to the joined job document
+    const jobFilter = Object.fromEntries(
+      Object.entries(combineFilters(buildJobFilters(req.query)))
+        .map(([field, condition]) => [`job.${field}`, condition])
+    );
+
+    const skip = (page - 1) * limit;
+
+    const [result] = await User.aggregate([
+      { $match: { _id: req.user._id } },
+      { $unwind: '$savedJobs' },
+      { $replaceRoot: { newRoot: '$savedJobs' } },
+      {
+        $lookup: {
+          from: Job.collection.name,
+          localField: 'jobId',
+          foreignField: '_id',
+          pipeline: [{ $project: SAVED_JOB_FIELDS }],
+          as: 'job'
+        }
+      },
+      { $set: { job: { $first: '$job' } } },
+      { $match: { ...jobFilter, ...(status && statusFilters[status]) } },
+      { $sort: { savedAt: -1 } },
+      {
+        $facet: {
+          results: [{ $skip: skip }, { $limit: parseInt(limit) }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const savedJobs = result.results.map(saved => ({
+      ...saved,
+      ...savedJobFlags(saved.job, now)
+    }));
+
+    res.json({
+      success: true,
+      data: savedJobs,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        count: savedJobs.length,
+        totalSavedJobs: total
+      }
+    });
+  } catch (error) {
+    console.error('Get saved jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching saved jobs',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/users/me/saved-jobs - Save a job
-router.post('/me/saved-jobs', async (req, res) => {
+router.post('/me/saved-jobs', requireAuth, requireUser, async (req, res) => {
   try {
-    const { clerkUserId, jobId } = req.body;
+    const { jobId, note } = req.body;
 
-    if (!clerkUserId || !jobId) {
+    if (!jobId) {
       return res.status(400).json({
         success: false,
-        message: 'User ID and Job ID are required'
+        message: 'Job ID is required'
       });
     }
 
-    const user = await User.findOne({ clerkUserId });
-
-    if (!user) {
+    const job = await Job.findById(jobId).select('_id');
+    if (!job) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Job not found'
       });
     }
 
+    const user = req.user;
+
     // Check if already saved
     const alreadySaved = user.savedJobs.some(saved => 
-      saved.jobId.toString() === jobId
+      saved.jobId?.toString() === jobId
     );
 
     if (alreadySaved) {
@@ -188,7 +425,8 @@ router.post('/me/saved-jobs', async (req, res) => {
     // Save job
     user.savedJobs.push({
       jobId,
-      savedAt: new Date()
+      savedAt: new Date(),
+      note
     });
 
     await user.save();
@@ -200,6 +438,23 @@ router.post('/me/saved-jobs', async (req, res) => {
     });
   } catch (error) {
     console.error('Save job error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
     res.status(500).json({
       success: false,
       message: 'Error saving job',
@@ -208,4 +463,325 @@ router.post('/me/saved-jobs', async (req, res) => {
   }
 });
 
+// PUT /api/users/me/saved-jobs/:jobId - Update the private note on a saved job
+router.put('/me/saved-jobs/:jobId', requireAuth, requireUser, async (req, res) => {
+  try {
+    const { note } = req.body;
+    const user = req.user;
+
+    const saved = user.savedJobs.find(entry => entry.jobId?.toString() === req.params.jobId);
+
+    if (!saved) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved job not found'
+      });
+    }
+
+    saved.note = note || undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Note updated successfully',
+      data: saved
+    });
+  } catch (error) {
+    console.error('Update saved job error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating saved job',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/users/me/saved-jobs/:jobId - Unsave a job
+router.delete('/me/saved-jobs/:jobId', requireAuth, requireUser, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { savedJobs: { jobId: req.params.jobId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job removed from saved jobs',
+      data: { jobId: req.params.jobId }
+    });
+  } catch (error) {
+    console.error('Unsave job error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid job ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error removing saved job',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/users/me/saved-searches - List saved searches
+router.get('/me/saved-searches', requireAuth, requireUser, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .select('-unsubscribeToken');
+
+    res.json({
+      success: true,
+      data: searches
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching saved searches',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/users/me/saved-searches - Save a search and get job alerts for it
+router.post('/me/saved-searches', requireAuth, requireUser, async (req, res) => {
+  try {
+    const { name, criteria, frequency } = req.body;
+
+    const count = await SavedSearch.countDocuments({ userId: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_SEARCHES} searches`
+      });
+    }
+
+    const search = await SavedSearch.create({
+      userId: req.user._id,
+      name,
+      criteria: pickCriteria(criteria),
+      frequency
+    });
+
+    const data = search.toObject();
+    delete data.unsubscribeToken;
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data
+    });
+  } catch (error) {
+    console.error('Save search error:', error);
+
+    if (error.name === 'ValidationError') {
+      return savedSearchValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error saving search',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/users/me/saved-searches/:id - Rename, change criteria/frequency or pause alerts
+router.put('/me/saved-searches/:id', requireAuth, requireUser, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, userId: req.user._id })
+      .select('-unsubscribeToken');
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    const { name, criteria, frequency, isActive } = req.body;
+
+    if (name !== undefined) search.name = name;
+    if (criteria !== undefined) search.criteria = pickCriteria(criteria);
+    if (frequency !== undefined) search.frequency = frequency;
+    if (isActive !== undefined) search.isActive = isActive;
+
+    await search.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: search
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid saved search ID'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return savedSearchValidationError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating saved search',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/users/me/saved-searches/:id - Delete a saved search
+router.delete('/me/saved-searches/:id', requireAuth, requireUser, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, userId: req.user._id });
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid saved search ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting saved search',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/users/me/export - Download everything we hold about the user
+// ?format=zip bundles the uploaded files too; the default is a JSON file
+router.get('/me/export', requireAuth, requireUser, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or zip'
+      });
+    }
+
+    const exported = await collectUserData(req.user);
+    const fileName = `jobhub-export-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    if (format === 'zip') {
+      return await sendExportZip(res, exported, fileName);
+    }
+
+    res.attachment(fileName);
+    res.send(JSON.stringify(exported.data, null, 2));
+  } catch (error) {
+    console.error('Export user data error:', error);
+
+    // The ZIP may already be streaming
+    if (res.headersSent) return res.destroy(error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting user data',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/users/me/erasure - Request deletion of the user's personal data.
+// It happens after a grace period, during which the request can be cancelled.
+router.post('/me/erasure', requireAuth, requireUser, async (req, res) => {
+  try {
+    const alreadyScheduled = Boolean(req.user.erasureScheduledFor);
+
+    scheduleErasure(req.user);
+    await req.user.save();
+
+    res.status(alreadyScheduled ? 200 : 202).json({
+      success: true,
+      message: alreadyScheduled
+        ? 'Erasure is already scheduled'
+        : 'Your personal data will be erased at the end of the grace period',
+      data: {
+        requestedAt: req.user.erasureRequestedAt,
+        scheduledFor: req.user.erasureScheduledFor
+      }
+    });
+  } catch (error) {
+    console.error('Request erasure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting erasure',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/users/me/erasure - Cancel a pending erasure request
+router.delete('/me/erasure', requireAuth, requireUser, async (req, res) => {
+  try {
+    if (!req.user.erasureScheduledFor) {
+      return res.status(404).json({
+        success: false,
+        message: 'No erasure request is pending'
+      });
+    }
+
+    req.user.erasureRequestedAt = undefined;
+    req.user.erasureScheduledFor = undefined;
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Erasure request cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel erasure error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling erasure',
+      error: error.message
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
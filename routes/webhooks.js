@@ -1,17 +1,37 @@
 import express from 'express';
 import User from '../models/User.js';
+import Employer from '../models/Employer.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+import verifyClerkWebhook from '../middleware/verifyClerkWebhook.js';
+import {
+  normalizeClerkUser,
+  normalizeClerkOrganization,
+  normalizeClerkMembership,
+  normalizeClerkSession
+} from '../utils/clerkClient.js';
+import { scheduleErasure } from '../utils/erasure.js';
 
 const router = express.Router();
 
-// Clerk webhook secret - set this in your environment variables
-const CLERK_WEBHOOK_SECRET = process.env.CLERK_WEBHOOK_SECRET;
+// Webhook endpoint for Clerk - signed with CLERK_WEBHOOK_SECRET via Svix
+router.post('/clerk', verifyClerkWebhook, async (req, res) => {
+  const { type, data } = req.body;
+  const svixId = req.webhook.id;
 
-// Webhook endpoint for Clerk
-router.post('/clerk', async (req, res) => {
   try {
-    const { type, data } = req.body;
+    console.log(`📨 Received Clerk webhook: ${type} (${svixId})`);
 
-    console.log(`📨 Received Clerk webhook: ${type}`);
+    // Svix redelivers on timeouts and errors - only process each message once
+    const claim = await WebhookEvent.claim(svixId, type);
+    if (claim === 'duplicate') {
+      console.log(`ℹ️ Skipping already processed webhook: ${svixId}`);
+      return res.status(200).json({ received: true, duplicate: true });
+    }
+    if (claim === 'processing') {
+      // Not acknowledged, so Svix retries - by then it is done or the claim is stale
+      console.log(`ℹ️ Webhook ${svixId} is still being processed`);
+      return res.status(409).json({ received: false, processing: true });
+    }
 
     switch (type) {
       case 'user.created':
@@ -25,14 +45,40 @@ router.post('/clerk', async (req, res) => {
       case 'user.deleted':
         await handleUserDeleted(data);
         break;
-      
+
+      case 'session.created':
+        await handleSessionCreated(data);
+        break;
+
+      case 'organization.created':
+      case 'organization.updated':
+        await handleOrganizationSaved(data);
+        break;
+
+      case 'organization.deleted':
+        await handleOrganizationDeleted(data);
+        break;
+
+      case 'organizationMembership.created':
+      case 'organizationMembership.updated':
+        await handleMembershipSaved(data);
+        break;
+
+      case 'organizationMembership.deleted':
+        await handleMembershipDeleted(data);
+        break;
+
       default:
         console.log(`ℹ️ Unhandled webhook type: ${type}`);
     }
 
+    await WebhookEvent.complete(svixId);
     res.status(200).json({ received: true });
   } catch (error) {
     console.error('❌ Webhook error:', error);
+    await WebhookEvent.release(svixId).catch(releaseError =>
+      console.error('❌ Failed to release webhook event:', releaseError)
+    );
     res.status(500).json({ error: 'Webhook processing failed' });
   }
 });
@@ -40,11 +86,9 @@ router.post('/clerk', async (req, res) => {
 // Handle new user creation from Clerk
 const handleUserCreated = async (data) => {
   try {
-    const clerkUser = data;
-    
-    // Create user in MongoDB
-    const user = await User.findOrCreateFromClerk(clerkUser);
-    
+    // Creates the user, or fills in the placeholder made if they applied first
+    const user = await User.syncFromClerk(normalizeClerkUser(data));
+
     console.log(`✅ User synchronized to MongoDB: ${user.email}`);
     return user;
   } catch (error) {
@@ -56,16 +100,9 @@ const handleUserCreated = async (data) => {
 // Handle user updates from Clerk
 const handleUserUpdated = async (data) => {
   try {
-    const clerkUser = data;
-    const user = await User.findOne({ clerkUserId: clerkUser.id });
+    const user = await User.syncFromClerk(normalizeClerkUser(data), { create: false });
 
     if (user) {
-      user.firstName = clerkUser.firstName || user.firstName;
-      user.lastName = clerkUser.lastName || user.lastName;
-      user.profileImage = clerkUser.profileImageUrl || user.profileImage;
-      user.email = clerkUser.emailAddresses[0]?.emailAddress || user.email;
-
-      await user.save();
       console.log(`✅ Updated user in MongoDB: ${user.email}`);
     }
   } catch (error) {
@@ -81,11 +118,12 @@ const handleUserDeleted = async (data) => {
     const user = await User.findOne({ clerkUserId: clerkUser.id });
 
     if (user) {
-      // Soft delete - mark as inactive instead of actually deleting
+      // Soft delete now; personal data is erased after the grace period
       user.isActive = false;
+      scheduleErasure(user);
       await user.save();
-      
-      console.log(`✅ Soft-deleted user in MongoDB: ${user.email}`);
+
+      console.log(`✅ Soft-deleted user in MongoDB: ${user.email} (erasure due ${user.erasureScheduledFor.toISOString()})`);
     }
   } catch (error) {
     console.error('❌ Error deleting user from webhook:', error);
@@ -93,4 +131,111 @@ const handleUserDeleted = async (data) => {
   }
 };
 
+// Last-login tracking. $max keeps out-of-order deliveries from moving it backwards.
+const handleSessionCreated = async (data) => {
+  try {
+    const session = normalizeClerkSession(data);
+    if (!session.userId) return;
+
+    await User.updateOne(
+      { clerkUserId: session.userId },
+      { $max: { lastLoginAt: session.createdAt } }
+    );
+  } catch (error) {
+    console.error('❌ Error recording session from webhook:', error);
+    throw error;
+  }
+};
+
+// Links the organization to the employer profile of the user who created it,
+// unless that employer is already linked to a different organization
+const handleOrganizationSaved = async (data) => {
+  try {
+    const organization = normalizeClerkOrganization(data);
+    const linked = await Employer.exists({ clerkOrganizationId: organization.id });
+    if (linked || !organization.createdBy) return;
+
+    const employer = await Employer.findOneAndUpdate(
+      { userId: organization.createdBy, clerkOrganizationId: { $exists: false } },
+      { $set: { clerkOrganizationId: organization.id } },
+      { new: true }
+    );
+
+    if (employer) {
+      await User.updateMany(
+        { 'organizations.organizationId': organization.id },
+        { $set: { 'organizations.$.employerId': employer._id, 'organizations.$.ownerId': employer.userId } }
+      );
+      console.log(`✅ Linked organization ${organization.id} to employer ${employer.companyName}`);
+    }
+  } catch (error) {
+    console.error('❌ Error linking organization from webhook:', error);
+    throw error;
+  }
+};
+
+const handleOrganizationDeleted = async (data) => {
+  try {
+    await Employer.updateOne({ clerkOrganizationId: data.id }, { $unset: { clerkOrganizationId: '' } });
+    await User.updateMany(
+      { 'organizations.organizationId': data.id },
+      { $pull: { organizations: { organizationId: data.id } } }
+    );
+    console.log(`✅ Unlinked deleted organization ${data.id}`);
+  } catch (error) {
+    console.error('❌ Error unlinking organization from webhook:', error);
+    throw error;
+  }
+};
+
+// Organization members are on the linked employer's team (User.teamRole maps
+// their Clerk role), so they become employers too (admins stay admins)
+const handleMembershipSaved = async (data) => {
+  try {
+    const membership = normalizeClerkMembership(data);
+    if (!membership.organizationId || !membership.userId) return;
+
+    // The membership can arrive before user.created
+    const user = await User.findOne({ clerkUserId: membership.userId }) ||
+      await User.createPlaceholder(membership.userId);
+    const employer = await Employer.findOne({ clerkOrganizationId: membership.organizationId }).select('_id userId');
+
+    const entry = {
+      organizationId: membership.organizationId,
+      employerId: employer?._id,
+      ownerId: employer?.userId,
+      role: membership.role
+    };
+    const existing = user.organizations.find(org => org.organizationId === membership.organizationId);
+    if (existing) {
+      existing.set(entry);
+    } else {
+      user.organizations.push(entry);
+    }
+    if (user.userType === 'job_seeker') user.userType = 'employer';
+
+    await user.save();
+    console.log(`✅ Synced ${membership.role} membership of ${membership.organizationId} for ${user.email}`);
+  } catch (error) {
+    console.error('❌ Error syncing membership from webhook:', error);
+    throw error;
+  }
+};
+
+const handleMembershipDeleted = async (data) => {
+  try {
+    const membership = normalizeClerkMembership(data);
+    if (!membership.organizationId || !membership.userId) return;
+
+    await User.updateOne(
+      { clerkUserId: membership.userId },
+      { $pull: { organizations: { organizationId: membership.organizationId } } }
+    );
+    console.log(`✅ Removed membership of ${membership.organizationId} for ${membership.userId}`);
+  } catch (error) {
+    console.error('❌ Error removing membership from webhook:', error);
+    throw error;
+  }
+};
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Job from '../models/Job.js';
+import Employer from '../models/Employer.js';
+import { geocode, toPoint } from '../utils/geocode.js';
+
+dotenv.config();
+
+// Geocodes the free-text location of existing jobs and employers against the
+// bundled gazetteer and stores the GeoJSON point used by radius search.
+//
+// Usage: node scripts/backfillGeo.js [--dry-run] [--force]
+//   --force  re-geocode documents that already have a point
+
+const backfillModel = async (Model, { dryRun, force }) => {
+  const filter = force ? {} : { 'geo.coordinates': { $exists: false } };
+  const cursor = Model.find(filter).select('location').lean().cursor();
+
+  let located = 0;
+  const unknown = new Map();
+
+  for await (const doc of cursor) {
+    const place = geocode(doc.location);
+
+    if (!place) {
+      unknown.set(doc.location, (unknown.get(doc.location) || 0) + 1);
+      continue;
+    }
+
+    if (!dryRun) {
+      await Model.updateOne({ _id: doc._id }, { $set: { geo: toPoint(place) } });
+    }
+    located++;
+  }
+
+  console.log(`✅ ${Model.modelName}: geocoded ${located} documents`);
+  if (unknown.size > 0) {
+    console.log(`⚠️ ${Model.modelName}: no match for ${unknown.size} locations:`);
+    unknown.forEach((count, location) => console.log(`   "${location}" (${count})`));
+  }
+};
+
+const backfillGeo = async () => {
+  const options = {
+    dryRun: process.argv.includes('--dry-run'),
+    force: process.argv.includes('--force')
+  };
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (options.dryRun) console.log('ℹ️ Dry run - no changes will be written');
+
+    await Job.createIndexes();
+    await Employer.createIndexes();
+
+    await backfillModel(Job, options);
+    await backfillModel(Employer, options);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill error:', error);
+    process.exit(1);
+  }
+};
+
+// Only run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  backfillGeo();
+}
+
+export default backfillGeo;
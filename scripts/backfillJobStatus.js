@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Job from '../models/Job.js';
+
+dotenv.config();
+
+// Jobs created before the lifecycle fields existed have no status, and public
+// listings only show published jobs. Marks them published as of their creation date.
+//
+// Usage: node scripts/backfillJobStatus.js
+
+const backfillJobStatus = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const result = await Job.updateMany(
+      { status: { $exists: false } },
+      [{ $set: { status: 'published', publishedAt: '$createdAt' } }]
+    );
+
+    console.log(`✅ Marked ${result.modifiedCount} existing jobs as published`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill error:', error);
+    process.exit(1);
+  }
+};
+
+// Only run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  backfillJobStatus();
+}
+
+export default backfillJobStatus;
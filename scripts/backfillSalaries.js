@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Job from '../models/Job.js';
+import { parseSalary, toSalaryFields } from '../utils/salary.js';
+
+dotenv.config();
+
+// Fills salaryMin/salaryMax/salaryCurrency/salaryPeriod (and the annualized values)
+// on existing jobs from their free-text salary.
+//
+// Usage: node scripts/backfillSalaries.js [--dry-run] [--force]
+//   --force  re-parse jobs that already have structured values
+
+const backfillSalaries = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const force = process.argv.includes('--force');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('ℹ️ Dry run - no changes will be written');
+
+    const filter = force ? {} : { salaryMin: { $exists: false } };
+    const cursor = Job.find(filter).select('salary').lean().cursor();
+
+    let updated = 0;
+    const unparsed = [];
+
+    for await (const job of cursor) {
+      const parsed = parseSalary(job.salary);
+
+      if (!parsed) {
+        unparsed.push(`${job._id}: "${job.salary}"`);
+        continue;
+      }
+
+      if (!dryRun) {
+        await Job.updateOne({ _id: job._id }, { $set: toSalaryFields(parsed) });
+      } else {
+        console.log(`   ${job.salary} →`, toSalaryFields(parsed));
+      }
+      updated++;
+    }
+
+    console.log(`✅ Backfilled salaries for ${updated} jobs`);
+    if (unparsed.length > 0) {
+      console.log(`⚠️ Could not parse ${unparsed.length} salaries:`);
+      unparsed.forEach(line => console.log(`   ${line}`));
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill error:', error);
+    process.exit(1);
+  }
+};
+
+// Only run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  backfillSalaries();
+}
+
+export default backfillSalaries;
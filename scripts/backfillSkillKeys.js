@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import { skillKeys } from '../utils/skillMatch.js';
+
+dotenv.config();
+
+// Fills User.skillKeys (normalized profile skills, used by the applicant skill
+// filter and match scores) on users saved before it existed. Safe to re-run.
+//
+// Usage: node scripts/backfillSkillKeys.js [--dry-run]
+
+const backfillSkillKeys = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('ℹ️ Dry run - no changes will be written');
+
+    const cursor = User.find({ skillKeys: { $exists: false } }).select('profile.skills').lean().cursor();
+    let updated = 0;
+
+    for await (const user of cursor) {
+      const keys = skillKeys(user.profile?.skills);
+
+      if (!dryRun) {
+        await User.updateOne({ _id: user._id }, { $set: { skillKeys: keys } });
+      } else if (keys.length > 0) {
+        console.log(`   ${user._id}: ${keys.join(', ')}`);
+      }
+      updated++;
+    }
+
+    console.log(`✅ Backfilled skill keys for ${updated} users`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill error:', error);
+    process.exit(1);
+  }
+};
+
+// Only run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  backfillSkillKeys();
+}
+
+export default backfillSkillKeys;
@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { signToken } from '../utils/clerkJwt.js';
+
+// Issues Clerk-shaped session tokens signed with a local key pair so the API can be
+// exercised without Clerk. Point the server at the public key:
+//   CLERK_JWT_KEY=.dev-keys/public.pem
+//
+// Usage: node scripts/devToken.js <clerkUserId> [expiresInMinutes]
+
+const KEY_DIR = path.resolve(process.env.DEV_KEY_DIR || '.dev-keys');
+const PRIVATE_KEY_PATH = path.join(KEY_DIR, 'private.pem');
+const PUBLIC_KEY_PATH = path.join(KEY_DIR, 'public.pem');
+
+const ensureKeyPair = () => {
+  if (fs.existsSync(PRIVATE_KEY_PATH) && fs.existsSync(PUBLIC_KEY_PATH)) {
+    return fs.readFileSync(PRIVATE_KEY_PATH, 'utf8');
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+
+  fs.mkdirSync(KEY_DIR, { recursive: true });
+  fs.writeFileSync(PRIVATE_KEY_PATH, privateKey, { mode: 0o600 });
+  fs.writeFileSync(PUBLIC_KEY_PATH, publicKey);
+  console.log(`🔑 Generated local key pair in ${KEY_DIR}`);
+
+  return privateKey;
+};
+
+const devToken = () => {
+  const [clerkUserId, expiresInMinutes = '60'] = process.argv.slice(2);
+
+  if (!clerkUserId) {
+    console.error('Usage: node scripts/devToken.js <clerkUserId> [expiresInMinutes]');
+    process.exit(1);
+  }
+
+  const privateKey = ensureKeyPair();
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    sub: clerkUserId,
+    sid: `sess_dev_${crypto.randomBytes(6).toString('hex')}`,
+    iat: now,
+    nbf: now,
+    exp: now + parseInt(expiresInMinutes, 10) * 60
+  };
+
+  if (process.env.CLERK_ISSUER) payload.iss = process.env.CLERK_ISSUER;
+  if (process.env.CLERK_AUDIENCE) payload.aud = process.env.CLERK_AUDIENCE.split(',')[0].trim();
+
+  console.log(`CLERK_JWT_KEY=${path.relative(process.cwd(), PUBLIC_KEY_PATH)}`);
+  console.log(`Authorization: Bearer ${signToken(payload, privateKey)}`);
+};
+
+// Only run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  devToken();
+}
+
+export default devToken;
@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import Job from '../models/Job.js';
+import Application from '../models/Application.js';
+
+dotenv.config();
+
+// Moves applications embedded in User documents into the Application collection.
+// Application _ids are preserved, so IDs already handed to clients keep working.
+// Safe to re-run: existing applications are left untouched. Entries whose job no
+// longer exists stay embedded on the user so nothing is lost.
+//
+// Usage: node scripts/migrateApplications.js [--dry-run]
+
+const migrateApplications = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    if (dryRun) console.log('ℹ️ Dry run - no changes will be written');
+
+    await Application.syncIndexes();
+
+    const employerIds = new Map();
+    const getEmployerId = async (jobId) => {
+      const key = jobId.toString();
+      if (!employerIds.has(key)) {
+        const job = await Job.findById(jobId).select('employerId').lean();
+        employerIds.set(key, job ? job.employerId : null);
+      }
+      return employerIds.get(key);
+    };
+
+    // Read the raw documents - `applications` is no longer part of the User schema
+    const cursor = User.collection.find(
+      { 'applications.0': { $exists: true } },
+      { projection: { clerkUserId: 1, applications: 1 } }
+    );
+
+    let usersMigrated = 0;
+    let moved = 0;
+    let skipped = 0;
+
+    for await (const user of cursor) {
+      const movedIds = [];
+
+      for (const app of user.applications) {
+        const employerId = app.jobId && await getEmployerId(app.jobId);
+
+        if (!employerId) {
+          console.warn(`⚠️ Skipping application ${app._id}: job ${app.jobId} no longer exists`);
+          skipped++;
+          continue;
+        }
+
+        if (!dryRun) {
+          await Application.updateOne(
+            { jobId: app.jobId, userId: user._id },
+            {
+              $setOnInsert: {
+                _id: app._id,
+                clerkUserId: user.clerkUserId,
+                employerId,
+                status: app.status || 'applied',
+                statusChangedAt: app.appliedAt || new Date(),
+                // The embedded applications kept no history - start it at the current status
+                history: [{
+                  from: null,
+                  to: app.status || 'applied',
+                  actorId: null,
+                  actorRole: 'system',
+                  reason: 'Migrated from embedded user applications',
+                  at: app.appliedAt || new Date()
+                }],
+                coverLetter: app.coverLetter || '',
+                resumeUrl: app.resumeUrl || '',
+                notes: app.notes || '',
+                appliedAt: app.appliedAt || new Date()
+              }
+            },
+            { upsert: true }
+          );
+        }
+        movedIds.push(app._id);
+        moved++;
+      }
+
+      if (movedIds.length === 0) continue;
+
+      if (!dryRun) {
+        // Only drop what was moved; unset the field once nothing is left
+        const update = movedIds.length === user.applications.length
+          ? { $unset: { applications: '' } }
+          : { $pull: { applications: { _id: { $in: movedIds } } } };
+        await User.collection.updateOne({ _id: user._id }, update);
+      }
+      usersMigrated++;
+    }
+
+    // The old POST /api/users/me/applications never incremented the counter.
+    // Withdrawn applications don't count (Application.withdraw takes them out).
+    if (!dryRun) {
+      const counts = await Application.aggregate([
+        { $match: { status: { $ne: 'withdrawn' } } },
+        { $group: { _id: '$jobId', count: { $sum: 1 } } }
+      ]);
+      await Job.updateMany({}, { $set: { applicationCount: 0 } });
+      await Promise.all(counts.map(({ _id, count }) =>
+        Job.updateOne({ _id }, { $set: { applicationCount: count } })
+      ));
+      console.log(`✅ Recalculated application counts for ${counts.length} jobs`);
+    }
+
+    console.log(`✅ Moved ${moved} applications from ${usersMigrated} users (${skipped} skipped and left in place)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+};
+
+// Only run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateApplications();
+}
+
+export default migrateApplications;
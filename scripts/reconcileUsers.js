@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User, { placeholderEmail } from '../models/User.js';
+import { getClerkUser } from '../utils/clerkClient.js';
+
+dotenv.config();
+
+// Replaces placeholder users (created when someone applied before the Clerk
+// user.created webhook arrived) with their real Clerk details. Users created
+// before isPlaceholder existed are recognised by their generated email.
+//
+// Usage: node scripts/reconcileUsers.js [--dry-run]
+
+const findPlaceholders = async () => {
+  const users = await User.find({
+    $or: [
+      { isPlaceholder: true },
+      { email: /@jobhub\.app$/, firstName: 'Job', lastName: 'Seeker' }
+    ]
+  }).select('clerkUserId email');
+
+  return users.filter(user => user.email === placeholderEmail(user.clerkUserId));
+};
+
+const reconcileUsers = async ({ dryRun = process.argv.includes('--dry-run') } = {}) => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const placeholders = await findPlaceholders();
+    console.log(`ℹ️ Found ${placeholders.length} placeholder users`);
+
+    let merged = 0;
+    let unresolved = 0;
+
+    for (const placeholder of placeholders) {
+      // One failed lookup (rate limit, Clerk outage) shouldn't end the run
+      try {
+        const clerkUser = await getClerkUser(placeholder.clerkUserId);
+
+        if (!clerkUser) {
+          console.log(`⚠️ ${placeholder.clerkUserId} no longer exists in Clerk`);
+          unresolved++;
+          continue;
+        }
+        if (dryRun) {
+          console.log(`ℹ️ Would merge ${placeholder.clerkUserId} -> ${clerkUser.email}`);
+          merged++;
+          continue;
+        }
+
+        const user = await User.syncFromClerk(clerkUser);
+        if (user.isPlaceholder) {
+          unresolved++;
+        } else {
+          console.log(`✅ Merged ${user.clerkUserId} -> ${user.email}`);
+          merged++;
+        }
+      } catch (error) {
+        console.error(`❌ Could not reconcile ${placeholder.clerkUserId}:`, error.message);
+        unresolved++;
+      }
+    }
+
+    console.log(`✅ ${dryRun ? 'Would merge' : 'Merged'} ${merged} users, ${unresolved} unresolved`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Reconcile error:', error);
+    process.exit(1);
+  }
+};
+
+// Only run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  reconcileUsers();
+}
+
+export default reconcileUsers;
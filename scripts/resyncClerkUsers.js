@@ -0,0 +1,87 @@
+import fs from 'fs/promises';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import { listClerkUsers, normalizeClerkUser } from '../utils/clerkClient.js';
+
+dotenv.config();
+
+// Repairs drift between Clerk and MongoDB: creates users whose webhook never
+// arrived and updates email, name, image, userType and last login on the rest.
+// Users are read from the Clerk Backend API (set CLERK_API_URL to use a local
+// mock) or from a JSON export of Clerk users.
+//
+// Usage: node scripts/resyncClerkUsers.js [--dry-run] [--file users.json] [--deactivate-missing]
+//   --file                a JSON array of Clerk users (or { "data": [...] }) instead of the API
+//   --deactivate-missing  soft-delete active users that no longer exist in Clerk
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+async function* usersFromFile(file) {
+  const contents = JSON.parse(await fs.readFile(file, 'utf8'));
+  const users = Array.isArray(contents) ? contents : contents.data || [];
+
+  for (const user of users) yield normalizeClerkUser(user);
+}
+
+const resyncClerkUsers = async ({
+  dryRun = process.argv.includes('--dry-run'),
+  file = argValue('--file'),
+  deactivateMissing = process.argv.includes('--deactivate-missing')
+} = {}) => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const source = file ? usersFromFile(file) : listClerkUsers();
+    const seen = new Set();
+    const counts = { created: 0, updated: 0, unchanged: 0 };
+
+    for await (const clerkUser of source) {
+      if (!clerkUser.id) continue;
+      seen.add(clerkUser.id);
+
+      // Check first so unchanged users aren't written and dry runs can report
+      const preview = await User.syncFromClerk(clerkUser, { dryRun: true });
+      const changes = preview.isNew ? [] : preview.modifiedPaths();
+
+      if (!preview.isNew && changes.length === 0) {
+        counts.unchanged++;
+        continue;
+      }
+
+      console.log(preview.isNew
+        ? `ℹ️ ${clerkUser.id}: missing in MongoDB`
+        : `ℹ️ ${clerkUser.id}: ${changes.join(', ')} out of date`);
+      if (!dryRun) await User.syncFromClerk(clerkUser);
+      counts[preview.isNew ? 'created' : 'updated']++;
+    }
+
+    let deactivated = 0;
+    if (deactivateMissing) {
+      const stale = await User.find({ isActive: true, clerkUserId: { $nin: [...seen] } }).select('clerkUserId email');
+
+      for (const user of stale) {
+        console.log(`ℹ️ ${user.clerkUserId}: no longer in Clerk`);
+        if (!dryRun) await User.updateOne({ _id: user._id }, { $set: { isActive: false } });
+        deactivated++;
+      }
+    }
+
+    console.log(`✅ ${dryRun ? 'Dry run - would have' : 'Resync'} created ${counts.created}, updated ${counts.updated} and deactivated ${deactivated} users (${counts.unchanged} unchanged)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Resync error:', error);
+    process.exit(1);
+  }
+};
+
+// Only run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  resyncClerkUsers();
+}
+
+export default resyncClerkUsers;
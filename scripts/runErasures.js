@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { runErasures } from '../utils/erasure.js';
+
+dotenv.config();
+
+// Anonymizes users whose erasure grace period has passed, outside the server's
+// hourly scheduler. With --dry-run the due users are only listed.
+//
+// Usage: node scripts/runErasures.js [--dry-run]
+
+const erasures = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const stats = await runErasures({ dryRun });
+
+    console.log(`${dryRun ? '📝 Dry run: ' : '✅ '}${stats.due} due, ${stats.erased} erased, ${stats.failed} failed`);
+    process.exit(stats.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Erasure error:', error);
+    process.exit(1);
+  }
+};
+
+// Only run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  erasures();
+}
+
+export default erasures;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { runJobAlerts } from '../utils/alertScheduler.js';
+
+dotenv.config();
+
+// Runs one round of job alert digests outside the server's hourly scheduler.
+// With --dry-run the emails are written to EMAIL_OUTBOX_DIR (default mail-outbox/)
+// instead of being sent, and saved searches are not marked as run.
+//
+// Usage: node scripts/runJobAlerts.js [--dry-run]
+
+const jobAlerts = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const stats = await runJobAlerts({ dryRun });
+
+    console.log(`${dryRun ? '📝 Dry run: ' : '✅ '}${stats.searches} due searches, ${stats.emails} digests, ${stats.jobs} jobs, ${stats.skipped} skipped (alerts disabled), ${stats.unsent} not sent outside production`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Job alerts error:', error);
+    process.exit(1);
+  }
+};
+
+// Only run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  jobAlerts();
+}
+
+export default jobAlerts;
@@ -10,6 +10,11 @@ const testCRUD = async () => {
 
     const baseURL = 'http://localhost:5000/api';
 
+    // Writes need a session token for an employer account, e.g. from scripts/devToken.js
+    const authHeaders = process.env.TEST_AUTH_TOKEN
+      ? { Authorization: `Bearer ${process.env.TEST_AUTH_TOKEN}` }
+      : {};
+
     // Test data
     const testJob = {
       title: "Backend Developer",
@@ -42,7 +47,7 @@ const testCRUD = async () => {
     console.log('1. Testing CREATE employer...');
     const employerResponse = await fetch(`${baseURL}/employers`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...authHeaders },
       body: JSON.stringify(testEmployer)
     });
     const employerData = await employerResponse.json();
@@ -52,7 +57,7 @@ const testCRUD = async () => {
     console.log('2. Testing CREATE job...');
     const jobResponse = await fetch(`${baseURL}/jobs`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...authHeaders },
       body: JSON.stringify(testJob)
     });
     const jobData = await jobResponse.json();
@@ -70,7 +75,7 @@ const testCRUD = async () => {
       console.log('4. Testing UPDATE job...');
       const updateResponse = await fetch(`${baseURL}/jobs/${jobId}`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
         body: JSON.stringify({ isFeatured: true, salary: "$95,000 - $125,000" })
       });
       const updateData = await updateResponse.json();
@@ -79,7 +84,8 @@ const testCRUD = async () => {
       // Test 5: Delete Job
       console.log('5. Testing DELETE job...');
       const deleteResponse = await fetch(`${baseURL}/jobs/${jobId}`, {
-        method: 'DELETE'
+        method: 'DELETE',
+        headers: authHeaders
       });
       const deleteData = await deleteResponse.json();
       console.log('✅ Delete Job:', deleteData.success ? 'SUCCESS' : 'FAILED');
@@ -88,11 +94,12 @@ const testCRUD = async () => {
     // Clean up test employer
     const employersResponse = await fetch(`${baseURL}/employers`);
     const employersData = await employersResponse.json();
-    const testEmployerRecord = employersData.data.find(emp => emp.userId === 'test_employer_001');
+    const testEmployerRecord = employersData.data.find(emp => emp.companyName === testEmployer.companyName);
     
     if (testEmployerRecord) {
       await fetch(`${baseURL}/employers/${testEmployerRecord._id}`, {
-        method: 'DELETE'
+        method: 'DELETE',
+        headers: authHeaders
       });
       console.log('✅ Cleaned up test employer');
     }
@@ -5,6 +5,11 @@ import helmet from 'helmet';
 import morgan from 'morgan';
 import dotenv from 'dotenv';
 import connectDB from './config/database.js';
+import { startJobScheduler } from './utils/jobScheduler.js';
+import { startAlertScheduler } from './utils/alertScheduler.js';
+import { startEmailQueue } from './utils/emailQueue.js';
+import { startErasureScheduler } from './utils/erasure.js';
+import { startUploadCleanup } from './utils/uploadCleanup.js';
 
 import webhookRoutes from './routes/webhooks.js';
 import jobRoutes from './routes/jobs.js';
@@ -13,6 +18,8 @@ import categoryRoutes from './routes/categories.js';
 import userRoutes from './routes/users.js';
 import applicationRoutes from './routes/applications.js';
 import contactRoutes from './routes/contact.js';
+import alertRoutes from './routes/alerts.js';
+import uploadRoutes from './routes/uploads.js';
 
 // Load environment variables
 dotenv.config();
@@ -24,9 +31,43 @@ const BACKEND_URL = process.env.BACKEND_URL || 'https://backenddeployment-1-wwzi
 // Connect to MongoDB
 connectDB();
 
+// Publish scheduled jobs and expire old ones
+if (process.env.JOB_SCHEDULER_DISABLED !== 'true') {
+  startJobScheduler();
+}
+
+// Email saved-search digests
+if (process.env.JOB_ALERTS_DISABLED !== 'true') {
+  startAlertScheduler();
+}
+
+// Send queued emails (candidate notifications)
+if (process.env.EMAIL_QUEUE_DISABLED !== 'true') {
+  startEmailQueue();
+}
+
+// Anonymize users whose erasure grace period has passed
+if (process.env.ERASURE_DISABLED !== 'true') {
+  startErasureScheduler();
+}
+
+// Delete contact attachments that were never sent with an inquiry
+if (process.env.UPLOAD_CLEANUP_DISABLED !== 'true') {
+  startUploadCleanup();
+}
+
+// Number of proxies in front of the app (Render has one), so req.ip - which rate
+// limits key on - is the client's address rather than the proxy's
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0);
+
 // Middleware
 app.use(helmet());
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw bytes around - webhook signatures are computed over them
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('combined'));
 
@@ -52,6 +93,8 @@ app.use('/api/employers', employerRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/applications', applicationRoutes);
 app.use('/api/contact', contactRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/uploads', uploadRoutes);
 
 // Basic route
 app.get('/', (req, res) => {
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Application from '../models/Application.js';
+import Job from '../models/Job.js';
+
+const job = { _id: new mongoose.Types.ObjectId(), pipelineStages: [] };
+
+// Application.findOneAndUpdate over one stored document, honouring the status condition
+const useStored = (t, stored) => {
+  t.mock.method(Application, 'findOneAndUpdate', async (filter, update) => {
+    if (!stored._id.equals(filter._id) || stored.status !== filter.status) return null;
+    stored.set(update.$set);
+    stored.history.push(update.$push.history);
+    return stored;
+  });
+};
+
+const application = (status = 'applied') => new Application({
+  jobId: job._id,
+  userId: new mongoose.Types.ObjectId(),
+  clerkUserId: 'user_candidate',
+  employerId: 'user_owner',
+  status,
+  history: [{ from: null, to: 'applied', actorRole: 'candidate' }]
+});
+
+test('only the first of two concurrent status changes is written', async (t) => {
+  const stored = application();
+  useStored(t, stored);
+  // Both employers loaded the application while it was still 'applied'
+  const first = Application.hydrate(stored.toObject());
+  const second = Application.hydrate(stored.toObject());
+
+  const moved = await first.commitTransition(job, 'under_review', { actorId: 'user_a', actorRole: 'employer' });
+  const lost = await second.commitTransition(job, 'rejected', { actorId: 'user_b', actorRole: 'employer' });
+
+  assert.equal(moved.status, 'under_review');
+  assert.equal(lost, null);
+  assert.deepEqual(stored.history.map(entry => `${entry.from}->${entry.to}`), ['null->applied', 'applied->under_review']);
+});
+
+test('commitTransition still checks the pipeline before writing', async (t) => {
+  const stored = application('rejected');
+  useStored(t, stored);
+
+  await assert.rejects(
+    () => stored.commitTransition(job, 'offer', { actorRole: 'employer' }),
+    { name: 'TransitionError' }
+  );
+  assert.equal(Application.findOneAndUpdate.mock.callCount(), 0);
+});
+
+test('a second, concurrent withdraw is a no-op', async (t) => {
+  const stored = application('under_review');
+  useStored(t, stored);
+  t.mock.method(Job, 'updateOne', async () => ({ modifiedCount: 1 }));
+  // Two withdraw requests that both read the application before either wrote
+  const first = Application.hydrate(stored.toObject());
+  const second = Application.hydrate(stored.toObject());
+
+  const withdrawn = await first.withdraw(job, { reason: 'Took another offer' });
+  const repeated = await second.withdraw(job);
+
+  assert.equal(withdrawn.status, 'withdrawn');
+  assert.equal(repeated, null);
+  assert.equal(stored.history.filter(entry => entry.to === 'withdrawn').length, 1);
+  assert.equal(Job.updateOne.mock.callCount(), 1);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { signToken, verifyToken, TokenVerificationError } from '../utils/clerkJwt.js';
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+process.env.CLERK_JWT_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+
+const now = () => Math.floor(Date.now() / 1000);
+const encode = (value) => Buffer.from(value).toString('base64url');
+
+const rejects = (token, reason = 'invalid_token') =>
+  assert.rejects(verifyToken(token), (error) => {
+    assert.ok(error instanceof TokenVerificationError);
+    assert.equal(error.reason, reason);
+    return true;
+  });
+
+test('accepts a token signed with the configured key', async () => {
+  const token = signToken({ sub: 'user_1', exp: now() + 60 }, privateKey);
+  const payload = await verifyToken(token);
+  assert.equal(payload.sub, 'user_1');
+});
+
+test('rejects expired tokens and bad signatures', async () => {
+  await rejects(signToken({ sub: 'user_1', exp: now() - 60 }, privateKey), 'token_expired');
+
+  const [header, payload] = signToken({ sub: 'user_1', exp: now() + 60 }, privateKey).split('.');
+  const forged = signToken({ sub: 'user_2', exp: now() + 60 }, privateKey).split('.')[2];
+  await rejects(`${header}.${payload}.${forged}`, 'invalid_signature');
+});
+
+test('rejects segments that are JSON but not objects', async () => {
+  const payload = encode(JSON.stringify({ sub: 'user_1', exp: now() + 60 }));
+
+  for (const header of ['null', '1', '"RS256"', '[]']) {
+    await rejects(`${encode(header)}.${payload}.c2ln`);
+  }
+  await rejects(`${encode(JSON.stringify({ alg: 'RS256' }))}.${encode('null')}.c2ln`);
+  await rejects('not.a.token');
+  await rejects('');
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  websiteDomain,
+  emailMatchesDomain,
+  isSharedDomain,
+  requestVerification,
+  confirmVerification,
+  reviewVerification,
+  VerificationError
+} from '../utils/employerVerification.js';
+
+// Plain stand-in for the Employer document's verification state
+const employer = (fields = {}) => ({
+  companyName: 'Acme',
+  website: 'https://www.acme.com/careers',
+  isVerified: false,
+  verification: {
+    status: 'unverified',
+    set(values) { Object.assign(this, values); }
+  },
+  ...fields
+});
+
+const fails = (fn, status, pattern) =>
+  assert.throws(fn, (error) => {
+    assert.ok(error instanceof VerificationError);
+    assert.equal(error.status, status);
+    if (pattern) assert.match(error.message, pattern);
+    return true;
+  });
+
+// requestVerification replaces the subdocument; keep the set() helper around
+const request = (target, fields, now) => {
+  const code = requestVerification(target, fields, now);
+  target.verification.set = function (values) { Object.assign(this, values); };
+  return code;
+};
+
+test('websiteDomain strips scheme, www and path', () => {
+  assert.equal(websiteDomain('https://www.acme.com/careers'), 'acme.com');
+  assert.equal(websiteDomain('jobs.acme.co.uk'), 'jobs.acme.co.uk');
+  assert.equal(websiteDomain('localhost'), null);
+  assert.equal(websiteDomain(''), null);
+});
+
+test('emailMatchesDomain accepts the domain and its subdomains only', () => {
+  assert.ok(emailMatchesDomain('hr@acme.com', 'acme.com'));
+  assert.ok(emailMatchesDomain('HR@mail.acme.com', 'acme.com'));
+  assert.ok(!emailMatchesDomain('hr@notacme.com', 'acme.com'));
+  assert.ok(!emailMatchesDomain('hr@acme.com.evil.io', 'acme.com'));
+  assert.ok(!emailMatchesDomain('not-an-email', 'acme.com'));
+});
+
+test('free mail, shared hosting and public suffix domains are shared', () => {
+  assert.ok(isSharedDomain('gmail.com'));
+  assert.ok(isSharedDomain('acme.github.io'));
+  assert.ok(isSharedDomain('co.uk'));
+  assert.ok(!isSharedDomain('acme.co.uk'));
+  assert.ok(!isSharedDomain('acme.com'));
+});
+
+test('requesting a code on a shared domain is rejected', () => {
+  fails(() => requestVerification(employer({ website: 'gmail.com' }), { email: 'me@gmail.com' }), 400, /shared or free/);
+  fails(() => requestVerification(employer({ website: 'https://acme.vercel.app' }), { email: 'me@acme.vercel.app' }), 400);
+});
+
+test('the email must be on the website domain', () => {
+  fails(() => requestVerification(employer(), { email: 'me@gmail.com' }), 400, /acme\.com/);
+  fails(() => requestVerification(employer({ website: '' }), { email: 'hr@acme.com' }), 400, /website/);
+});
+
+test('request, confirm and approve', () => {
+  const target = employer();
+  const now = new Date('2026-01-01T00:00:00Z');
+  const code = request(target, { email: 'HR@acme.com' }, now);
+
+  assert.match(code, /^\d{6}$/);
+  assert.equal(target.verification.status, 'pending_email');
+  assert.equal(target.verification.email, 'hr@acme.com');
+  assert.notEqual(target.verification.codeHash, code);
+
+  fails(() => request(target, { email: 'hr@acme.com' }, new Date(now.getTime() + 10 * 1000)), 429);
+  fails(() => confirmVerification(target, '000000' === code ? '111111' : '000000', now), 400, /Incorrect/);
+  assert.equal(target.verification.attempts, 1);
+
+  confirmVerification(target, code, now);
+  assert.equal(target.verification.status, 'pending_review');
+
+  fails(() => reviewVerification(target, { decision: 'reject' }), 400, /reason/);
+  reviewVerification(target, { decision: 'approve', reviewerId: 'admin' }, now);
+  assert.equal(target.verification.status, 'verified');
+  assert.equal(target.isVerified, true);
+  fails(() => request(target, { email: 'hr@acme.com' }, now), 409);
+});
+
+test('codes expire', () => {
+  const target = employer();
+  const now = new Date('2026-01-01T00:00:00Z');
+  const code = request(target, { email: 'hr@acme.com' }, now);
+
+  fails(() => confirmVerification(target, code, new Date(now.getTime() + 31 * 60 * 1000)), 410);
+});
+
+test('code requests are capped per day, however the guesses went', () => {
+  const target = employer();
+  const start = new Date('2026-01-01T00:00:00Z');
+  const minutes = (count) => new Date(start.getTime() + count * 60 * 1000);
+
+  for (let i = 0; i < 5; i++) {
+    request(target, { email: `guess${i}@acme.com` }, minutes(i * 2));
+    for (let attempt = 0; attempt < 5; attempt++) {
+      fails(() => confirmVerification(target, 'wrong', minutes(i * 2)), 400);
+    }
+  }
+
+  fails(() => request(target, { email: 'another@acme.com' }, minutes(10)), 429, /tomorrow/);
+  assert.equal(target.verification.email, 'guess4@acme.com');
+
+  // A day after the first code the allowance starts over
+  request(target, { email: 'hr@acme.com' }, new Date(start.getTime() + 24 * 60 * 60 * 1000));
+  assert.equal(target.verification.codesSent, 1);
+});
@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Application from '../models/Application.js';
+import Contact from '../models/Contact.js';
+import Interview from '../models/Interview.js';
+import Job from '../models/Job.js';
+import QueuedEmail from '../models/QueuedEmail.js';
+import SavedSearch from '../models/SavedSearch.js';
+import Upload from '../models/Upload.js';
+import { setStorage } from '../utils/storage/index.js';
+import { scheduleErasure, erasureGraceDays, eraseUser } from '../utils/erasure.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('schedules erasure after the grace period', () => {
+  delete process.env.ERASURE_GRACE_DAYS;
+  const now = new Date('2026-01-01T00:00:00Z');
+  const user = scheduleErasure({}, now);
+
+  assert.equal(erasureGraceDays(), 30);
+  assert.equal(user.erasureRequestedAt, now);
+  assert.equal(user.erasureScheduledFor.getTime(), now.getTime() + 30 * DAY_MS);
+});
+
+test('honours ERASURE_GRACE_DAYS, including zero', () => {
+  process.env.ERASURE_GRACE_DAYS = '0';
+  const now = new Date();
+  assert.equal(scheduleErasure({}, now).erasureScheduledFor.getTime(), now.getTime());
+  delete process.env.ERASURE_GRACE_DAYS;
+});
+
+test('a second request keeps the first date', () => {
+  const first = new Date('2026-01-01T00:00:00Z');
+  const user = scheduleErasure({}, first);
+  const scheduled = user.erasureScheduledFor;
+
+  scheduleErasure(user, new Date('2026-01-10T00:00:00Z'));
+  assert.equal(user.erasureRequestedAt, first);
+  assert.equal(user.erasureScheduledFor, scheduled);
+});
+
+// eraseUser against stubbed models and an in-memory storage driver; every write
+// is recorded as [label, filter, update]
+const stubErasure = (t, { contactIds = [], uploads = [], interviews = [] } = {}) => {
+  const writes = [];
+  const record = (label) => async (...args) => {
+    writes.push([label, ...args]);
+    return { modifiedCount: 0, deletedCount: 0 };
+  };
+  const files = new Set(uploads.map(upload => upload.storageKey));
+
+  setStorage({ remove: async (key) => { files.delete(key); } });
+  t.mock.method(Contact, 'find', () => ({ select: async () => contactIds.map(_id => ({ _id })) }));
+  t.mock.method(Contact, 'updateMany', record('Contact.updateMany'));
+  t.mock.method(Upload, 'findPersonal', async () => uploads);
+  t.mock.method(Upload, 'deleteMany', record('Upload.deleteMany'));
+  t.mock.method(Application, 'updateMany', record('Application.updateMany'));
+  t.mock.method(Application.collection, 'updateMany', record('Application.collection.updateMany'));
+  t.mock.method(Interview, 'find', async () => interviews);
+  t.mock.method(Interview, 'updateMany', record('Interview.updateMany'));
+  t.mock.method(Job, 'updateMany', record('Job.updateMany'));
+  t.mock.method(QueuedEmail, 'deleteMany', record('QueuedEmail.deleteMany'));
+  t.mock.method(SavedSearch, 'deleteMany', record('SavedSearch.deleteMany'));
+  t.mock.method(User.prototype, 'save', async function () { return this; });
+
+  return { writes, files, find: (label) => writes.filter(([name]) => name === label) };
+};
+
+const candidate = () => new User({
+  clerkUserId: 'user_jane',
+  email: 'jane@example.com',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  profile: { headline: 'Engineer', skills: ['Go'], resumeUrl: 'https://example.com/cv.pdf' },
+  savedJobs: [{ jobId: new mongoose.Types.ObjectId() }]
+});
+
+test('eraseUser deletes uploaded files and wipes contact inquiries', async (t) => {
+  const contactId = new mongoose.Types.ObjectId();
+  const uploads = [
+    { _id: new mongoose.Types.ObjectId(), storageKey: 'resume/2026/01/a.pdf' },
+    { _id: new mongoose.Types.ObjectId(), storageKey: 'contact_attachment/2026/01/b.txt' }
+  ];
+  const stub = stubErasure(t, { contactIds: [contactId], uploads });
+
+  await eraseUser(candidate());
+
+  assert.equal(stub.files.size, 0);
+  assert.deepEqual(stub.find('Upload.deleteMany')[0][1], { _id: { $in: uploads.map(upload => upload._id) } });
+
+  const [, filter, update] = stub.find('Contact.updateMany')[0];
+  assert.deepEqual(filter, { _id: { $in: [contactId] } });
+  assert.equal(update.$set.email, 'erased@jobhub.invalid');
+  assert.equal(update.$set.message, '[erased]');
+  assert.deepEqual(update.$set.attachments, []);
+});
+
+test('eraseUser keeps application status and history but strips personal fields', async (t) => {
+  const stub = stubErasure(t);
+  const user = candidate();
+
+  await eraseUser(user);
+
+  const [, filter, update] = stub.find('Application.updateMany')[0];
+  assert.deepEqual(filter, { userId: user._id });
+  assert.deepEqual(Object.keys(update.$set).sort(), ['clerkUserId', 'coverLetter', 'notes', 'resumeUrl', 'teamNotes']);
+  assert.equal(update.$set.clerkUserId, `erased_${user._id}`);
+  assert.ok(!('status' in update.$set) && !('history' in update.$set));
+  assert.deepEqual(update.$unset, { resumeUpload: '' });
+
+  // Only the candidate's own history entries lose their actor and reason
+  const [, historyFilter, historyUpdate, options] = stub.find('Application.collection.updateMany')[0];
+  assert.equal(historyFilter['history.actorId'], 'user_jane');
+  assert.deepEqual(historyUpdate, { $set: { 'history.$[entry].actorId': null }, $unset: { 'history.$[entry].reason': '' } });
+  assert.deepEqual(options.arrayFilters, [{ 'entry.actorId': 'user_jane' }]);
+});
+
+test('eraseUser anonymizes the user document itself', async (t) => {
+  const stub = stubErasure(t);
+  const now = new Date('2026-02-01T00:00:00Z');
+  const user = candidate();
+
+  await eraseUser(user, now);
+
+  assert.equal(user.clerkUserId, `erased_${user._id}`);
+  assert.equal(user.email, `erased_${user._id}@jobhub.invalid`);
+  assert.equal(user.firstName, undefined);
+  assert.equal(user.profile.headline, undefined);
+  assert.equal(user.profile.skills.length, 0);
+  assert.equal(user.savedJobs.length, 0);
+  assert.equal(user.isActive, false);
+  assert.equal(user.erasedAt, now);
+  assert.deepEqual(stub.find('QueuedEmail.deleteMany')[0][1], { to: 'jane@example.com' });
+  assert.equal(stub.find('SavedSearch.deleteMany')[0][1].userId, user._id);
+});
+
+test('eraseUser cancels open interviews and tells the interviewers', async (t) => {
+  const job = new Job({ title: 'Backend Engineer', company: 'Acme', employerId: 'user_owner' });
+  const interview = new Interview({
+    applicationId: new mongoose.Types.ObjectId(),
+    jobId: job._id,
+    employerId: 'user_owner',
+    candidateId: 'user_jane',
+    interviewers: [{ name: 'Sam', email: 'sam@acme.test' }],
+    status: 'confirmed',
+    scheduledStart: new Date('2026-03-02T14:00:00Z'),
+    scheduledEnd: new Date('2026-03-02T14:45:00Z')
+  });
+  const stub = stubErasure(t, { interviews: [interview] });
+  const queued = [];
+  t.mock.method(Job, 'findById', async () => job);
+  t.mock.method(Interview.prototype, 'save', async function () { return this; });
+  t.mock.method(QueuedEmail, 'updateMany', async () => ({ modifiedCount: 1 }));
+  t.mock.method(QueuedEmail, 'create', async (emails) => { queued.push(...emails); return emails; });
+
+  await eraseUser(candidate());
+
+  assert.equal(interview.status, 'cancelled');
+  assert.equal(interview.cancelReason, 'Candidate account deleted');
+  assert.deepEqual(QueuedEmail.updateMany.mock.calls[0].arguments[0],
+    { relatedId: interview._id, category: 'interview_reminder', status: 'pending' });
+  assert.deepEqual(queued.map(email => email.to), ['sam@acme.test']);
+  assert.match(queued[0].options.icalEvent.content, /METHOD:CANCEL/);
+  // The candidate's interviews are then re-pointed at the anonymous ID
+  assert.equal(stub.find('Interview.updateMany')[0][1].candidateId, 'user_jane');
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { geocode, toPoint } from '../utils/geocode.js';
+
+const place = (location) => {
+  const result = geocode(location);
+  return result && `${result.name}, ${result.region || result.country}`;
+};
+
+test('resolves cities with and without qualifiers', () => {
+  assert.equal(place('Austin, TX'), 'Austin, TX');
+  assert.equal(place('Austin, Texas, USA'), 'Austin, TX');
+  assert.equal(place('Nairobi, Kenya'), 'Nairobi, KE');
+  assert.equal(place('Bengaluru'), 'Bangalore, IN');
+  assert.equal(place('São Paulo'), 'São Paulo, BR');
+  assert.equal(place('Greater Boston area'), 'Boston, MA');
+});
+
+test('geocodes the on-site part of hybrid locations', () => {
+  assert.equal(place('Remote / Austin, TX'), 'Austin, TX');
+  assert.equal(place('NYC or Remote'), 'New York, NY');
+  assert.equal(place('Remote'), null);
+  assert.equal(place('Work from home'), null);
+});
+
+test('codes that are both a country and a state match either', () => {
+  assert.equal(place('Cambridge, MA'), 'Cambridge, MA');
+  assert.equal(place('Toronto, CA'), 'Toronto, ON');
+  assert.equal(place('Bogota, CO'), 'Bogotá, CO');
+});
+
+test('a qualifier that rules out every known place gives null', () => {
+  assert.equal(place('Cambridge, UK'), null);
+  assert.equal(place('Portland, ME'), null);
+  assert.equal(place('Paris, TX'), null);
+  assert.equal(place('London, Ontario'), null);
+  assert.equal(place('Paris, France'), 'Paris, FR');
+});
+
+test('unknown places and bad input give null', () => {
+  assert.equal(geocode('Atlantis'), null);
+  assert.equal(geocode(''), null);
+  assert.equal(geocode(42), null);
+});
+
+test('toPoint orders coordinates as GeoJSON expects', () => {
+  assert.deepEqual(toPoint({ lat: 1.5, lng: 36.8 }), { type: 'Point', coordinates: [36.8, 1.5] });
+});
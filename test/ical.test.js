@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCalendar, fold } from '../utils/ical.js';
+
+const event = {
+  uid: 'interview-1@jobhub',
+  sequence: 2,
+  start: new Date('2026-03-02T14:00:00Z'),
+  end: new Date('2026-03-02T14:45:00Z'),
+  summary: 'Interview: Engineer, Backend; Payments',
+  description: 'Bring a laptop\nAsk for C:\\Reception',
+  organizer: { name: 'Acme "Hiring"', email: 'jobs@acme.test' },
+  attendees: [{ name: 'Jane Doe', email: 'jane@example.com' }]
+};
+
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+test('escapes text values and writes UTC times', () => {
+  const calendar = unfold(buildCalendar(event));
+
+  assert.ok(calendar.includes('SUMMARY:Interview: Engineer\\, Backend\\; Payments\r\n'));
+  assert.ok(calendar.includes('DESCRIPTION:Bring a laptop\\nAsk for C:\\\\Reception\r\n'));
+  assert.ok(calendar.includes('DTSTART:20260302T140000Z\r\n'));
+  assert.ok(calendar.includes('ORGANIZER;CN="Acme Hiring":mailto:jobs@acme.test\r\n'));
+  assert.ok(calendar.includes('SEQUENCE:2\r\n'));
+  assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('requests are confirmed and cancellations cancelled', () => {
+  assert.ok(buildCalendar(event).includes('METHOD:REQUEST\r\n'));
+  assert.ok(buildCalendar(event).includes('STATUS:CONFIRMED\r\n'));
+
+  const cancelled = buildCalendar(event, { method: 'CANCEL' });
+  assert.ok(cancelled.includes('METHOD:CANCEL\r\n'));
+  assert.ok(cancelled.includes('STATUS:CANCELLED\r\n'));
+});
+
+test('folds long lines at 75 octets without splitting characters', () => {
+  const line = `DESCRIPTION:${'Entrevista en Zürich – café ☕ '.repeat(8)}`;
+  const folded = fold(line);
+  const parts = folded.split('\r\n');
+
+  assert.ok(parts.length > 1);
+  parts.forEach((part, index) => {
+    assert.ok(Buffer.byteLength(part) <= 75);
+    if (index > 0) assert.equal(part[0], ' ');
+    assert.ok(!part.includes('\uFFFD'));
+  });
+  assert.equal(unfold(folded), line);
+  assert.equal(fold('SUMMARY:short'), 'SUMMARY:short');
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getStages,
+  getAllowedTransitions,
+  assertTransition,
+  validateCustomStages,
+  TransitionError
+} from '../utils/pipeline.js';
+
+const job = {
+  pipelineStages: [
+    { key: 'technical_test', label: 'Technical test', after: 'under_review' },
+    { key: 'references', label: 'References', after: 'offer' },
+    { key: 'phone_screen', label: 'Phone screen', after: 'under_review' }
+  ]
+};
+
+test('places custom stages after their anchor in definition order', () => {
+  assert.deepEqual(getStages(job).map(stage => stage.key), [
+    'applied', 'under_review', 'technical_test', 'phone_screen', 'interview', 'offer', 'references'
+  ]);
+  assert.deepEqual(getStages(null).map(stage => stage.key), ['applied', 'under_review', 'interview', 'offer']);
+});
+
+test('employers move forward, reject, and accept from offer onwards', () => {
+  assert.deepEqual(getAllowedTransitions(job, 'interview'), ['offer', 'references', 'rejected']);
+  assert.deepEqual(getAllowedTransitions(job, 'offer'), ['references', 'rejected', 'accepted']);
+  assert.ok(getAllowedTransitions(job, 'references').includes('accepted'));
+  assert.ok(!getAllowedTransitions(job, 'under_review').includes('accepted'));
+});
+
+test('candidates can only withdraw and outcomes are final', () => {
+  assert.deepEqual(getAllowedTransitions(job, 'interview', 'candidate'), ['withdrawn']);
+  assert.deepEqual(getAllowedTransitions(job, 'rejected'), []);
+  assert.deepEqual(getAllowedTransitions(job, 'withdrawn', 'candidate'), []);
+});
+
+test('a stage that was removed from the job can still move forward', () => {
+  assert.deepEqual(getAllowedTransitions({}, 'old_stage'), ['under_review', 'interview', 'offer', 'rejected']);
+});
+
+test('assertTransition rejects backwards moves and unknown statuses', () => {
+  assert.doesNotThrow(() => assertTransition(job, 'applied', 'technical_test', 'employer'));
+  assert.throws(() => assertTransition(job, 'offer', 'interview', 'employer'), (error) => {
+    assert.ok(error instanceof TransitionError);
+    assert.deepEqual(error.allowed, ['references', 'rejected', 'accepted']);
+    return true;
+  });
+  assert.throws(() => assertTransition(job, 'applied', 'hired', 'employer'), /Unknown status/);
+});
+
+test('validateCustomStages checks keys, labels and anchors', () => {
+  assert.deepEqual(validateCustomStages(job.pipelineStages), []);
+  assert.deepEqual(validateCustomStages('nope'), ['Stages must be an array']);
+
+  const errors = validateCustomStages([
+    { key: 'Bad Key', label: 'Fine', after: 'applied' },
+    { key: 'offer', label: 'Fine', after: 'applied' },
+    { key: 'dup', label: 'One', after: 'applied' },
+    { key: 'dup', label: 'Two', after: 'applied' },
+    { key: 'blank', label: '   ', after: 'applied' },
+    { key: 'late', label: 'Late', after: 'accepted' }
+  ]);
+  assert.deepEqual(errors, [
+    'Stage 1: key must be lowercase letters, digits or underscores',
+    'Stage 2: key "offer" is already used',
+    'Stage 4: key "dup" is already used',
+    'Stage 5: label is required (max 50 characters)',
+    'Stage 6: "after" must be one of applied, under_review, interview, offer'
+  ]);
+});
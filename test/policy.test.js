@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { can } from '../utils/policy.js';
+
+const OWNER_ID = 'user_owner';
+
+const employer = { _id: new mongoose.Types.ObjectId(), userId: OWNER_ID, isVerified: true };
+const job = { employerId: OWNER_ID, assignedRecruiters: ['user_assigned'] };
+
+const member = (fields) => new User({
+  clerkUserId: 'user_member',
+  email: 'member@example.com',
+  userType: 'employer',
+  ...fields
+});
+
+const organization = (role, linked = true) => ({
+  organizationId: 'org_1',
+  employerId: linked ? employer._id : undefined,
+  ownerId: linked ? OWNER_ID : undefined,
+  role
+});
+
+test('admins can do anything and inactive users nothing', () => {
+  const admin = member({ userType: 'admin' });
+  const inactive = member({ clerkUserId: OWNER_ID, isActive: false });
+
+  assert.equal(can(admin, 'job:delete', job), true);
+  assert.equal(can(inactive, 'job:delete', job), false);
+  assert.equal(can(null, 'job:create'), false);
+});
+
+test('only employers create jobs, and only the owner changes them', () => {
+  const owner = member({ clerkUserId: OWNER_ID });
+  const seeker = member({ userType: 'job_seeker' });
+
+  assert.equal(can(owner, 'job:create'), true);
+  assert.equal(can(seeker, 'job:create'), false);
+  assert.equal(can(owner, 'job:update', job), true);
+  assert.equal(can(member(), 'job:update', job), false);
+  assert.equal(can(member(), 'job:delete', job), false);
+});
+
+test('employer verification is for admins only', () => {
+  assert.equal(can(member({ clerkUserId: OWNER_ID }), 'employer:verify', employer), false);
+  assert.equal(can(member({ userType: 'admin' }), 'employer:verify', employer), true);
+});
+
+test('unknown actions throw', () => {
+  assert.throws(() => can(member(), 'job:explode', job), /Unknown policy action/);
+});
+
+test('Clerk organization admins are owners of the linked employer', () => {
+  const user = member({ organizations: [organization('org:admin')] });
+
+  assert.equal(user.teamRole(OWNER_ID), 'owner');
+  assert.equal(can(user, 'job:delete', job), true);
+  assert.equal(can(user, 'employer:manageTeam', employer), true);
+});
+
+test('Clerk organization members are recruiters of the linked employer', () => {
+  const user = member({ organizations: [organization('org:member')] });
+
+  assert.equal(user.teamRole(OWNER_ID), 'recruiter');
+  assert.equal(can(user, 'employer:postJobs', employer), true);
+  assert.equal(can(user, 'job:viewApplicants', job), true);
+  assert.equal(can(user, 'job:update', job), false);
+  assert.equal(can(user, 'job:update', { ...job, assignedRecruiters: ['user_member'] }), true);
+});
+
+test('custom organization roles only view', () => {
+  const user = member({ organizations: [organization('org:billing')] });
+
+  assert.equal(user.teamRole(OWNER_ID), 'viewer');
+  assert.equal(can(user, 'employer:viewTeam', employer), true);
+  assert.equal(can(user, 'employer:postJobs', employer), false);
+});
+
+test('organizations not linked to an employer give no team role', () => {
+  const user = member({ organizations: [organization('org:admin', false)] });
+
+  assert.equal(user.teamRole(OWNER_ID), null);
+  assert.equal(can(user, 'job:viewUnpublished', job), false);
+  assert.deepEqual(user.employerIds(), ['user_member']);
+});
+
+test('the stronger role wins for someone on the team both ways', () => {
+  const user = member({
+    employerMemberships: [{ employerId: employer._id, ownerId: OWNER_ID, role: 'viewer' }],
+    organizations: [organization('org:member')]
+  });
+
+  assert.equal(user.teamRole(OWNER_ID), 'recruiter');
+  assert.deepEqual(user.employerIds(), ['user_member', OWNER_ID]);
+});
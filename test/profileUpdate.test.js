@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { applyProfileUpdates } from '../utils/profileUpdate.js';
+
+const user = () => new User({ clerkUserId: 'user_1', email: 'jane@example.com' });
+
+test('accepts the upload path the server stores as the resume URL', () => {
+  const target = user();
+  const { errors } = applyProfileUpdates(target, { profile: { resumeUrl: '/api/uploads/64b7f0c2a1b2c3d4e5f60718' } });
+
+  assert.deepEqual(errors, {});
+  assert.equal(target.profile.resumeUrl, '/api/uploads/64b7f0c2a1b2c3d4e5f60718');
+});
+
+test('other relative paths are still not resume URLs', () => {
+  const { errors } = applyProfileUpdates(user(), { profile: { resumeUrl: '/etc/passwd' } });
+  assert.equal(errors['profile.resumeUrl'], 'Must be a valid URL');
+});
+
+test('entry list operations must be arrays', () => {
+  const { errors } = applyProfileUpdates(user(), { profile: { experience: { remove: 'abc' } } });
+  assert.equal(errors['profile.experience.remove'], 'Must be an array');
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseResumeText } from '../utils/resumeParser.js';
+
+const resume = (...header) => [
+  'Jane Doe',
+  ...header,
+  'Skills',
+  'Node.js, Vue.js, ASP.NET, React'
+].join('\n');
+
+test('skill names with a dot are not taken for a portfolio', () => {
+  const { contact, skills } = parseResumeText(resume('jane@example.com | +1 555 123 4567'));
+
+  assert.equal(contact.portfolioUrl, undefined);
+  assert.ok(skills.includes('Node.js'));
+  assert.ok(skills.includes('.NET'));
+});
+
+test('degree abbreviations are not web addresses', () => {
+  const { contact } = parseResumeText(resume('M.Tech, B.Sc'));
+  assert.equal(contact.portfolioUrl, undefined);
+});
+
+test('picks up bare domains with a known TLD', () => {
+  const { contact } = parseResumeText(resume('janedoe.dev | linkedin.com/in/janedoe | github.com/janedoe'));
+
+  assert.equal(contact.portfolioUrl, 'https://janedoe.dev');
+  assert.equal(contact.linkedinUrl, 'https://linkedin.com/in/janedoe');
+  assert.equal(contact.githubUrl, 'https://github.com/janedoe');
+});
+
+test('a scheme or www prefix is enough for any TLD', () => {
+  assert.equal(parseResumeText(resume('https://jane.works')).contact.portfolioUrl, 'https://jane.works');
+  assert.equal(parseResumeText(resume('www.jane.works')).contact.portfolioUrl, 'https://www.jane.works');
+});
+
+test('email domains are not web addresses', () => {
+  const { contact } = parseResumeText(resume('jane@janedoe.dev'));
+
+  assert.equal(contact.email, 'jane@janedoe.dev');
+  assert.equal(contact.portfolioUrl, undefined);
+});
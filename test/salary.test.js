@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSalary, toSalaryFields, formatSalary, annualize } from '../utils/salary.js';
+
+test('parses yearly ranges with separators and suffixes', () => {
+  assert.deepEqual(parseSalary('$80,000 - $100,000'), { min: 80000, max: 100000, currency: 'USD', period: 'year' });
+  assert.deepEqual(parseSalary('€45k-55k per year'), { min: 45000, max: 55000, currency: 'EUR', period: 'year' });
+  assert.deepEqual(parseSalary('1.2M - 1.5M KES'), { min: 1200000, max: 1500000, currency: 'KES', period: 'year' });
+});
+
+test('applies the upper bound suffix to a bare lower bound', () => {
+  assert.deepEqual(parseSalary('$50 - 60K'), { min: 50000, max: 60000, currency: 'USD', period: 'year' });
+  assert.deepEqual(parseSalary('£40-45k p.a.'), { min: 40000, max: 45000, currency: 'GBP', period: 'year' });
+  assert.deepEqual(parseSalary('$80,000 - 120k'), { min: 80000, max: 120000, currency: 'USD', period: 'year' });
+});
+
+test('detects periods and treats small unlabelled amounts as hourly', () => {
+  assert.equal(parseSalary('$25 - $30/hour').period, 'hour');
+  assert.equal(parseSalary('KES 150k per month').period, 'month');
+  assert.equal(parseSalary('CA$600 a week').currency, 'CAD');
+  assert.equal(parseSalary('$25 - $30').period, 'hour');
+});
+
+test('returns null when there is no amount', () => {
+  assert.equal(parseSalary('Competitive'), null);
+  assert.equal(parseSalary(''), null);
+  assert.equal(parseSalary(undefined), null);
+});
+
+test('annualizes structured fields and formats them back', () => {
+  assert.equal(annualize(25, 'hour'), 52000);
+  assert.equal(annualize(null, 'hour'), null);
+  assert.deepEqual(toSalaryFields({ min: 5000, max: null, currency: 'USD', period: 'month' }), {
+    salaryMin: 5000,
+    salaryMax: null,
+    salaryCurrency: 'USD',
+    salaryPeriod: 'month',
+    salaryAnnualMin: 60000,
+    salaryAnnualMax: 60000
+  });
+  assert.equal(formatSalary({ min: 80000, max: 100000, currency: 'USD', period: 'year' }), 'USD 80,000 - 100,000');
+  assert.equal(formatSalary({ min: 25, max: 25, currency: 'GBP', period: 'hour' }), 'GBP 25/hour');
+});
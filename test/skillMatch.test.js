@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { normalizeSkill, skillKeys, matchSkills } from '../utils/skillMatch.js';
+
+test('punctuated skills normalize the same way when saved and when searched for', async () => {
+  const user = new User({
+    clerkUserId: 'user_1',
+    email: 'jane@example.com',
+    profile: { skills: ['CI/CD', 'ASP.NET', 'Node.js', 'node'] }
+  });
+  await user.validate();
+
+  assert.deepEqual([...user.skillKeys], ['ci cd', 'asp net', 'node']);
+  // The applicant filter compares ?skills= through normalizeSkill with these keys
+  assert.ok(['CI/CD', 'asp net', 'NODE.JS'].map(normalizeSkill).every(skill => user.skillKeys.includes(skill)));
+});
+
+test('skill keys follow profile changes', async () => {
+  const user = new User({ clerkUserId: 'user_1', email: 'jane@example.com', profile: { skills: ['C++'] } });
+  await user.validate();
+  user.set('profile.skills', ['C#', 'Objective-C']);
+  await user.validate();
+
+  assert.deepEqual([...user.skillKeys], ['c#', 'objective c']);
+});
+
+test('matchSkills splits requirements into matched and missing', () => {
+  assert.deepEqual(matchSkills(['React.js', 'CI/CD'], ['react', 'ci-cd', 'Kubernetes']), {
+    matched: ['react', 'ci-cd'],
+    missing: ['Kubernetes']
+  });
+  assert.deepEqual(skillKeys([' ', 'Go', 'go']), ['go']);
+});
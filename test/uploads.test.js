@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { signClaimToken, claimTokenUploadId, verifyClaimToken } from '../utils/uploads.js';
+
+process.env.UPLOAD_SIGNING_SECRET = 'test-secret';
+
+const upload = (uploadedBy = null) => ({ _id: new mongoose.Types.ObjectId(), uploadedBy });
+
+test('claim tokens name their upload and verify against it', () => {
+  const attachment = upload();
+  const token = signClaimToken(attachment);
+
+  assert.equal(claimTokenUploadId(token), attachment._id.toString());
+  assert.equal(verifyClaimToken(attachment, token), true);
+});
+
+test('a claim token does not work for another upload or uploader', () => {
+  const attachment = upload('user_1');
+  const token = signClaimToken(attachment);
+
+  assert.equal(verifyClaimToken(upload('user_1'), token), false);
+  assert.equal(verifyClaimToken({ ...attachment, uploadedBy: 'user_2' }, token), false);
+});
+
+test('bare upload IDs and malformed tokens are not claim tokens', () => {
+  const attachment = upload();
+
+  assert.equal(claimTokenUploadId(attachment._id.toString()), null);
+  assert.equal(claimTokenUploadId(`${attachment._id}.nothex`), null);
+  assert.equal(claimTokenUploadId(undefined), null);
+  assert.equal(verifyClaimToken(attachment, attachment._id.toString()), false);
+});
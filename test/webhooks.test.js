@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import verifyClerkWebhook, { computeSignature } from '../middleware/verifyClerkWebhook.js';
+import WebhookEvent from '../models/WebhookEvent.js';
+
+const secretFor = (bytes) => `whsec_${bytes.toString('base64')}`;
+const SECRET = secretFor(crypto.randomBytes(24));
+const OLD_SECRET = secretFor(crypto.randomBytes(24));
+
+process.env.CLERK_WEBHOOK_SECRET = SECRET;
+
+const body = JSON.stringify({ type: 'user.created', data: { id: 'user_1' } });
+
+// Runs the middleware on a fake request; resolves with the status (200 = passed on)
+const verify = ({ id = 'msg_1', timestamp = Math.floor(Date.now() / 1000), signature } = {}) =>
+  new Promise(resolve => {
+    const headers = {
+      'svix-id': id,
+      'svix-timestamp': String(timestamp),
+      'svix-signature': signature ?? `v1,${computeSignature(SECRET, id, timestamp, body)}`
+    };
+    const req = { rawBody: Buffer.from(body), get: (name) => headers[name] };
+    const res = {
+      status: (code) => ({ json: (payload) => resolve({ code, payload }) })
+    };
+    verifyClerkWebhook(req, res, () => resolve({ code: 200, webhook: req.webhook }));
+  });
+
+test('accepts a valid v1 signature', async () => {
+  const { code, webhook } = await verify();
+
+  assert.equal(code, 200);
+  assert.equal(webhook.id, 'msg_1');
+});
+
+test('accepts any matching entry of a rotated multi-signature header', async () => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = [
+    `v1,${computeSignature(OLD_SECRET, 'msg_1', timestamp, body)}`,
+    `v1,${computeSignature(SECRET, 'msg_1', timestamp, body)}`
+  ].join(' ');
+
+  assert.equal((await verify({ timestamp, signature })).code, 200);
+});
+
+test('rejects a bad signature or another version', async () => {
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  assert.equal((await verify({ signature: 'v1,bm90IGEgc2lnbmF0dXJl' })).code, 400);
+  assert.equal((await verify({ signature: `v1,${computeSignature(OLD_SECRET, 'msg_1', timestamp, body)}`, timestamp })).code, 400);
+  assert.equal((await verify({ signature: `v2,${computeSignature(SECRET, 'msg_1', timestamp, body)}`, timestamp })).code, 400);
+});
+
+test('rejects a stale timestamp even when correctly signed', async () => {
+  const timestamp = Math.floor(Date.now() / 1000) - 60 * 60;
+  const { code, payload } = await verify({ timestamp });
+
+  assert.equal(code, 400);
+  assert.match(payload.message, /timestamp/);
+});
+
+// WebhookEvent.claim with the collection replaced by an in-memory map
+const useEvents = (t) => {
+  const events = new Map();
+  const matches = (event, filter) => event.status === filter.status &&
+    (!filter.claimedAt || event.claimedAt <= filter.claimedAt.$lte);
+
+  t.mock.method(WebhookEvent, 'create', async (doc) => {
+    if (events.has(doc.svixId)) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    events.set(doc.svixId, { ...doc });
+  });
+  t.mock.method(WebhookEvent, 'findOneAndUpdate', async (filter, update) => {
+    const event = events.get(filter.svixId);
+    if (!event || !matches(event, filter)) return null;
+    return Object.assign(event, update.$set);
+  });
+  t.mock.method(WebhookEvent, 'exists', async (filter) => {
+    const event = events.get(filter.svixId);
+    return event && event.status === filter.status ? { _id: filter.svixId } : null;
+  });
+  t.mock.method(WebhookEvent, 'updateOne', async (filter, update) => {
+    Object.assign(events.get(filter.svixId), update.$set);
+  });
+};
+
+test('a claimed event is in progress until completed, then a duplicate', async (t) => {
+  useEvents(t);
+  const now = new Date();
+
+  assert.equal(await WebhookEvent.claim('msg_1', 'user.created', now), 'claimed');
+  assert.equal(await WebhookEvent.claim('msg_1', 'user.created', now), 'processing');
+
+  await WebhookEvent.complete('msg_1');
+  assert.equal(await WebhookEvent.claim('msg_1', 'user.created', now), 'duplicate');
+});
+
+test('a delivery that died mid-handler is taken over once stale', async (t) => {
+  useEvents(t);
+  const claimedAt = new Date('2026-01-01T00:00:00Z');
+
+  assert.equal(await WebhookEvent.claim('msg_1', 'user.created', claimedAt), 'claimed');
+  assert.equal(await WebhookEvent.claim('msg_1', 'user.created', new Date(claimedAt.getTime() + 30 * 1000)), 'processing');
+  assert.equal(await WebhookEvent.claim('msg_1', 'user.created', new Date(claimedAt.getTime() + 10 * 60 * 1000)), 'claimed');
+});
@@ -0,0 +1,201 @@
+import Job from '../models/Job.js';
+import User from '../models/User.js';
+import SavedSearch from '../models/SavedSearch.js';
+import { buildJobFilters, combineFilters } from './jobFilters.js';
+import { sendMail, escapeHtml } from './mailer.js';
+
+// Job alert digests: every saved search that is due (a day or a week since its
+// last run) is matched against jobs published since then, and each user gets a
+// single email covering all of their due searches.
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_JOBS_PER_SEARCH = 10;
+
+const FREQUENCY_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const BACKEND_URL = process.env.BACKEND_URL || 'https://backenddeployment-1-wwzi.onrender.com';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://jobhub-works.vercel.app';
+
+let timer = null;
+let running = false;
+
+export const unsubscribeUrl = (search, { all = false } = {}) =>
+  `${BACKEND_URL}/api/alerts/unsubscribe/${search.unsubscribeToken}${all ? '?all=true' : ''}`;
+
+const dueFilter = (now) => ({
+  isActive: true,
+  $or: Object.entries(FREQUENCY_MS).map(([frequency, ms]) => ({
+    frequency,
+    lastRunAt: { $lte: new Date(now.getTime() - ms) }
+  }))
+});
+
+export const findNewJobsForSearch = async (search, now = new Date()) => {
+  const { q, ...criteria } = search.toObject().criteria || {};
+
+  const filter = combineFilters(
+    buildJobFilters(criteria),
+    Job.publicFilter({ publishedAt: { $gt: search.lastRunAt, $lte: now } })
+  );
+  if (q) filter.$text = { $search: q };
+
+  return Job.find(filter)
+    .sort({ publishedAt: -1 })
+    .limit(MAX_JOBS_PER_SEARCH)
+    .select('title company location type salary isRemote publishedAt');
+};
+
+const renderDigest = (user, sections) => {
+  const total = sections.reduce((sum, section) => sum + section.jobs.length, 0);
+
+  const html = sections.map(({ search, jobs }) => `
+    <h3 style="color: #2563eb; margin-bottom: 8px;">${escapeHtml(search.name)} (${jobs.length})</h3>
+    <ul style="padding-left: 18px;">
+      ${jobs.map(job => `
+        <li style="margin-bottom: 8px;">
+          <a href="${FRONTEND_URL}/jobs/${job._id}">${escapeHtml(job.title)}</a> - ${escapeHtml(job.company)}<br>
+          <span style="color: #6b7280;">${escapeHtml(job.location)} · ${escapeHtml(job.type)} · ${escapeHtml(job.salary)}</span>
+        </li>`).join('')}
+    </ul>
+    <p style="font-size: 12px;"><a href="${unsubscribeUrl(search)}">Unsubscribe from "${escapeHtml(search.name)}"</a></p>
+  `).join('');
+
+  const text = sections.map(({ search, jobs }) => [
+    `${search.name} (${jobs.length})`,
+    ...jobs.map(job => `- ${job.title} - ${job.company} (${job.location}) ${FRONTEND_URL}/jobs/${job._id}`),
+    `Unsubscribe: ${unsubscribeUrl(search)}`
+  ].join('\n')).join('\n\n');
+
+  return {
+    subject: `${total} new job${total === 1 ? '' : 's'} matching your saved searches`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">New jobs for you, ${escapeHtml(user.firstName)}</h2>
+        ${html}
+        <hr style="border: none; border-top: 1px solid #e5e7eb;">
+        <p style="font-size: 12px; color: #6b7280;">
+          <a href="${unsubscribeUrl(sections[0].search, { all: true })}">Unsubscribe from all job alerts</a>
+        </p>
+      </div>
+    `,
+    text: `${text}\n\nUnsubscribe from all job alerts: ${unsubscribeUrl(sections[0].search, { all: true })}`
+  };
+};
+
+export const runJobAlerts = async ({ now = new Date(), dryRun } = {}) => {
+  const searches = await SavedSearch.find(dueFilter(now)).sort({ userId: 1, createdAt: 1 });
+  const stats = { searches: searches.length, emails: 0, jobs: 0, skipped: 0, unsent: 0 };
+
+  const byUser = new Map();
+  for (const search of searches) {
+    const key = search.userId.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(search);
+  }
+
+  const users = await User.find({ _id: { $in: [...byUser.keys()] } });
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  for (const [userId, userSearches] of byUser) {
+    const user = usersById.get(userId);
+    // Placeholder users have no real address yet
+    const wantsAlerts = user?.isActive && !user.isPlaceholder &&
+      user.preferences?.jobAlerts && user.preferences?.emailNotifications;
+
+    try {
+      const sections = [];
+      if (wantsAlerts) {
+        for (const search of userSearches) {
+          const jobs = await findNewJobsForSearch(search, now);
+          if (jobs.length > 0) sections.push({ search, jobs });
+        }
+      } else {
+        stats.skipped += userSearches.length;
+      }
+
+      if (sections.length > 0) {
+        const digest = renderDigest(user, sections);
+        const listUnsubscribe = unsubscribeUrl(sections[0].search, { all: true });
+
+        const result = await sendMail({
+          to: user.email,
+          ...digest,
+          headers: {
+            'List-Unsubscribe': `<${listUnsubscribe}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+          }
+        }, { dryRun });
+
+        // Mail is only sent in production - leave the searches due so the jobs
+        // are still new when it can go out
+        if (result.skipped) {
+          stats.unsent += 1;
+          continue;
+        }
+
+        stats.emails += 1;
+        stats.jobs += sections.reduce((sum, section) => sum + section.jobs.length, 0);
+      }
+
+      // A dry run can be repeated against the same data
+      if (!dryRun) {
+        const sentIds = new Set(sections.map(section => section.search._id.toString()));
+        await SavedSearch.bulkWrite(userSearches.map(search => ({
+          updateOne: {
+            filter: { _id: search._id },
+            update: {
+              $set: {
+                lastRunAt: now,
+                ...(sentIds.has(search._id.toString()) && { lastSentAt: now })
+              }
+            }
+          }
+        })));
+      }
+    } catch (error) {
+      console.error(`❌ Job alerts failed for user ${userId}:`, error.message);
+    }
+  }
+
+  if (stats.emails > 0) {
+    console.log(`📬 Job alerts: sent ${stats.emails} digest(s) with ${stats.jobs} job(s)`);
+  }
+  if (stats.unsent > 0) {
+    console.warn(`⚠️ Job alerts: ${stats.unsent} digest(s) not sent outside production (set EMAIL_DRY_RUN=true to write them to the outbox)`);
+  }
+
+  return stats;
+};
+
+const tick = async () => {
+  // Skip overlapping runs if sending is slow
+  if (running) return;
+  running = true;
+
+  try {
+    await runJobAlerts();
+  } catch (error) {
+    console.error('❌ Job alert scheduler error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+export const startAlertScheduler = ({ intervalMs } = {}) => {
+  if (timer) return;
+
+  const interval = intervalMs || parseInt(process.env.JOB_ALERTS_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS;
+  timer = setInterval(tick, interval);
+  // Don't keep scripts or tests alive just for the scheduler
+  timer.unref();
+
+  console.log(`📬 Job alert scheduler running every ${Math.round(interval / 60000)}min`);
+};
+
+export const stopAlertScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
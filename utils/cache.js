@@ -0,0 +1,37 @@
+// Small in-memory TTL cache with LRU eviction. Per-process only - fine for data
+// that is cheap to recompute and may be slightly stale.
+export const createCache = ({ ttlMs, maxEntries = 500 }) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert so the Map's order tracks recency
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    return value;
+  };
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key),
+    clear: () => entries.clear()
+  };
+};
@@ -0,0 +1,107 @@
+// Minimal client for the Clerk Backend API, plus normalization of Clerk user
+// payloads. Webhooks and the Backend API send snake_case (email_addresses,
+// first_name, image_url) while the SDKs use camelCase - normalizeClerkUser accepts
+// either so the rest of the code only deals with one shape.
+
+const getApiUrl = () => (process.env.CLERK_API_URL || 'https://api.clerk.com/v1').replace(/\/+$/, '');
+
+export class ClerkApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ClerkApiError';
+    this.status = status;
+  }
+}
+
+const pick = (data, snake, camel) => data[snake] ?? data[camel];
+
+// Clerk timestamps are milliseconds since the epoch
+const toDate = (value) => (value ? new Date(value) : null);
+
+// Roles an account can be given through Clerk public metadata ({ "userType": "employer" })
+const USER_TYPES = ['job_seeker', 'employer', 'admin'];
+
+// { id, email, firstName, lastName, profileImage, userType, lastSignInAt } - email
+// is the primary address, falling back to the first one listed. userType is null
+// unless public metadata sets a known one.
+export const normalizeClerkUser = (data = {}) => {
+  const emailAddresses = pick(data, 'email_addresses', 'emailAddresses') || [];
+  const primaryEmailId = pick(data, 'primary_email_address_id', 'primaryEmailAddressId');
+  const primary = emailAddresses.find(address => address.id === primaryEmailId) || emailAddresses[0];
+  const userType = (pick(data, 'public_metadata', 'publicMetadata') || {}).userType;
+
+  return {
+    id: data.id,
+    email: (primary && pick(primary, 'email_address', 'emailAddress'))?.toLowerCase() || null,
+    firstName: pick(data, 'first_name', 'firstName') || null,
+    lastName: pick(data, 'last_name', 'lastName') || null,
+    profileImage: pick(data, 'image_url', 'imageUrl') ||
+      pick(data, 'profile_image_url', 'profileImageUrl') || null,
+    userType: USER_TYPES.includes(userType) ? userType : null,
+    lastSignInAt: toDate(pick(data, 'last_sign_in_at', 'lastSignInAt'))
+  };
+};
+
+// { id, name, imageUrl, createdBy }
+export const normalizeClerkOrganization = (data = {}) => ({
+  id: data.id,
+  name: data.name || null,
+  imageUrl: pick(data, 'image_url', 'imageUrl') || null,
+  createdBy: pick(data, 'created_by', 'createdBy') || null
+});
+
+// { organizationId, userId, role } - role is Clerk's, e.g. "org:admin"
+export const normalizeClerkMembership = (data = {}) => {
+  const publicUserData = pick(data, 'public_user_data', 'publicUserData') || {};
+
+  return {
+    organizationId: data.organization?.id || null,
+    userId: pick(publicUserData, 'user_id', 'userId') || null,
+    role: data.role || null
+  };
+};
+
+// { userId, createdAt }
+export const normalizeClerkSession = (data = {}) => ({
+  userId: pick(data, 'user_id', 'userId') || null,
+  createdAt: toDate(pick(data, 'created_at', 'createdAt')) || new Date()
+});
+
+const clerkRequest = async (path, query = {}) => {
+  const secretKey = process.env.CLERK_SECRET_KEY;
+  if (!secretKey) {
+    throw new ClerkApiError('CLERK_SECRET_KEY is not configured', 500);
+  }
+
+  const params = new URLSearchParams(query).toString();
+  const response = await fetch(`${getApiUrl()}${path}${params ? `?${params}` : ''}`, {
+    headers: { Authorization: `Bearer ${secretKey}` }
+  });
+
+  if (!response.ok) {
+    throw new ClerkApiError(`Clerk API request failed (${response.status})`, response.status);
+  }
+  return response.json();
+};
+
+// Fetches a user from Clerk, normalized. Returns null when Clerk doesn't know the ID.
+export const getClerkUser = async (clerkUserId) => {
+  try {
+    return normalizeClerkUser(await clerkRequest(`/users/${encodeURIComponent(clerkUserId)}`));
+  } catch (error) {
+    if (error instanceof ClerkApiError && error.status === 404) return null;
+    throw error;
+  }
+};
+
+// Pages through every Clerk user, oldest first, yielding normalized users.
+// CLERK_API_URL can point at a local mock that serves GET /users?limit=&offset=.
+export async function* listClerkUsers({ pageSize = 100 } = {}) {
+  for (let offset = 0; ; offset += pageSize) {
+    const page = await clerkRequest('/users', { limit: pageSize, offset, order_by: '+created_at' });
+    const users = Array.isArray(page) ? page : page.data || [];
+
+    for (const user of users) yield normalizeClerkUser(user);
+    if (users.length < pageSize) return;
+  }
+}
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Verifies Clerk session tokens (RS256 JWTs).
+//
+// Keys come from one of two places:
+//   - CLERK_JWT_KEY: a PEM public key (or a path to one). Verification is then
+//     fully offline, which is also how local key pairs are used in development.
+//   - CLERK_JWKS_URL (or CLERK_ISSUER + /.well-known/jwks.json): fetched once and
+//     cached in memory, refreshed when the TTL lapses or an unknown `kid` shows up.
+
+const JWKS_CACHE_TTL_MS = parseInt(process.env.CLERK_JWKS_CACHE_TTL_MS, 10) || 60 * 60 * 1000;
+const JWKS_MIN_REFRESH_INTERVAL_MS = 30 * 1000;
+const CLOCK_SKEW_SECONDS = parseInt(process.env.CLERK_CLOCK_SKEW_SECONDS, 10) || 5;
+
+const jwksCache = {
+  keys: new Map(),
+  fetchedAt: 0
+};
+
+let staticKey;
+
+export class TokenVerificationError extends Error {
+  constructor(message, reason = 'invalid_token') {
+    super(message);
+    this.name = 'TokenVerificationError';
+    this.reason = reason;
+  }
+}
+
+const splitList = (value) =>
+  (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const getConfig = () => ({
+  jwtKey: process.env.CLERK_JWT_KEY,
+  issuer: process.env.CLERK_ISSUER,
+  jwksUrl: process.env.CLERK_JWKS_URL ||
+    (process.env.CLERK_ISSUER ? `${process.env.CLERK_ISSUER.replace(/\/$/, '')}/.well-known/jwks.json` : null),
+  audiences: splitList(process.env.CLERK_AUDIENCE),
+  authorizedParties: splitList(process.env.CLERK_AUTHORIZED_PARTIES)
+});
+
+// Header and payload must both be JSON objects ("null" or "1" parse fine but aren't)
+const decodeSegment = (segment) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new TokenVerificationError('Malformed token');
+  }
+
+  if (!decoded || typeof decoded !== 'object' || Array.isArray(decoded)) {
+    throw new TokenVerificationError('Malformed token');
+  }
+  return decoded;
+};
+
+// CLERK_JWT_KEY may hold the PEM itself (with literal or escaped newlines) or a file path
+const loadStaticKey = (jwtKey) => {
+  if (!staticKey) {
+    const pem = jwtKey.includes('BEGIN')
+      ? jwtKey.replace(/\\n/g, '\n')
+      : fs.readFileSync(jwtKey, 'utf8');
+    staticKey = crypto.createPublicKey(pem);
+  }
+  return staticKey;
+};
+
+const refreshJwks = async (jwksUrl) => {
+  const response = await fetch(jwksUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch JWKS (${response.status})`);
+  }
+
+  const { keys = [] } = await response.json();
+  jwksCache.keys = new Map(
+    keys
+      .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+      .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+  );
+  jwksCache.fetchedAt = Date.now();
+};
+
+const getJwksKey = async (jwksUrl, kid) => {
+  const age = Date.now() - jwksCache.fetchedAt;
+
+  if (age > JWKS_CACHE_TTL_MS) {
+    await refreshJwks(jwksUrl);
+  } else if (!jwksCache.keys.has(kid) && age > JWKS_MIN_REFRESH_INTERVAL_MS) {
+    // Key rotation: the token was signed with a key we have not seen yet
+    await refreshJwks(jwksUrl);
+  }
+
+  const key = jwksCache.keys.get(kid);
+  if (!key) {
+    throw new TokenVerificationError('Signing key not found', 'unknown_key');
+  }
+  return key;
+};
+
+const resolveKey = async (header, config) => {
+  if (config.jwtKey) return loadStaticKey(config.jwtKey);
+
+  if (!config.jwksUrl) {
+    throw new Error('Set CLERK_JWT_KEY, CLERK_JWKS_URL or CLERK_ISSUER to verify session tokens');
+  }
+  return getJwksKey(config.jwksUrl, header.kid);
+};
+
+const checkClaims = (payload, config) => {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new TokenVerificationError('Token has expired', 'token_expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new TokenVerificationError('Token is not active yet', 'token_not_active');
+  }
+  if (!payload.sub) {
+    throw new TokenVerificationError('Token has no subject');
+  }
+  if (config.issuer && payload.iss !== config.issuer) {
+    throw new TokenVerificationError('Token issuer is not trusted', 'invalid_issuer');
+  }
+  if (config.audiences.length > 0) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.some(aud => config.audiences.includes(aud))) {
+      throw new TokenVerificationError('Token audience is not accepted', 'invalid_audience');
+    }
+  }
+  if (config.authorizedParties.length > 0 && payload.azp &&
+      !config.authorizedParties.includes(payload.azp)) {
+    throw new TokenVerificationError('Token authorized party is not accepted', 'invalid_azp');
+  }
+};
+
+// Returns the verified token payload or throws TokenVerificationError
+export const verifyToken = async (token) => {
+  const config = getConfig();
+  const segments = (token || '').split('.');
+
+  if (segments.length !== 3) {
+    throw new TokenVerificationError('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader);
+  const payload = decodeSegment(encodedPayload);
+
+  if (header.alg !== 'RS256') {
+    throw new TokenVerificationError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const key = await resolveKey(header, config);
+  const isValid = crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    key,
+    Buffer.from(encodedSignature, 'base64url')
+  );
+
+  if (!isValid) {
+    throw new TokenVerificationError('Invalid token signature', 'invalid_signature');
+  }
+
+  checkClaims(payload, config);
+  return payload;
+};
+
+// Signs a token with a local private key - only used by scripts/devToken.js
+export const signToken = (payload, privateKey, kid = 'local-dev') => {
+  const header = { alg: 'RS256', typ: 'JWT', kid };
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode(header)}.${encode(payload)}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey);
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+};
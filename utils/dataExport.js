@@ -0,0 +1,80 @@
+import { ZipArchive } from 'archiver';
+import Application from '../models/Application.js';
+import Contact from '../models/Contact.js';
+import Interview from '../models/Interview.js';
+import SavedSearch from '../models/SavedSearch.js';
+import Upload from '../models/Upload.js';
+import { getStorage } from './storage/index.js';
+
+// Personal data export (GET /api/users/me/export). Employer-only fields on
+// applications (rating, tags, team notes) are select: false and stay out.
+
+// Contact inquiries sent while signed in, or anonymously from the same address
+export const contactFilter = (user) => ({
+  $or: [{ userId: user.clerkUserId }, { email: user.email }]
+});
+
+// Everything we hold about the user as one JSON-friendly object, plus the
+// upload documents so a ZIP export can include the files themselves
+export const collectUserData = async (user) => {
+  const [applications, savedSearches, contacts, interviews] = await Promise.all([
+    Application.find({ userId: user._id })
+      .populate('jobId', 'title company location')
+      .sort({ appliedAt: -1 })
+      .lean(),
+    SavedSearch.find({ userId: user._id }).select('-unsubscribeToken').lean(),
+    Contact.find(contactFilter(user)).select('-assignedTo').sort({ createdAt: -1 }).lean(),
+    Interview.find({ candidateId: user.clerkUserId })
+      .select('jobId title durationMinutes timezone locationType location videoLink status scheduledStart scheduledEnd slots createdAt')
+      .lean()
+  ]);
+
+  await user.populate('savedJobs.jobId', 'title company location status');
+  const uploads = await Upload.findPersonal(user.clerkUserId, contacts.map(contact => contact._id));
+
+  const { savedJobs, ...account } = user.toObject({ virtuals: false });
+
+  return {
+    uploads,
+    data: {
+      exportedAt: new Date().toISOString(),
+      account,
+      applications,
+      savedJobs,
+      savedSearches,
+      interviews,
+      contactInquiries: contacts,
+      uploads: uploads.map(upload => upload.toJSON())
+    }
+  };
+};
+
+const safeFileName = (name) => String(name || 'file').replace(/[^\w.-]+/g, '_').slice(0, 100);
+
+// Streams a ZIP with data.json and the uploaded files (under files/) to `res`
+export const sendExportZip = async (res, { data, uploads }, fileName) => {
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+  const storage = await getStorage();
+
+  res.attachment(fileName);
+  archive.on('warning', error => console.error('⚠️ Export archive warning:', error.message));
+  archive.on('error', error => {
+    console.error('❌ Export archive error:', error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+
+  for (const upload of uploads) {
+    try {
+      const stream = await storage.get(upload.storageKey);
+      archive.append(stream, { name: `files/${upload._id}-${safeFileName(upload.originalName)}` });
+    } catch (error) {
+      // A missing file shouldn't stop the rest of the export
+      console.error(`⚠️ Export skipped upload ${upload._id}:`, error.message);
+    }
+  }
+
+  await archive.finalize();
+};
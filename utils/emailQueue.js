@@ -0,0 +1,114 @@
+import QueuedEmail from '../models/QueuedEmail.js';
+import { sendMail } from './mailer.js';
+import { isPlaceholderEmail } from '../models/User.js';
+
+// Database-backed email queue. Routes call enqueueEmail (optionally inside a
+// transaction) and the in-process worker sends due emails in small batches,
+// retrying failures with a growing delay. Claiming an email is an atomic
+// pending → sending update, so several server instances can run the worker.
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+// Emails stuck in "sending" this long (a crashed worker) are picked up again
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// `emails` is one email or a list of { to, subject, html, text, category, relatedId, sendAfter, options }.
+// Emails to a placeholder user's made-up address are held rather than sent.
+export const enqueueEmail = async (emails, { session } = {}) => {
+  const list = (Array.isArray(emails) ? emails : [emails])
+    .map(email => (isPlaceholderEmail(email.to) ? { ...email, status: 'held' } : email));
+  if (list.length === 0) return [];
+  return QueuedEmail.create(list, { session, ordered: true });
+};
+
+const claimNext = (now) =>
+  QueuedEmail.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', sendAfter: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true, sort: { sendAfter: 1 } }
+  );
+
+export const processEmailQueue = async ({ now = new Date(), limit = BATCH_SIZE } = {}) => {
+  const stats = { sent: 0, skipped: 0, retried: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const email = await claimNext(now);
+    if (!email) break;
+
+    try {
+      const result = await sendMail({
+        to: email.to,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        ...(email.options || {})
+      });
+
+      if (result.skipped) {
+        // Mail is only sent in production; keep the email (no sentAt, so no TTL) instead
+        email.set({ status: 'skipped', lockedAt: undefined });
+        stats.skipped += 1;
+      } else {
+        email.set({ status: 'sent', sentAt: new Date(), lockedAt: undefined, lastError: undefined });
+        stats.sent += 1;
+      }
+    } catch (error) {
+      const giveUp = email.attempts >= MAX_ATTEMPTS;
+      email.set({
+        status: giveUp ? 'failed' : 'pending',
+        sendAfter: new Date(Date.now() + RETRY_BASE_MS * 2 ** (email.attempts - 1)),
+        lockedAt: undefined,
+        lastError: error.message
+      });
+      stats[giveUp ? 'failed' : 'retried'] += 1;
+    }
+
+    await email.save();
+  }
+
+  if (stats.sent > 0 || stats.skipped > 0 || stats.failed > 0) {
+    console.log(`📨 Email queue: sent ${stats.sent}, skipped ${stats.skipped} (not production), retrying ${stats.retried}, failed ${stats.failed}`);
+  }
+
+  return stats;
+};
+
+const tick = async () => {
+  // Skip overlapping runs if sending is slow
+  if (running) return;
+  running = true;
+
+  try {
+    await processEmailQueue();
+  } catch (error) {
+    console.error('❌ Email queue error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+export const startEmailQueue = ({ intervalMs } = {}) => {
+  if (timer) return;
+
+  const interval = intervalMs || parseInt(process.env.EMAIL_QUEUE_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS;
+  timer = setInterval(tick, interval);
+  // Don't keep scripts or tests alive just for the worker
+  timer.unref();
+
+  console.log(`📨 Email queue worker running every ${Math.round(interval / 1000)}s`);
+};
+
+export const stopEmailQueue = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import { escapeHtml } from './mailer.js';
+
+// Employer verification. The employer proves they control the company's domain
+// by entering a code sent to an address on their `website` domain, then an admin
+// reviews the request. Only the review can set Employer.isVerified.
+//
+//   unverified / rejected --request--> pending_email --confirm--> pending_review
+//   pending_review --approve--> verified     pending_review --reject--> rejected
+
+export const VERIFICATION_STATUSES = ['unverified', 'pending_email', 'pending_review', 'verified', 'rejected'];
+
+const CODE_TTL_MS = 30 * 60 * 1000;
+const RESEND_INTERVAL_MS = 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+// Each code allows MAX_CODE_ATTEMPTS guesses, so codes per day bound the guesses per day
+const MAX_CODES_PER_DAY = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://jobhub-works.vercel.app';
+
+export class VerificationError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VerificationError';
+    this.status = status;
+  }
+}
+
+// "https://www.acme.com/careers" -> "acme.com"; null when there is no usable host
+export const websiteDomain = (website) => {
+  if (!website) return null;
+
+  try {
+    const url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+    const host = url.hostname.toLowerCase().replace(/^www\./, '');
+    return host.includes('.') ? host : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Anyone can get an address at these, so receiving a code there proves nothing
+const FREE_MAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'hotmail.co.uk', 'live.com', 'msn.com',
+  'yahoo.com', 'yahoo.co.uk', 'ymail.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com',
+  'proton.me', 'protonmail.com', 'pm.me', 'tutanota.com', 'gmx.com', 'gmx.net', 'gmx.de', 'web.de',
+  'mail.com', 'zoho.com', 'yandex.com', 'yandex.ru', 'mail.ru', 'qq.com', '163.com', 'fastmail.com',
+  'hey.com', 'duck.com'
+];
+
+// Hosts whose subdomains are handed out to anyone's site
+const SHARED_HOSTS = [
+  'github.io', 'gitlab.io', 'vercel.app', 'netlify.app', 'herokuapp.com', 'onrender.com', 'pages.dev',
+  'web.app', 'firebaseapp.com', 'azurewebsites.net', 'cloudfront.net', 'appspot.com',
+  'blogspot.com', 'wordpress.com', 'wixsite.com', 'squarespace.com', 'weebly.com', 'carrd.co',
+  'sites.google.com', 'notion.site'
+];
+
+// Public suffixes - companies register names under them, nobody owns them whole
+const PUBLIC_SUFFIXES = [
+  'co.uk', 'org.uk', 'ac.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'co.za', 'co.ke', 'or.ke', 'ac.ke',
+  'com.ng', 'co.in', 'co.jp', 'com.br', 'com.mx', 'com.cn', 'com.sg', 'com.hk', 'co.il', 'co.kr'
+];
+
+const onDomain = (host, domain) => host === domain || host.endsWith(`.${domain}`);
+
+// True when control of `domain` says nothing about owning a company
+export const isSharedDomain = (domain) =>
+  PUBLIC_SUFFIXES.includes(domain) ||
+  [...FREE_MAIL_DOMAINS, ...SHARED_HOSTS].some(shared => onDomain(domain, shared));
+
+// The address must be on the domain itself or one of its subdomains
+export const emailMatchesDomain = (email, domain) => {
+  const host = String(email || '').toLowerCase().split('@')[1];
+  return Boolean(host && domain) && onDomain(host, domain);
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Starts (or restarts) a request and returns the plain code to email. The caller saves.
+export const requestVerification = (employer, { email, note } = {}, now = new Date()) => {
+  const { verification } = employer;
+  const domain = websiteDomain(employer.website);
+
+  if (employer.isVerified) {
+    throw new VerificationError('This employer is already verified', 409);
+  }
+  if (verification.status === 'pending_review') {
+    throw new VerificationError('A verification request is already waiting for review', 409);
+  }
+  if (!domain) {
+    throw new VerificationError('Add your company website before requesting verification');
+  }
+  if (isSharedDomain(domain)) {
+    throw new VerificationError(`${domain} is a shared or free email domain - set your website to your company's own domain`);
+  }
+  if (!emailMatchesDomain(email, domain)) {
+    throw new VerificationError(`The email address must be on your website's domain (${domain})`);
+  }
+  if (verification.status === 'pending_email' && now - verification.codeSentAt < RESEND_INTERVAL_MS) {
+    throw new VerificationError('Please wait a minute before requesting another code', 429);
+  }
+
+  const windowStartedAt = verification.codesWindowStartedAt;
+  const inWindow = Boolean(windowStartedAt) && now - windowStartedAt < DAY_MS;
+  const codesSent = inWindow ? verification.codesSent || 0 : 0;
+  if (codesSent >= MAX_CODES_PER_DAY) {
+    throw new VerificationError('Too many verification codes requested - please try again tomorrow', 429);
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  employer.verification = {
+    status: 'pending_email',
+    email: email.toLowerCase(),
+    domain,
+    note,
+    codeHash: hashCode(code),
+    codeSentAt: now,
+    codeExpiresAt: new Date(now.getTime() + CODE_TTL_MS),
+    attempts: 0,
+    codesSent: codesSent + 1,
+    codesWindowStartedAt: inWindow ? windowStartedAt : now,
+    requestedAt: now
+  };
+
+  return code;
+};
+
+// Checks the emailed code; a match moves the request to the admin queue. The caller saves.
+export const confirmVerification = (employer, code, now = new Date()) => {
+  const { verification } = employer;
+
+  if (verification.status !== 'pending_email') {
+    throw new VerificationError('There is no verification code to confirm', 409);
+  }
+  if (verification.codeExpiresAt < now || verification.attempts >= MAX_CODE_ATTEMPTS) {
+    throw new VerificationError('This code has expired - please request a new one', 410);
+  }
+
+  const expected = Buffer.from(verification.codeHash, 'hex');
+  const given = Buffer.from(hashCode(String(code || '').trim()), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, given)) {
+    verification.attempts += 1;
+    throw new VerificationError('Incorrect verification code');
+  }
+
+  verification.set({
+    status: 'pending_review',
+    codeHash: undefined,
+    codeExpiresAt: undefined,
+    emailVerifiedAt: now
+  });
+};
+
+// Admin decision on a pending request. The caller saves.
+export const reviewVerification = (employer, { decision, reason, reviewerId }, now = new Date()) => {
+  const { verification } = employer;
+
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new VerificationError('Decision must be approve or reject');
+  }
+  if (verification.status !== 'pending_review') {
+    throw new VerificationError('This employer has no request waiting for review', 409);
+  }
+  if (decision === 'reject' && !reason) {
+    throw new VerificationError('A reason is required when rejecting a request');
+  }
+
+  verification.set({
+    status: decision === 'approve' ? 'verified' : 'rejected',
+    reviewedAt: now,
+    reviewedBy: reviewerId,
+    reason
+  });
+  employer.isVerified = decision === 'approve';
+};
+
+export const verificationCodeEmail = ({ employer, code }) => ({
+  to: employer.verification.email,
+  subject: `Your JobHub verification code: ${code}`,
+  html: `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2563eb;">Verify ${escapeHtml(employer.companyName)} on JobHub</h2>
+      <p>Enter this code to confirm you can receive email at ${escapeHtml(employer.verification.domain)}:</p>
+      <p style="font-size: 28px; font-weight: bold; letter-spacing: 6px;">${code}</p>
+      <p style="color: #6b7280; font-size: 12px;">The code expires in 30 minutes. If you didn't request it, you can ignore this email.</p>
+    </div>
+  `,
+  text: `Your code to verify ${employer.companyName} on JobHub is ${code}. It expires in 30 minutes.`
+});
+
+export const verificationDecisionEmail = ({ employer }) => {
+  const approved = employer.verification.status === 'verified';
+  const message = approved
+    ? 'Your company is now verified. A verified badge shows on your profile and you can feature job listings.'
+    : `Your verification request was not approved: ${employer.verification.reason}`;
+
+  return {
+    to: employer.contactEmail,
+    subject: approved ? `${employer.companyName} is verified on JobHub` : `Update on ${employer.companyName}'s verification request`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #2563eb;">${escapeHtml(employer.companyName)}</h2>
+        <p>${escapeHtml(message)}</p>
+        <p><a href="${FRONTEND_URL}/employers/${employer._id}">View your company profile</a></p>
+      </div>
+    `,
+    text: `${message}\n\n${FRONTEND_URL}/employers/${employer._id}`,
+    category: 'employer_verification',
+    relatedId: employer._id
+  };
+};
@@ -0,0 +1,181 @@
+import User from '../models/User.js';
+import Application from '../models/Application.js';
+import Contact from '../models/Contact.js';
+import Interview from '../models/Interview.js';
+import Job from '../models/Job.js';
+import QueuedEmail from '../models/QueuedEmail.js';
+import SavedSearch from '../models/SavedSearch.js';
+import Upload from '../models/Upload.js';
+import { getStorage } from './storage/index.js';
+import { contactFilter } from './dataExport.js';
+import { cancelInterview } from './interviews.js';
+
+// Right to erasure. A request (POST /api/users/me/erasure or the Clerk
+// user.deleted webhook) schedules it; after the grace period the scheduler
+// anonymizes the user's personal data. Application documents are kept, stripped
+// of personal content, so job application counts and pipeline stats still add up.
+
+const DEFAULT_GRACE_DAYS = 30;
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ERASED_TEXT = '[erased]';
+const ERASED_CONTACT_EMAIL = 'erased@jobhub.invalid';
+
+let timer = null;
+let running = false;
+
+export const erasureGraceDays = () => {
+  const days = parseInt(process.env.ERASURE_GRACE_DAYS, 10);
+  return Number.isNaN(days) ? DEFAULT_GRACE_DAYS : days;
+};
+
+// Sets the erasure date unless one is already pending. The caller saves.
+export const scheduleErasure = (user, now = new Date()) => {
+  if (!user.erasureScheduledFor) {
+    user.erasureRequestedAt = now;
+    user.erasureScheduledFor = new Date(now.getTime() + erasureGraceDays() * DAY_MS);
+  }
+  return user;
+};
+
+// Stand-in ID for everything that pointed at the user's Clerk account
+const erasedId = (user) => `erased_${user._id}`;
+
+export const eraseUser = async (user, now = new Date()) => {
+  const clerkUserId = user.clerkUserId;
+  const anonymousId = erasedId(user);
+
+  const contacts = await Contact.find(contactFilter(user)).select('_id');
+  const contactIds = contacts.map(contact => contact._id);
+
+  // Files first - once the documents below are anonymized they can't be found
+  const storage = await getStorage();
+  const uploads = await Upload.findPersonal(clerkUserId, contactIds);
+  for (const upload of uploads) {
+    await storage.remove(upload.storageKey);
+  }
+  await Upload.deleteMany({ _id: { $in: uploads.map(upload => upload._id) } });
+
+  await Contact.updateMany({ _id: { $in: contactIds } }, {
+    $set: {
+      name: 'Deleted user',
+      email: ERASED_CONTACT_EMAIL,
+      subject: ERASED_TEXT,
+      message: ERASED_TEXT,
+      userId: null,
+      attachments: []
+    }
+  });
+  await Contact.updateMany(
+    { _id: { $in: contactIds }, 'response.message': { $exists: true } },
+    { $set: { 'response.message': ERASED_TEXT } }
+  );
+
+  // Status, dates and history stay for the employer's pipeline statistics
+  await Application.updateMany({ userId: user._id }, {
+    $set: { clerkUserId: anonymousId, coverLetter: '', notes: '', resumeUrl: '', teamNotes: [] },
+    $unset: { resumeUpload: '' }
+  });
+  // History entries are immutable in the schema, so go through the driver
+  await Application.collection.updateMany(
+    { userId: user._id, 'history.actorId': clerkUserId },
+    {
+      $set: { 'history.$[entry].actorId': null },
+      $unset: { 'history.$[entry].reason': '' }
+    },
+    { arrayFilters: [{ 'entry.actorId': clerkUserId }] }
+  );
+
+  // Cancelled the same way the candidate would, so interviewers get the
+  // cancellation and calendar update and their reminders are dropped
+  const interviews = await Interview.find({ candidateId: clerkUserId, status: { $in: ['proposed', 'confirmed'] } });
+  for (const interview of interviews) {
+    const job = await Job.findById(interview.jobId);
+    await cancelInterview(interview, { job, candidate: user, reason: 'Candidate account deleted', cancelledBy: 'candidate' });
+  }
+  await Interview.updateMany({ candidateId: clerkUserId }, { $set: { candidateId: anonymousId } });
+
+  await Job.updateMany({ assignedRecruiters: clerkUserId }, { $pull: { assignedRecruiters: clerkUserId } });
+
+  await QueuedEmail.deleteMany({ to: user.email });
+  await SavedSearch.deleteMany({ userId: user._id });
+
+  user.set({
+    clerkUserId: anonymousId,
+    email: `${anonymousId}@jobhub.invalid`,
+    firstName: undefined,
+    lastName: undefined,
+    profileImage: undefined,
+    lastLoginAt: undefined,
+    profile: {},
+    preferences: { jobAlerts: false, emailNotifications: false },
+    savedJobs: [],
+    organizations: [],
+    employerMemberships: [],
+    isActive: false,
+    isPlaceholder: false,
+    erasureScheduledFor: undefined,
+    erasedAt: now
+  });
+  await user.save();
+
+  return user;
+};
+
+// Erases every user whose grace period has passed
+export const runErasures = async ({ now = new Date(), dryRun = false } = {}) => {
+  const users = await User.find({
+    erasureScheduledFor: { $lte: now },
+    erasedAt: { $exists: false }
+  });
+  const stats = { due: users.length, erased: 0, failed: 0 };
+
+  for (const user of users) {
+    if (dryRun) {
+      console.log(`📝 Would erase user ${user._id} (requested ${user.erasureRequestedAt?.toISOString()})`);
+      continue;
+    }
+    try {
+      await eraseUser(user, now);
+      stats.erased++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`❌ Erasure failed for user ${user._id}:`, error.message);
+    }
+  }
+
+  if (stats.erased > 0) {
+    console.log(`🗑️ Erased personal data of ${stats.erased} user(s)`);
+  }
+
+  return stats;
+};
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await runErasures();
+  } catch (error) {
+    console.error('❌ Erasure scheduler error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+export const startErasureScheduler = ({ intervalMs } = {}) => {
+  if (timer) return;
+
+  const interval = intervalMs || parseInt(process.env.ERASURE_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS;
+  timer = setInterval(tick, interval);
+  // Don't keep scripts or tests alive just for the scheduler
+  timer.unref();
+
+  console.log(`🗑️ Erasure scheduler running every ${Math.round(interval / 60000)}min`);
+};
+
+export const stopErasureScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,194 @@
+// Bundled city gazetteer for offline geocoding (utils/geocode.js).
+// Coordinates are city centres; `region` is the state/province code where one is
+// commonly written after the city ("Austin, TX").
+
+const gazetteer = [
+  // United States
+  { name: 'New York', region: 'NY', country: 'US', lat: 40.7128, lng: -74.006, aliases: ['NYC', 'New York City', 'Manhattan', 'Brooklyn'] },
+  { name: 'Los Angeles', region: 'CA', country: 'US', lat: 34.0522, lng: -118.2437, aliases: ['LA'] },
+  { name: 'San Francisco', region: 'CA', country: 'US', lat: 37.7749, lng: -122.4194, aliases: ['SF', 'San Francisco Bay Area', 'Bay Area'] },
+  { name: 'San Jose', region: 'CA', country: 'US', lat: 37.3382, lng: -121.8863, aliases: ['Silicon Valley'] },
+  { name: 'Oakland', region: 'CA', country: 'US', lat: 37.8044, lng: -122.2712 },
+  { name: 'Palo Alto', region: 'CA', country: 'US', lat: 37.4419, lng: -122.143 },
+  { name: 'Mountain View', region: 'CA', country: 'US', lat: 37.3861, lng: -122.0839 },
+  { name: 'San Diego', region: 'CA', country: 'US', lat: 32.7157, lng: -117.1611 },
+  { name: 'Sacramento', region: 'CA', country: 'US', lat: 38.5816, lng: -121.4944 },
+  { name: 'Seattle', region: 'WA', country: 'US', lat: 47.6062, lng: -122.3321 },
+  { name: 'Bellevue', region: 'WA', country: 'US', lat: 47.6101, lng: -122.2015 },
+  { name: 'Redmond', region: 'WA', country: 'US', lat: 47.674, lng: -122.1215 },
+  { name: 'Portland', region: 'OR', country: 'US', lat: 45.5152, lng: -122.6784 },
+  { name: 'Austin', region: 'TX', country: 'US', lat: 30.2672, lng: -97.7431 },
+  { name: 'Round Rock', region: 'TX', country: 'US', lat: 30.5083, lng: -97.6789 },
+  { name: 'San Antonio', region: 'TX', country: 'US', lat: 29.4241, lng: -98.4936 },
+  { name: 'Dallas', region: 'TX', country: 'US', lat: 32.7767, lng: -96.797 },
+  { name: 'Fort Worth', region: 'TX', country: 'US', lat: 32.7555, lng: -97.3308 },
+  { name: 'Houston', region: 'TX', country: 'US', lat: 29.7604, lng: -95.3698 },
+  { name: 'Denver', region: 'CO', country: 'US', lat: 39.7392, lng: -104.9903 },
+  { name: 'Boulder', region: 'CO', country: 'US', lat: 40.015, lng: -105.2705 },
+  { name: 'Phoenix', region: 'AZ', country: 'US', lat: 33.4484, lng: -112.074 },
+  { name: 'Salt Lake City', region: 'UT', country: 'US', lat: 40.7608, lng: -111.891 },
+  { name: 'Las Vegas', region: 'NV', country: 'US', lat: 36.1699, lng: -115.1398 },
+  { name: 'Chicago', region: 'IL', country: 'US', lat: 41.8781, lng: -87.6298 },
+  { name: 'Minneapolis', region: 'MN', country: 'US', lat: 44.9778, lng: -93.265 },
+  { name: 'Detroit', region: 'MI', country: 'US', lat: 42.3314, lng: -83.0458 },
+  { name: 'Columbus', region: 'OH', country: 'US', lat: 39.9612, lng: -82.9988 },
+  { name: 'Pittsburgh', region: 'PA', country: 'US', lat: 40.4406, lng: -79.9959 },
+  { name: 'Philadelphia', region: 'PA', country: 'US', lat: 39.9526, lng: -75.1652 },
+  { name: 'Boston', region: 'MA', country: 'US', lat: 42.3601, lng: -71.0589 },
+  { name: 'Cambridge', region: 'MA', country: 'US', lat: 42.3736, lng: -71.1097 },
+  { name: 'Washington', region: 'DC', country: 'US', lat: 38.9072, lng: -77.0369, aliases: ['Washington DC', 'Washington, D.C.', 'DC'] },
+  { name: 'Baltimore', region: 'MD', country: 'US', lat: 39.2904, lng: -76.6122 },
+  { name: 'Raleigh', region: 'NC', country: 'US', lat: 35.7796, lng: -78.6382 },
+  { name: 'Charlotte', region: 'NC', country: 'US', lat: 35.2271, lng: -80.8431 },
+  { name: 'Atlanta', region: 'GA', country: 'US', lat: 33.749, lng: -84.388 },
+  { name: 'Nashville', region: 'TN', country: 'US', lat: 36.1627, lng: -86.7816 },
+  { name: 'Miami', region: 'FL', country: 'US', lat: 25.7617, lng: -80.1918 },
+  { name: 'Orlando', region: 'FL', country: 'US', lat: 28.5383, lng: -81.3792 },
+  { name: 'Tampa', region: 'FL', country: 'US', lat: 27.9506, lng: -82.4572 },
+
+  // Canada
+  { name: 'Toronto', region: 'ON', country: 'CA', lat: 43.6532, lng: -79.3832 },
+  { name: 'Ottawa', region: 'ON', country: 'CA', lat: 45.4215, lng: -75.6972 },
+  { name: 'Waterloo', region: 'ON', country: 'CA', lat: 43.4643, lng: -80.5204 },
+  { name: 'Montreal', region: 'QC', country: 'CA', lat: 45.5017, lng: -73.5673, aliases: ['Montréal'] },
+  { name: 'Vancouver', region: 'BC', country: 'CA', lat: 49.2827, lng: -123.1207 },
+  { name: 'Calgary', region: 'AB', country: 'CA', lat: 51.0447, lng: -114.0719 },
+
+  // Kenya and East Africa
+  { name: 'Nairobi', country: 'KE', lat: -1.2921, lng: 36.8219 },
+  { name: 'Mombasa', country: 'KE', lat: -4.0435, lng: 39.6682 },
+  { name: 'Kisumu', country: 'KE', lat: -0.0917, lng: 34.768 },
+  { name: 'Nakuru', country: 'KE', lat: -0.3031, lng: 36.08 },
+  { name: 'Eldoret', country: 'KE', lat: 0.5143, lng: 35.2698 },
+  { name: 'Thika', country: 'KE', lat: -1.0333, lng: 37.0693 },
+  { name: 'Kampala', country: 'UG', lat: 0.3476, lng: 32.5825 },
+  { name: 'Kigali', country: 'RW', lat: -1.9441, lng: 30.0619 },
+  { name: 'Dar es Salaam', country: 'TZ', lat: -6.7924, lng: 39.2083 },
+  { name: 'Addis Ababa', country: 'ET', lat: 9.03, lng: 38.74 },
+
+  // Rest of Africa
+  { name: 'Lagos', country: 'NG', lat: 6.5244, lng: 3.3792 },
+  { name: 'Abuja', country: 'NG', lat: 9.0765, lng: 7.3986 },
+  { name: 'Accra', country: 'GH', lat: 5.6037, lng: -0.187 },
+  { name: 'Johannesburg', country: 'ZA', lat: -26.2041, lng: 28.0473 },
+  { name: 'Cape Town', country: 'ZA', lat: -33.9249, lng: 18.4241 },
+  { name: 'Cairo', country: 'EG', lat: 30.0444, lng: 31.2357 },
+  { name: 'Casablanca', country: 'MA', lat: 33.5731, lng: -7.5898 },
+
+  // Europe
+  { name: 'London', country: 'GB', lat: 51.5074, lng: -0.1278 },
+  { name: 'Manchester', country: 'GB', lat: 53.4808, lng: -2.2426 },
+  { name: 'Edinburgh', country: 'GB', lat: 55.9533, lng: -3.1883 },
+  { name: 'Dublin', country: 'IE', lat: 53.3498, lng: -6.2603 },
+  { name: 'Paris', country: 'FR', lat: 48.8566, lng: 2.3522 },
+  { name: 'Berlin', country: 'DE', lat: 52.52, lng: 13.405 },
+  { name: 'Munich', country: 'DE', lat: 48.1351, lng: 11.582, aliases: ['München'] },
+  { name: 'Hamburg', country: 'DE', lat: 53.5511, lng: 9.9937 },
+  { name: 'Amsterdam', country: 'NL', lat: 52.3676, lng: 4.9041 },
+  { name: 'Brussels', country: 'BE', lat: 50.8503, lng: 4.3517 },
+  { name: 'Zurich', country: 'CH', lat: 47.3769, lng: 8.5417, aliases: ['Zürich'] },
+  { name: 'Madrid', country: 'ES', lat: 40.4168, lng: -3.7038 },
+  { name: 'Barcelona', country: 'ES', lat: 41.3851, lng: 2.1734 },
+  { name: 'Lisbon', country: 'PT', lat: 38.7223, lng: -9.1393 },
+  { name: 'Milan', country: 'IT', lat: 45.4642, lng: 9.19 },
+  { name: 'Rome', country: 'IT', lat: 41.9028, lng: 12.4964 },
+  { name: 'Stockholm', country: 'SE', lat: 59.3293, lng: 18.0686 },
+  { name: 'Copenhagen', country: 'DK', lat: 55.6761, lng: 12.5683 },
+  { name: 'Oslo', country: 'NO', lat: 59.9139, lng: 10.7522 },
+  { name: 'Helsinki', country: 'FI', lat: 60.1699, lng: 24.9384 },
+  { name: 'Warsaw', country: 'PL', lat: 52.2297, lng: 21.0122 },
+  { name: 'Vienna', country: 'AT', lat: 48.2082, lng: 16.3738 },
+  { name: 'Prague', country: 'CZ', lat: 50.0755, lng: 14.4378 },
+
+  // Asia and Oceania
+  { name: 'Dubai', country: 'AE', lat: 25.2048, lng: 55.2708 },
+  { name: 'Tel Aviv', country: 'IL', lat: 32.0853, lng: 34.7818 },
+  { name: 'Bangalore', country: 'IN', lat: 12.9716, lng: 77.5946, aliases: ['Bengaluru'] },
+  { name: 'Mumbai', country: 'IN', lat: 19.076, lng: 72.8777 },
+  { name: 'Delhi', country: 'IN', lat: 28.7041, lng: 77.1025, aliases: ['New Delhi'] },
+  { name: 'Hyderabad', country: 'IN', lat: 17.385, lng: 78.4867 },
+  { name: 'Singapore', country: 'SG', lat: 1.3521, lng: 103.8198 },
+  { name: 'Hong Kong', country: 'HK', lat: 22.3193, lng: 114.1694 },
+  { name: 'Tokyo', country: 'JP', lat: 35.6762, lng: 139.6503 },
+  { name: 'Seoul', country: 'KR', lat: 37.5665, lng: 126.978 },
+  { name: 'Shanghai', country: 'CN', lat: 31.2304, lng: 121.4737 },
+  { name: 'Sydney', region: 'NSW', country: 'AU', lat: -33.8688, lng: 151.2093 },
+  { name: 'Melbourne', region: 'VIC', country: 'AU', lat: -37.8136, lng: 144.9631 },
+  { name: 'Auckland', country: 'NZ', lat: -36.8485, lng: 174.7633 },
+
+  // Latin America
+  { name: 'Mexico City', country: 'MX', lat: 19.4326, lng: -99.1332, aliases: ['CDMX'] },
+  { name: 'São Paulo', country: 'BR', lat: -23.5505, lng: -46.6333, aliases: ['Sao Paulo'] },
+  { name: 'Buenos Aires', country: 'AR', lat: -34.6037, lng: -58.3816 },
+  { name: 'Bogotá', country: 'CO', lat: 4.711, lng: -74.0721, aliases: ['Bogota'] }
+];
+
+// Countries and regions that can follow a city ("Cambridge, UK", "London,
+// Ontario"), by code, with the names they are written as. geocode.js uses them to
+// tell a qualifier that picks between entries from one that rules them all out.
+export const COUNTRY_NAMES = {
+  US: ['United States', 'United States of America', 'USA', 'America'],
+  CA: ['Canada'],
+  MX: ['Mexico'],
+  GB: ['United Kingdom', 'UK', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales'],
+  IE: ['Ireland'],
+  FR: ['France'],
+  DE: ['Germany', 'Deutschland'],
+  NL: ['Netherlands', 'Holland'],
+  BE: ['Belgium'],
+  ES: ['Spain'],
+  PT: ['Portugal'],
+  IT: ['Italy'],
+  CH: ['Switzerland'],
+  AT: ['Austria'],
+  CZ: ['Czech Republic', 'Czechia'],
+  PL: ['Poland'],
+  DK: ['Denmark'],
+  SE: ['Sweden'],
+  NO: ['Norway'],
+  FI: ['Finland'],
+  KE: ['Kenya'],
+  UG: ['Uganda'],
+  TZ: ['Tanzania'],
+  RW: ['Rwanda'],
+  ET: ['Ethiopia'],
+  NG: ['Nigeria'],
+  GH: ['Ghana'],
+  ZA: ['South Africa'],
+  EG: ['Egypt'],
+  MA: ['Morocco'],
+  AE: ['United Arab Emirates', 'UAE'],
+  IL: ['Israel'],
+  IN: ['India'],
+  SG: ['Singapore'],
+  HK: ['Hong Kong'],
+  JP: ['Japan'],
+  KR: ['South Korea', 'Korea'],
+  CN: ['China'],
+  AU: ['Australia'],
+  NZ: ['New Zealand'],
+  BR: ['Brazil'],
+  AR: ['Argentina'],
+  CO: ['Colombia']
+};
+
+export const REGION_NAMES = {
+  // US states
+  AL: ['Alabama'], AK: ['Alaska'], AZ: ['Arizona'], AR: ['Arkansas'], CA: ['California'],
+  CO: ['Colorado'], CT: ['Connecticut'], DC: ['District of Columbia'], DE: ['Delaware'],
+  FL: ['Florida'], GA: ['Georgia'], HI: ['Hawaii'], ID: ['Idaho'], IL: ['Illinois'],
+  IN: ['Indiana'], IA: ['Iowa'], KS: ['Kansas'], KY: ['Kentucky'], LA: ['Louisiana'],
+  ME: ['Maine'], MD: ['Maryland'], MA: ['Massachusetts'], MI: ['Michigan'], MN: ['Minnesota'],
+  MS: ['Mississippi'], MO: ['Missouri'], MT: ['Montana'], NE: ['Nebraska'], NV: ['Nevada'],
+  NH: ['New Hampshire'], NJ: ['New Jersey'], NM: ['New Mexico'], NY: ['New York State'],
+  NC: ['North Carolina'], ND: ['North Dakota'], OH: ['Ohio'], OK: ['Oklahoma'], OR: ['Oregon'],
+  PA: ['Pennsylvania'], RI: ['Rhode Island'], SC: ['South Carolina'], SD: ['South Dakota'],
+  TN: ['Tennessee'], TX: ['Texas'], UT: ['Utah'], VT: ['Vermont'], VA: ['Virginia'],
+  WA: ['Washington State'], WV: ['West Virginia'], WI: ['Wisconsin'], WY: ['Wyoming'],
+
+  // Canadian provinces and Australian states
+  AB: ['Alberta'], BC: ['British Columbia'], MB: ['Manitoba'], NS: ['Nova Scotia'],
+  ON: ['Ontario'], QC: ['Quebec'], NSW: ['New South Wales'], VIC: ['Victoria'], QLD: ['Queensland']
+};
+
+export default gazetteer;
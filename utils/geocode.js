@@ -0,0 +1,110 @@
+import gazetteer, { COUNTRY_NAMES, REGION_NAMES } from './gazetteer.js';
+
+// Offline geocoding of free-text locations ("Austin, TX", "Nairobi, Kenya",
+// "NYC / Remote") against the bundled gazetteer. Unknown places and fully remote
+// locations resolve to null rather than a guess, and so does a place whose
+// qualifier rules out every entry we know by that name ("Cambridge, UK").
+
+const REMOTE_PATTERN = /^(remote|anywhere|worldwide|global|work from home|wfh)$/i;
+
+const normalize = (value) =>
+  value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9, ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// name/alias → entries, e.g. "portland" → [Portland OR]
+const index = new Map();
+gazetteer.forEach(place => {
+  [place.name, ...(place.aliases || [])].forEach(name => {
+    const key = normalize(name);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(place);
+  });
+});
+
+const namePatterns = (names) =>
+  Object.entries(names).flatMap(([code, list]) =>
+    list.map(name => [new RegExp(`\\b${normalize(name)}\\b`), code])
+  );
+const COUNTRY_PATTERNS = namePatterns(COUNTRY_NAMES);
+const REGION_PATTERNS = namePatterns(REGION_NAMES);
+
+// Codes named in normalized text - written out ("united kingdom") anywhere, or as
+// a bare code between commas ("austin, tx, us")
+const namedCodes = (text, names, patterns) => {
+  const codes = new Set(text.split(',').map(part => part.trim().toUpperCase()).filter(code => names[code]));
+  patterns.forEach(([pattern, code]) => {
+    if (pattern.test(text)) codes.add(code);
+  });
+  return codes;
+};
+
+// Prefer the entry whose region or country matches the qualifier ("Cambridge, MA").
+// With no recognizable qualifier the first entry wins; a qualifier that rules out
+// every entry ("Cambridge, UK", "Portland, ME") gives null.
+const pickPlace = (candidates, qualifier) => {
+  const countries = namedCodes(qualifier, COUNTRY_NAMES, COUNTRY_PATTERNS);
+  const regions = namedCodes(qualifier, REGION_NAMES, REGION_PATTERNS);
+  if (countries.size === 0 && regions.size === 0) return candidates[0];
+
+  // "CA", "CO", "MA"... are both a country and a state - either reading will do
+  const ambiguous = [...countries].filter(code => regions.has(code));
+  const countryCodes = [...countries].filter(code => !ambiguous.includes(code));
+  const regionCodes = [...regions].filter(code => !ambiguous.includes(code));
+
+  return candidates.find(place =>
+    (countryCodes.length === 0 || countryCodes.includes(place.country)) &&
+    (regionCodes.length === 0 || regionCodes.includes(place.region)) &&
+    ambiguous.every(code => place.country === code || place.region === code)
+  ) || null;
+};
+
+const lookup = (text) => {
+  const normalized = normalize(text);
+  if (!normalized) return null;
+
+  const [city, ...rest] = normalized.split(',').map(part => part.trim());
+  const qualifier = rest.join(',');
+
+  if (index.has(city)) return pickPlace(index.get(city), qualifier);
+  if (index.has(normalized)) return pickPlace(index.get(normalized), '');
+
+  // Fall back to the longest known name contained in the text ("Greater Boston area")
+  let best = null;
+  for (const [name, candidates] of index) {
+    if (name.length > 2 && new RegExp(`\\b${name}\\b`).test(normalized) &&
+        (!best || name.length > best.name.length)) {
+      best = { name, place: pickPlace(candidates, normalized) };
+    }
+  }
+  return best ? best.place : null;
+};
+
+// Returns { name, region, country, lat, lng } or null
+export const geocode = (location) => {
+  if (typeof location !== 'string' || !location.trim()) return null;
+
+  // "Remote / Austin, TX" - geocode the on-site part
+  const parts = location
+    .split(/\s*(?:\/|\||\bor\b|;|\(|\))\s*/i)
+    .map(part => part.trim())
+    .filter(part => part && !REMOTE_PATTERN.test(part));
+
+  for (const part of parts) {
+    const place = lookup(part);
+    if (place) {
+      const { name, region, country, lat, lng } = place;
+      return { name, region, country, lat, lng };
+    }
+  }
+  return null;
+};
+
+export const toPoint = ({ lat, lng }) => ({
+  type: 'Point',
+  coordinates: [lng, lat]
+});
@@ -0,0 +1,63 @@
+// Minimal iCalendar (RFC 5545) writer for interview invites. Times are written
+// in UTC; calendar apps show them in the attendee's own zone.
+
+const PRODUCT_ID = '-//JobHub//Interviews//EN';
+
+const escapeText = (value) =>
+  String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space
+export const fold = (line) => {
+  const bytes = Buffer.from(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (start === 0 ? 75 : 74), bytes.length);
+    // Don't split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString());
+    start = end;
+  }
+  return parts.join('\r\n ');
+};
+
+// event: { uid, sequence, start, end, summary, description, location, url,
+//          organizer: { name, email }, attendees: [{ name, email }], status }
+// method: REQUEST for invites and updates, CANCEL for cancellations
+export const buildCalendar = (event, { method = 'REQUEST' } = {}) => {
+  const person = ({ name, email }, role) =>
+    `${role}${name ? `;CN="${String(name).replace(/["\r\n]/g, '')}"` : ''}:mailto:${email}`;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatDate(new Date())}`,
+    `DTSTART:${formatDate(event.start)}`,
+    `DTEND:${formatDate(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    event.url && `URL:${event.url}`,
+    event.organizer && person(event.organizer, 'ORGANIZER'),
+    ...(event.attendees || []).map(attendee => person(attendee, 'ATTENDEE;ROLE=REQ-PARTICIPANT;RSVP=TRUE')),
+    `STATUS:${method === 'CANCEL' ? 'CANCELLED' : (event.status || 'CONFIRMED')}`,
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,59 @@
+import QueuedEmail from '../models/QueuedEmail.js';
+import { buildCalendar } from './ical.js';
+import { enqueueEmail } from './emailQueue.js';
+import { interviewCancelledEmail } from './notifications.js';
+
+// Calendar invites and cancellation for interviews, shared by the interview
+// routes, application withdrawal and account erasure.
+
+// Candidate first, then the interviewers
+export const participants = (interview, candidate) => [
+  { name: `${candidate.firstName || ''} ${candidate.lastName || ''}`.trim(), email: candidate.email },
+  ...interview.interviewers.map(({ name, email }) => ({ name, email }))
+];
+
+export const calendarFor = (interview, job, candidate, method) => buildCalendar({
+  uid: `interview-${interview._id}@jobhub`,
+  sequence: interview.sequence,
+  start: interview.scheduledStart,
+  end: interview.scheduledEnd,
+  summary: interview.title || `Interview: ${job.title} at ${job.company}`,
+  description: [interview.instructions, interview.videoLink && `Join: ${interview.videoLink}`].filter(Boolean).join('\n\n'),
+  location: interview.locationType === 'video' ? interview.videoLink : interview.location,
+  url: interview.videoLink,
+  organizer: { name: job.company, email: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@jobhub.app' },
+  attendees: participants(interview, candidate)
+}, { method });
+
+// Cancels an open interview, drops its pending reminders and queues the
+// cancellation emails - with a CANCEL calendar update once it was confirmed.
+// `cancelledBy` ('candidate' or 'employer') isn't told about their own cancellation.
+export const cancelInterview = async (interview, { job, candidate, reason, cancelledBy }) => {
+  const wasConfirmed = interview.status === 'confirmed';
+  interview.set({
+    status: 'cancelled',
+    cancelledAt: new Date(),
+    cancelReason: reason,
+    sequence: interview.sequence + 1
+  });
+  await interview.save();
+
+  await QueuedEmail.updateMany(
+    { relatedId: interview._id, category: 'interview_reminder', status: 'pending' },
+    { $set: { status: 'cancelled' } }
+  );
+
+  if (!candidate || !job) return interview;
+
+  const byCandidate = cancelledBy === 'candidate';
+  const calendar = wasConfirmed ? calendarFor(interview, job, candidate, 'CANCEL') : null;
+  // Interviewers only hear about an interview once it is booked
+  const recipients = wasConfirmed
+    ? participants(interview, candidate).filter(recipient => !(byCandidate && recipient.email === candidate.email))
+    : (byCandidate ? [] : [participants(interview, candidate)[0]]);
+
+  await enqueueEmail(recipients.map(recipient =>
+    interviewCancelledEmail({ recipient, job, interview, calendar })));
+
+  return interview;
+};
@@ -0,0 +1,70 @@
+// Turns job listing query parameters into MongoDB conditions, one entry per filter
+// dimension. Keeping dimensions separate lets the faceted search count each facet
+// with every filter applied except its own.
+//
+//   type, category    exact value, or several comma-separated ("Full-time,Contract")
+//   location          case-insensitive substring of the free-text location
+//   remote, featured  "true" | "false"
+//   minSalary, maxSalary, currency
+//                     annualized salary range overlap (see utils/salary.js)
+//
+// Repeated parameters (?type=a&type=b) arrive as arrays: list filters take every
+// value, the others the first one.
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// First value of a possibly repeated parameter; anything but a string or number is ignored
+const scalar = (value) => {
+  const first = Array.isArray(value) ? value[0] : value;
+  return typeof first === 'string' || typeof first === 'number' ? String(first) : undefined;
+};
+
+const listOf = (value) =>
+  [].concat(value)
+    .flatMap(item => (typeof item === 'string' ? item.split(',') : []))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const oneOrMany = (values) => (values.length === 1 ? values[0] : { $in: values });
+
+const toNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isNaN(number) ? undefined : number;
+};
+
+export const FILTER_DIMENSIONS = ['type', 'category', 'location', 'remote', 'featured', 'salary'];
+
+export const buildJobFilters = (query = {}) => {
+  const location = scalar(query.location);
+  const remote = scalar(query.remote);
+  const featured = scalar(query.featured);
+  const currency = scalar(query.currency);
+  const filters = {};
+
+  const types = listOf(query.type);
+  const categories = listOf(query.category);
+  if (types.length > 0) filters.type = { type: oneOrMany(types) };
+  if (categories.length > 0) filters.category = { category: oneOrMany(categories) };
+  if (location) filters.location = { location: { $regex: escapeRegex(location), $options: 'i' } };
+  if (remote) filters.remote = { isRemote: remote === 'true' };
+  if (featured) filters.featured = { isFeatured: featured === 'true' };
+
+  const salary = {};
+  const min = toNumber(scalar(query.minSalary));
+  const max = toNumber(scalar(query.maxSalary));
+  if (currency) salary.salaryCurrency = currency.toUpperCase();
+  if (min !== undefined) salary.salaryAnnualMax = { $gte: min };
+  if (max !== undefined) salary.salaryAnnualMin = { $lte: max };
+  if (Object.keys(salary).length > 0) filters.salary = salary;
+
+  return filters;
+};
+
+// Merges the per-dimension conditions, optionally leaving one dimension out
+export const combineFilters = (filters, base = {}, exclude = null) =>
+  Object.entries(filters).reduce(
+    (combined, [dimension, condition]) =>
+      (dimension === exclude ? combined : { ...combined, ...condition }),
+    { ...base }
+  );
@@ -0,0 +1,62 @@
+import Job from '../models/Job.js';
+
+// In-process scheduler for the job lifecycle: publishes scheduled jobs once their
+// publishAt passes and expires published/paused jobs once their expiresAt passes.
+// Each run is a pair of idempotent updateMany calls, so running several server
+// instances at once is harmless.
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+export const runJobLifecycle = async (now = new Date()) => {
+  const published = await Job.updateMany(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    { $set: { status: 'published', publishedAt: now } }
+  );
+
+  const expired = await Job.updateMany(
+    { status: { $in: ['published', 'paused'] }, expiresAt: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+
+  if (published.modifiedCount > 0 || expired.modifiedCount > 0) {
+    console.log(`⏰ Job scheduler: published ${published.modifiedCount}, expired ${expired.modifiedCount}`);
+  }
+
+  return {
+    published: published.modifiedCount,
+    expired: expired.modifiedCount
+  };
+};
+
+const tick = async () => {
+  // Skip overlapping runs if the database is slow
+  if (running) return;
+  running = true;
+
+  try {
+    await runJobLifecycle();
+  } catch (error) {
+    console.error('❌ Job scheduler error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+export const startJobScheduler = ({ intervalMs } = {}) => {
+  if (timer) return;
+
+  const interval = intervalMs || parseInt(process.env.JOB_SCHEDULER_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS;
+  timer = setInterval(tick, interval);
+  // Don't keep scripts or tests alive just for the scheduler
+  timer.unref();
+
+  console.log(`⏰ Job scheduler running every ${Math.round(interval / 1000)}s`);
+};
+
+export const stopJobScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,67 @@
+import nodemailer from 'nodemailer';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Shared email sending. Mail is only really sent in production; with
+// EMAIL_DRY_RUN=true (or { dryRun: true }) each message is written to
+// EMAIL_OUTBOX_DIR as an .eml file instead, so emails can be checked locally.
+
+const OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || 'mail-outbox';
+
+let transporter;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD
+      }
+    });
+  }
+  return transporter;
+};
+
+export const isDryRun = () => process.env.EMAIL_DRY_RUN === 'true';
+
+const writeToOutbox = async (mailOptions) => {
+  const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  const { message } = await stream.sendMail(mailOptions);
+
+  const recipient = String(mailOptions.to).replace(/[^a-z0-9@.]+/gi, '_');
+  const file = path.join(OUTBOX_DIR, `${new Date().toISOString().replace(/[:.]/g, '-')}-${recipient}.eml`);
+
+  await fs.mkdir(OUTBOX_DIR, { recursive: true });
+  await fs.writeFile(file, message);
+  return file;
+};
+
+// Returns { sent: true } | { file } (dry run) | { skipped: true } (not production)
+export const sendMail = async (mailOptions, { dryRun = isDryRun() } = {}) => {
+  const message = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    ...mailOptions
+  };
+
+  if (dryRun) {
+    const file = await writeToOutbox(message);
+    console.log(`📝 Email written to ${file}`);
+    return { file };
+  }
+
+  if (process.env.NODE_ENV !== 'production') {
+    return { skipped: true };
+  }
+
+  await getTransporter().sendMail(message);
+  return { sent: true };
+};
+
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
@@ -0,0 +1,183 @@
+import { escapeHtml } from './mailer.js';
+import { getStages, OUTCOMES } from './pipeline.js';
+
+// Candidate-facing emails about their applications. Employers can write their own
+// messages with {{placeholders}} filled in per candidate (see TEMPLATE_VARIABLES).
+
+export const TEMPLATE_VARIABLES = ['firstName', 'lastName', 'fullName', 'jobTitle', 'company', 'status'];
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://jobhub-works.vercel.app';
+
+const STATUS_MESSAGES = {
+  under_review: 'Your application is now being reviewed by the hiring team.',
+  interview: 'The hiring team would like to interview you. They will be in touch with the details.',
+  offer: 'Great news - the hiring team is preparing an offer for you.',
+  accepted: 'Congratulations! Your application has been accepted.',
+  rejected: 'Thank you for your interest. After careful consideration, the team has decided not to move forward with your application.'
+};
+
+export const statusLabel = (job, status) =>
+  [...getStages(job), ...OUTCOMES].find(stage => stage.key === status)?.label || status;
+
+const templateVars = (user, job, status) => ({
+  firstName: user.firstName || '',
+  lastName: user.lastName || '',
+  fullName: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+  jobTitle: job.title,
+  company: job.company,
+  status: status ? statusLabel(job, status) : ''
+});
+
+// Replaces {{name}} placeholders; unknown placeholders are left as they are. With
+// html the whole template is escaped first - it is employer-written text, not markup.
+export const renderTemplate = (template, vars, { html = false } = {}) => {
+  const text = String(template || '');
+  return (html ? escapeHtml(text) : text).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    (name in vars ? (html ? escapeHtml(vars[name]) : vars[name]) : match));
+};
+
+const layout = (body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    ${body}
+    <p style="color: #6b7280; font-size: 12px;">
+      You can follow all your applications at <a href="${FRONTEND_URL}/applications">${FRONTEND_URL}/applications</a>.
+    </p>
+  </div>
+`;
+
+export const applicationStatusEmail = ({ user, job, application, status }) => {
+  const vars = templateVars(user, job, status);
+  const message = STATUS_MESSAGES[status] || `Your application status is now: ${vars.status}.`;
+
+  return {
+    to: user.email,
+    subject: `Update on your application for ${job.title} at ${job.company}`,
+    html: layout(`
+      <h2 style="color: #2563eb;">Hi ${escapeHtml(vars.firstName || 'there')},</h2>
+      <p>There is an update on your application for <strong>${escapeHtml(job.title)}</strong> at ${escapeHtml(job.company)}.</p>
+      <p>${escapeHtml(message)}</p>
+    `),
+    text: `Hi ${vars.firstName || 'there'},\n\nThere is an update on your application for ${job.title} at ${job.company}.\n\n${message}`,
+    category: 'application_status',
+    relatedId: application._id
+  };
+};
+
+// `template` is { subject, body } written by the employer
+export const candidateMessageEmail = ({ user, job, application, template }) => {
+  const vars = templateVars(user, job, application.status);
+  const body = renderTemplate(template.body, vars, { html: true }).replace(/\n/g, '<br>');
+
+  return {
+    to: user.email,
+    subject: renderTemplate(template.subject, vars),
+    html: layout(`<p>${body}</p>`),
+    text: renderTemplate(template.body, vars),
+    category: 'employer_message',
+    relatedId: application._id
+  };
+};
+
+// Interviews
+
+export const formatInterviewTime = (date, timezone = 'UTC') =>
+  new Date(date).toLocaleString('en-US', {
+    timeZone: timezone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+
+const interviewPlace = (interview) =>
+  ({
+    video: `Video call: ${interview.videoLink}`,
+    phone: `Phone call${interview.location ? `: ${interview.location}` : ''}`,
+    onsite: `On site: ${interview.location}`
+  }[interview.locationType]);
+
+const interviewUrl = (interview) =>
+  `${FRONTEND_URL}/applications/${interview.applicationId}/interviews/${interview._id}`;
+
+export const interviewInvitationEmail = ({ user, job, interview }) => {
+  const slots = interview.slots.map(slot => formatInterviewTime(slot.start, interview.timezone));
+
+  return {
+    to: user.email,
+    subject: `Interview invitation: ${job.title} at ${job.company}`,
+    html: layout(`
+      <h2 style="color: #2563eb;">Hi ${escapeHtml(user.firstName || 'there')},</h2>
+      <p>${escapeHtml(job.company)} would like to interview you for <strong>${escapeHtml(job.title)}</strong>
+        (${interview.durationMinutes} minutes, ${escapeHtml(interviewPlace(interview))}).</p>
+      <p>Please pick one of these times:</p>
+      <ul>${slots.map(slot => `<li>${escapeHtml(slot)}</li>`).join('')}</ul>
+      <p><a href="${interviewUrl(interview)}">Choose a time</a></p>
+    `),
+    text: `Hi ${user.firstName || 'there'},\n\n${job.company} would like to interview you for ${job.title}.\n\nAvailable times:\n${slots.map(slot => `- ${slot}`).join('\n')}\n\nChoose a time: ${interviewUrl(interview)}`,
+    category: 'interview_invitation',
+    relatedId: interview._id
+  };
+};
+
+// Sent to the candidate and every interviewer, with the invite attached
+export const interviewConfirmedEmail = ({ recipient, job, interview, calendar }) => {
+  const when = formatInterviewTime(interview.scheduledStart, interview.timezone);
+
+  return {
+    to: recipient.email,
+    subject: `Interview confirmed: ${job.title} at ${job.company} - ${when}`,
+    html: layout(`
+      <h2 style="color: #2563eb;">Interview confirmed</h2>
+      <p><strong>${escapeHtml(job.title)}</strong> at ${escapeHtml(job.company)}</p>
+      <p>${escapeHtml(when)} (${interview.durationMinutes} minutes)<br>${escapeHtml(interviewPlace(interview))}</p>
+      ${interview.instructions ? `<p>${escapeHtml(interview.instructions)}</p>` : ''}
+      <p>The calendar invite is attached.</p>
+    `),
+    text: `Interview confirmed: ${job.title} at ${job.company}\n${when} (${interview.durationMinutes} minutes)\n${interviewPlace(interview)}${interview.instructions ? `\n\n${interview.instructions}` : ''}`,
+    options: {
+      icalEvent: { filename: 'interview.ics', method: 'REQUEST', content: calendar }
+    },
+    category: 'interview_confirmation',
+    relatedId: interview._id
+  };
+};
+
+export const interviewReminderEmail = ({ recipient, job, interview, sendAfter }) => {
+  const when = formatInterviewTime(interview.scheduledStart, interview.timezone);
+
+  return {
+    to: recipient.email,
+    subject: `Reminder: interview for ${job.title} at ${job.company} - ${when}`,
+    html: layout(`
+      <h2 style="color: #2563eb;">Upcoming interview</h2>
+      <p><strong>${escapeHtml(job.title)}</strong> at ${escapeHtml(job.company)}</p>
+      <p>${escapeHtml(when)}<br>${escapeHtml(interviewPlace(interview))}</p>
+    `),
+    text: `Upcoming interview: ${job.title} at ${job.company}\n${when}\n${interviewPlace(interview)}`,
+    category: 'interview_reminder',
+    relatedId: interview._id,
+    sendAfter
+  };
+};
+
+export const interviewCancelledEmail = ({ recipient, job, interview, calendar }) => ({
+  to: recipient.email,
+  subject: `Interview cancelled: ${job.title} at ${job.company}`,
+  html: layout(`
+    <h2 style="color: #2563eb;">Interview cancelled</h2>
+    <p>The interview for <strong>${escapeHtml(job.title)}</strong> at ${escapeHtml(job.company)}
+      ${interview.scheduledStart ? `on ${escapeHtml(formatInterviewTime(interview.scheduledStart, interview.timezone))}` : ''} has been cancelled.</p>
+    ${interview.cancelReason ? `<p>Reason: ${escapeHtml(interview.cancelReason)}</p>` : ''}
+  `),
+  text: `The interview for ${job.title} at ${job.company} has been cancelled.${interview.cancelReason ? `\nReason: ${interview.cancelReason}` : ''}`,
+  ...(calendar && {
+    options: {
+      icalEvent: { filename: 'interview.ics', method: 'CANCEL', content: calendar }
+    }
+  }),
+  category: 'interview_cancellation',
+  relatedId: interview._id
+});
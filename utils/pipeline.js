@@ -0,0 +1,115 @@
+// Hiring pipeline for applications.
+//
+// Every job uses the default stages, in order:
+//   applied → under_review → interview → offer
+// and employers can insert their own stages (e.g. "technical_test") after any of
+// them via Job.pipelineStages. An open application can move forward to any later
+// stage, never back. It ends in one of the outcomes:
+//   accepted  - from offer or a custom stage after it
+//   rejected  - from any open stage
+//   withdrawn - from any open stage, and only by the candidate
+
+export const DEFAULT_STAGES = [
+  { key: 'applied', label: 'Applied' },
+  { key: 'under_review', label: 'Under review' },
+  { key: 'interview', label: 'Interview' },
+  { key: 'offer', label: 'Offer' }
+];
+
+export const OUTCOMES = [
+  { key: 'accepted', label: 'Accepted' },
+  { key: 'rejected', label: 'Rejected' },
+  { key: 'withdrawn', label: 'Withdrawn' }
+];
+
+const OUTCOME_KEYS = OUTCOMES.map(outcome => outcome.key);
+const RESERVED_KEYS = [...DEFAULT_STAGES.map(stage => stage.key), ...OUTCOME_KEYS];
+const STAGE_KEY_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const MAX_CUSTOM_STAGES = 10;
+
+export class TransitionError extends Error {
+  constructor(message, allowed = []) {
+    super(message);
+    this.name = 'TransitionError';
+    this.allowed = allowed;
+  }
+}
+
+// Ordered open stages for a job, with custom stages placed after their anchor
+export const getStages = (job) => {
+  const stages = DEFAULT_STAGES.map(stage => ({ ...stage, custom: false }));
+
+  (job?.pipelineStages || []).forEach(({ key, label, after }) => {
+    const anchor = stages.findIndex(stage => stage.key === after);
+    // Stages anchored after the same stage keep the order they were defined in
+    let position = anchor + 1;
+    while (position < stages.length && stages[position].custom && stages[position].after === after) {
+      position++;
+    }
+    stages.splice(position, 0, { key, label, after, custom: true });
+  });
+
+  return stages;
+};
+
+export const isOutcome = (status) => OUTCOME_KEYS.includes(status);
+
+export const isKnownStatus = (job, status) =>
+  isOutcome(status) || getStages(job).some(stage => stage.key === status);
+
+// Statuses `from` may move to, for the given kind of actor ('employer', 'candidate', 'admin', 'system')
+export const getAllowedTransitions = (job, from, actorRole = 'employer') => {
+  if (isOutcome(from)) return [];
+
+  if (actorRole === 'candidate') return ['withdrawn'];
+
+  const stages = getStages(job).map(stage => stage.key);
+  const position = stages.indexOf(from);
+  // Applications in a stage the employer has since removed can still move anywhere forward
+  const later = position === -1 ? stages.slice(1) : stages.slice(position + 1);
+
+  const allowed = [...later, 'rejected'];
+  if (position !== -1 && position >= stages.indexOf('offer')) allowed.push('accepted');
+  return allowed;
+};
+
+export const assertTransition = (job, from, to, actorRole) => {
+  if (!isKnownStatus(job, to)) {
+    throw new TransitionError(`Unknown status "${to}" for this job`, getAllowedTransitions(job, from, actorRole));
+  }
+
+  const allowed = getAllowedTransitions(job, from, actorRole);
+  if (!allowed.includes(to)) {
+    throw new TransitionError(`Cannot move an application from "${from}" to "${to}"`, allowed);
+  }
+};
+
+// Validates custom stage definitions sent by an employer; returns a list of messages
+export const validateCustomStages = (stages) => {
+  if (!Array.isArray(stages)) return ['Stages must be an array'];
+  if (stages.length > MAX_CUSTOM_STAGES) return [`A job can have at most ${MAX_CUSTOM_STAGES} custom stages`];
+
+  const errors = [];
+  const seen = new Set();
+  const openKeys = DEFAULT_STAGES.map(stage => stage.key);
+
+  stages.forEach((stage, index) => {
+    const { key, label, after } = stage || {};
+
+    if (!STAGE_KEY_PATTERN.test(key || '')) {
+      errors.push(`Stage ${index + 1}: key must be lowercase letters, digits or underscores`);
+    } else if (RESERVED_KEYS.includes(key) || seen.has(key)) {
+      errors.push(`Stage ${index + 1}: key "${key}" is already used`);
+    }
+    if (typeof label !== 'string' || !label.trim() || label.trim().length > 50) {
+      errors.push(`Stage ${index + 1}: label is required (max 50 characters)`);
+    }
+    if (!openKeys.includes(after)) {
+      errors.push(`Stage ${index + 1}: "after" must be one of ${openKeys.join(', ')}`);
+    }
+
+    seen.add(key);
+  });
+
+  return errors;
+};
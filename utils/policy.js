@@ -0,0 +1,68 @@
+// Authorization rules for the API, kept in one place so routes only ask
+// can(user, action, resource). `user` is the MongoDB User document (or null when
+// the Clerk user has no record yet) and `resource` is the document being acted on.
+
+const isAdmin = (user) => user?.userType === 'admin';
+
+// Employer teams (routes/teams.js): owners do everything, recruiters work on the
+// jobs they are assigned to, viewers only look. Members of the employer's Clerk
+// organization get their role from User.teamRole too. Jobs store the owner
+// account's Clerk ID as employerId, which is what team memberships are keyed on.
+const jobRole = (user, job) => (job ? user.teamRole(job.employerId) : null);
+
+const ownsJob = (user, job) => jobRole(user, job) === 'owner';
+
+const onJobTeam = (user, job) => Boolean(jobRole(user, job));
+
+const managesJob = (user, job) => {
+  const role = jobRole(user, job);
+  return role === 'owner' || (role === 'recruiter' && job.assignedRecruiters?.includes(user.clerkUserId));
+};
+
+const employerRole = (user, employer) => (employer ? user.teamRole(employer.userId) : null);
+
+const ownsEmployer = (user, employer) => employerRole(user, employer) === 'owner';
+
+const rules = {
+  'job:create': (user) => user.isEmployer(),
+  'job:update': managesJob,
+  'job:delete': ownsJob,
+  // Featured listings are for verified employers; `resource` is the Employer
+  'job:feature': (user, employer) => Boolean(employer?.isVerified) && ownsEmployer(user, employer),
+  'job:assignRecruiters': ownsJob,
+  // Drafts, paused and closed jobs
+  'job:viewUnpublished': onJobTeam,
+  'job:viewApplicants': onJobTeam,
+
+  // Status changes are made by the employer team managing the job
+  'application:updateStatus': managesJob,
+  // Rating, tags and team notes on applications to the employer's jobs
+  'application:review': managesJob,
+  'interview:manage': managesJob,
+
+  'employer:update': ownsEmployer,
+  'employer:delete': ownsEmployer,
+  'employer:manageTeam': ownsEmployer,
+  'employer:viewTeam': (user, employer) => Boolean(employerRole(user, employer)),
+  'employer:postJobs': (user, employer) => ['owner', 'recruiter'].includes(employerRole(user, employer)),
+  'employer:verify': () => false
+};
+
+export const can = (user, action, resource) => {
+  const rule = rules[action];
+
+  if (!rule) {
+    throw new Error(`Unknown policy action: ${action}`);
+  }
+  if (!user || user.isActive === false) return false;
+  if (isAdmin(user)) return true;
+
+  return rule(user, resource);
+};
+
+// Standard 403 body so every route reports denials the same way
+export const forbidden = (res, message = 'You do not have permission to perform this action') =>
+  res.status(403).json({
+    success: false,
+    message
+  });
@@ -0,0 +1,303 @@
+import Job from '../models/Job.js';
+
+// Schema-driven patching for PUT /api/users/me. Only `profile` and `preferences`
+// fields listed here can be changed; everything else on the User document
+// (userType, clerkUserId, applications, ...) is managed by the server.
+//
+// Scalar fields are replaced. Arrays accept either a full replacement array or a
+// patch object so clients can change one entry without resending the rest:
+//   skills:     { add: ['Go'], remove: ['PHP'] }
+//   experience: { add: [{...}], update: [{ _id, ...changes }], remove: [_id] }
+
+const JOB_CATEGORIES = Job.schema.path('category').enumValues;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+class FieldError extends Error {}
+
+const text = (maxLength) => (value) => {
+  if (value === null || value === '') return undefined;
+  if (typeof value !== 'string') throw new FieldError('Must be a string');
+  const trimmed = value.trim();
+  if (maxLength && trimmed.length > maxLength) {
+    throw new FieldError(`Cannot be more than ${maxLength} characters`);
+  }
+  return trimmed;
+};
+
+const bool = (value) => {
+  if (typeof value !== 'boolean') throw new FieldError('Must be true or false');
+  return value;
+};
+
+const url = (allowedHosts) => (value) => {
+  if (value === null || value === '') return undefined;
+  if (typeof value !== 'string') throw new FieldError('Must be a URL');
+
+  let parsed;
+  try {
+    parsed = new URL(value.trim());
+  } catch (error) {
+    throw new FieldError('Must be a valid URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new FieldError('Must be an http(s) URL');
+  }
+  if (allowedHosts) {
+    const host = parsed.hostname.replace(/^www\./, '');
+    if (!allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`))) {
+      throw new FieldError(`Must be a ${allowedHosts[0]} URL`);
+    }
+  }
+  return parsed.toString();
+};
+
+// POST /api/uploads/resume stores the upload's own path (/api/uploads/<id>), so
+// clients sending the profile back unchanged must get it through
+const UPLOAD_PATH = /^\/api\/uploads\/[a-f0-9]{24}$/;
+
+const urlOrUploadPath = (validate) => (value) =>
+  (typeof value === 'string' && UPLOAD_PATH.test(value.trim()) ? value.trim() : validate(value));
+
+const year = (value) => {
+  if (value === null) return undefined;
+  if (!Number.isInteger(value) || value < 1900 || value > 2100) {
+    throw new FieldError('Must be a valid year');
+  }
+  return value;
+};
+
+const date = (value) => {
+  if (value === null) return undefined;
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) throw new FieldError('Must be a valid date');
+  return parsed;
+};
+
+const oneOf = (allowed) => (value) => {
+  if (!allowed.includes(value)) throw new FieldError(`Must be one of: ${allowed.join(', ')}`);
+  return value;
+};
+
+const salaryRange = (value) => {
+  if (value === null) return undefined;
+  if (!isPlainObject(value)) throw new FieldError('Must be an object with min and max');
+
+  const { min, max } = value;
+  for (const bound of [min, max]) {
+    if (bound !== undefined && bound !== null && (typeof bound !== 'number' || bound < 0)) {
+      throw new FieldError('min and max must be positive numbers');
+    }
+  }
+  if (typeof min === 'number' && typeof max === 'number' && min > max) {
+    throw new FieldError('min cannot be greater than max');
+  }
+  return { min: min ?? undefined, max: max ?? undefined };
+};
+
+// Arrays of strings: replacement array or { add, remove }
+const stringList = (item) => ({ kind: 'strings', item });
+
+// Arrays of subdocuments: replacement array or { add, update, remove }
+const entryList = (fields) => ({ kind: 'entries', fields });
+
+const EDITABLE_FIELDS = {
+  profile: {
+    headline: text(100),
+    bio: text(500),
+    skills: stringList(text(50)),
+    education: entryList({
+      institution: text(100),
+      degree: text(100),
+      field: text(100),
+      startYear: year,
+      endYear: year,
+      current: bool
+    }),
+    experience: entryList({
+      company: text(100),
+      position: text(100),
+      startDate: date,
+      endDate: date,
+      current: bool,
+      description: text(2000)
+    }),
+    resumeUrl: urlOrUploadPath(url()),
+    portfolioUrl: url(),
+    linkedinUrl: url(['linkedin.com']),
+    githubUrl: url(['github.com'])
+  },
+  preferences: {
+    jobAlerts: bool,
+    emailNotifications: bool,
+    preferredCategories: stringList(oneOf(JOB_CATEGORIES)),
+    preferredLocations: stringList(text(100)),
+    salaryRange
+  }
+};
+
+const validateEntry = (fields, entry, path, errors, { partial }) => {
+  if (!isPlainObject(entry)) {
+    errors[path] = 'Must be an object';
+    return null;
+  }
+
+  const clean = {};
+  for (const [key, value] of Object.entries(entry)) {
+    if (key === '_id') continue;
+    if (!fields[key]) {
+      errors[`${path}.${key}`] = 'Field cannot be updated';
+      continue;
+    }
+    try {
+      clean[key] = fields[key](value);
+    } catch (error) {
+      if (!(error instanceof FieldError)) throw error;
+      errors[`${path}.${key}`] = error.message;
+    }
+  }
+
+  if (!partial && Object.values(clean).every(value => value === undefined)) {
+    errors[path] = 'Entry cannot be empty';
+  }
+  return clean;
+};
+
+const applyStringList = (user, path, spec, patch, errors) => {
+  const validateItems = (items, itemsPath) => {
+    if (!Array.isArray(items)) {
+      errors[itemsPath] = 'Must be an array';
+      return [];
+    }
+    return items.flatMap((item, index) => {
+      try {
+        const value = spec.item(item);
+        return value === undefined ? [] : [value];
+      } catch (error) {
+        if (!(error instanceof FieldError)) throw error;
+        errors[`${itemsPath}.${index}`] = error.message;
+        return [];
+      }
+    });
+  };
+
+  if (Array.isArray(patch)) {
+    user.set(path, [...new Set(validateItems(patch, path))]);
+    return;
+  }
+  if (!isPlainObject(patch)) {
+    errors[path] = 'Must be an array or an { add, remove } object';
+    return;
+  }
+
+  const current = user.get(path) || [];
+  const toAdd = patch.add ? validateItems(patch.add, `${path}.add`) : [];
+  const toRemove = new Set(
+    (patch.remove ? validateItems(patch.remove, `${path}.remove`) : []).map(item => item.toLowerCase())
+  );
+  const next = current.filter(item => !toRemove.has(item.toLowerCase()));
+  const existing = new Set(next.map(item => item.toLowerCase()));
+
+  toAdd.forEach(item => {
+    if (!existing.has(item.toLowerCase())) {
+      existing.add(item.toLowerCase());
+      next.push(item);
+    }
+  });
+  user.set(path, next);
+};
+
+const applyEntryList = (user, path, spec, patch, errors) => {
+  if (Array.isArray(patch)) {
+    const entries = patch.map((entry, index) =>
+      validateEntry(spec.fields, entry, `${path}.${index}`, errors, { partial: false })
+    );
+    user.set(path, entries.filter(Boolean));
+    return;
+  }
+  if (!isPlainObject(patch)) {
+    errors[path] = 'Must be an array or an { add, update, remove } object';
+    return;
+  }
+
+  const operations = ['add', 'update', 'remove'].filter(op => patch[op] !== undefined && !Array.isArray(patch[op]));
+  if (operations.length > 0) {
+    operations.forEach(op => { errors[`${path}.${op}`] = 'Must be an array'; });
+    return;
+  }
+
+  const list = user.get(path);
+
+  (patch.remove || []).forEach((id, index) => {
+    const entry = list.id(id);
+    if (!entry) {
+      errors[`${path}.remove.${index}`] = 'Entry not found';
+      return;
+    }
+    entry.deleteOne();
+  });
+
+  (patch.update || []).forEach((changes, index) => {
+    const entryPath = `${path}.update.${index}`;
+    const entry = changes?._id && list.id(changes._id);
+    if (!entry) {
+      errors[entryPath] = 'Entry not found';
+      return;
+    }
+    const clean = validateEntry(spec.fields, changes, entryPath, errors, { partial: true });
+    if (clean) entry.set(clean);
+  });
+
+  (patch.add || []).forEach((entry, index) => {
+    const clean = validateEntry(spec.fields, entry, `${path}.add.${index}`, errors, { partial: false });
+    if (clean) list.push(clean);
+  });
+};
+
+// Applies `updates` to the user document in memory and returns field-level errors
+// keyed by path (e.g. { 'profile.githubUrl': 'Must be a github.com URL' }).
+// Nothing is saved when errors is non-empty.
+export const applyProfileUpdates = (user, updates) => {
+  const errors = {};
+
+  if (!isPlainObject(updates)) {
+    return { errors: { updates: 'Must be an object' } };
+  }
+
+  for (const [section, changes] of Object.entries(updates)) {
+    const sectionFields = EDITABLE_FIELDS[section];
+
+    if (!sectionFields) {
+      errors[section] = 'Field cannot be updated';
+      continue;
+    }
+    if (!isPlainObject(changes)) {
+      errors[section] = 'Must be an object';
+      continue;
+    }
+
+    for (const [field, value] of Object.entries(changes)) {
+      const path = `${section}.${field}`;
+      const spec = sectionFields[field];
+
+      if (!spec) {
+        errors[path] = 'Field cannot be updated';
+      } else if (spec.kind === 'strings') {
+        applyStringList(user, path, spec, value, errors);
+      } else if (spec.kind === 'entries') {
+        applyEntryList(user, path, spec, value, errors);
+      } else {
+        try {
+          user.set(path, spec(value));
+        } catch (error) {
+          if (!(error instanceof FieldError)) throw error;
+          errors[path] = error.message;
+        }
+      }
+    }
+  }
+
+  return { errors };
+};
@@ -0,0 +1,123 @@
+import { matchSkills } from './skillMatch.js';
+
+// Scores a published job for a job seeker from their profile skills and
+// preferences. Each signal contributes a weighted share of the score; signals the
+// user has not filled in are left out instead of counting against the job.
+
+const WEIGHTS = {
+  skills: 50,
+  category: 20,
+  location: 15,
+  salary: 15
+};
+
+const formatAmount = (amount) => Math.round(amount).toLocaleString('en-US');
+
+const scoreSkills = (user, job) => {
+  const skills = user.profile?.skills || [];
+  if (skills.length === 0 || !job.requirements?.length) return null;
+
+  const { matched, missing } = matchSkills(skills, job.requirements);
+  return {
+    value: matched.length / job.requirements.length,
+    reason: matched.length > 0
+      ? `Matches ${matched.length} of ${job.requirements.length} requirements`
+      : null,
+    details: { matchedSkills: matched, missingSkills: missing }
+  };
+};
+
+const scoreCategory = (user, job) => {
+  const categories = user.preferences?.preferredCategories || [];
+  if (categories.length === 0) return null;
+
+  const matches = categories.includes(job.category);
+  return {
+    value: matches ? 1 : 0,
+    reason: matches ? `In your preferred category ${job.category}` : null
+  };
+};
+
+const scoreLocation = (user, job) => {
+  const locations = (user.preferences?.preferredLocations || []).map(location => location.toLowerCase());
+  if (locations.length === 0) return null;
+
+  const wantsRemote = locations.some(location => location.includes('remote'));
+  if (job.isRemote && wantsRemote) {
+    return { value: 1, reason: 'Remote, as you prefer' };
+  }
+
+  const jobLocation = (job.location || '').toLowerCase();
+  const jobCity = jobLocation.split(',')[0].trim();
+  const preferred = jobCity && locations.find(location =>
+    !location.includes('remote') && (jobLocation.includes(location) || location.includes(jobCity))
+  );
+  if (preferred) {
+    return { value: 1, reason: `In ${job.location}, one of your preferred locations` };
+  }
+
+  // Remote jobs still work for people who listed only cities
+  return job.isRemote ? { value: 0.5, reason: 'Remote' } : { value: 0, reason: null };
+};
+
+const scoreSalary = (user, job) => {
+  const { min, max } = user.preferences?.salaryRange || {};
+  if (min == null && max == null) return null;
+  if (job.salaryAnnualMin == null) return { value: 0.5, reason: null };
+
+  const jobMin = job.salaryAnnualMin;
+  const jobMax = job.salaryAnnualMax ?? jobMin;
+
+  if (min != null && jobMax < min) {
+    // Partial credit when the job pays a little under the expectation
+    return { value: Math.max(0, 1 - (min - jobMax) / min), reason: null };
+  }
+  if (max != null && jobMin > max) {
+    return { value: 0.75, reason: null };
+  }
+  return {
+    value: 1,
+    reason: `Pays ${job.salaryCurrency} ${formatAmount(jobMin)}–${formatAmount(jobMax)} a year, within your range`
+  };
+};
+
+const SCORERS = {
+  skills: scoreSkills,
+  category: scoreCategory,
+  location: scoreLocation,
+  salary: scoreSalary
+};
+
+// Returns { score (0-100), reasons, matchedSkills, missingSkills }
+export const scoreJobForUser = (user, job) => {
+  let earned = 0;
+  let possible = 0;
+  const reasons = [];
+  let details = { matchedSkills: [], missingSkills: job.requirements || [] };
+
+  Object.entries(SCORERS).forEach(([signal, scorer]) => {
+    const result = scorer(user, job);
+    if (!result) return;
+
+    earned += result.value * WEIGHTS[signal];
+    possible += WEIGHTS[signal];
+    if (result.reason) reasons.push(result.reason);
+    if (result.details) details = result.details;
+  });
+
+  return {
+    score: possible > 0 ? Math.round((earned / possible) * 100) : 0,
+    reasons,
+    ...details
+  };
+};
+
+// Whether the user has filled in anything recommendations can use
+export const hasRecommendationSignals = (user) =>
+  Boolean(
+    user.profile?.skills?.length ||
+    user.preferences?.preferredCategories?.length ||
+    user.preferences?.preferredLocations?.length ||
+    user.preferences?.salaryRange?.min != null ||
+    user.preferences?.salaryRange?.max != null
+  );
@@ -0,0 +1,321 @@
+import skillsDictionary from './skillsDictionary.js';
+import { normalizeSkill } from './skillMatch.js';
+
+// Offline resume parsing: pulls text out of PDF/DOCX files and picks out contact
+// details, dictionary skills, education and work history with plain heuristics.
+// The result is only a proposal - proposeProfileUpdates turns it into an
+// `updates` object for PUT /api/users/me that the user reviews before sending.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const SECTION_HEADINGS = {
+  education: /^(education|academic background|academic qualifications|qualifications)$/,
+  experience: /^(experience|work experience|professional experience|employment|employment history|work history|career history)$/,
+  skills: /^(skills|technical skills|core competencies|key skills|competencies)$/,
+  other: /^(summary|profile|objective|about me|projects|certifications|awards|languages|interests|references|publications|volunteering)$/
+};
+
+const DEGREE_PATTERN = /\b(ph\.?\s?d|doctor(?:ate)? of [a-z]+|master(?:'s)?(?: of [a-z]+)?|bachelor(?:'s)?(?: of [a-z]+)?|associate(?:'s)? degree|b\.?\s?sc|m\.?\s?sc|b\.?\s?eng|m\.?\s?eng|b\.?a\.?|m\.?a\.?|mba|b\.?tech|m\.?tech|diploma|certificate|high school diploma)\b/i;
+const INSTITUTION_PATTERN = /\b(university|college|institute|school|academy|polytechnic|conservatory)\b/i;
+const TITLE_WORDS = /\b(engineer|developer|programmer|manager|designer|analyst|intern|lead|director|consultant|specialist|architect|scientist|officer|administrator|assistant|coordinator|associate|representative|accountant|nurse|teacher|technician|head|founder|executive|researcher|writer|editor)\b/i;
+
+const MONTH_NAME = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_TOKEN = `(?:${MONTH_NAME}\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4})`;
+const DATE_RANGE = new RegExp(`(${DATE_TOKEN})\\s*(?:-|–|—|to)\\s*(${DATE_TOKEN}|present|current|now|today)`, 'i');
+
+const BULLET = /^[•·▪‣◦*-]\s*/;
+
+// Top-level domains a bare "name.tld" needs before it counts as a web address.
+// Skill names like "Node.js" or "ASP.NET" are left out separately; "tech" would
+// catch degrees like "M.Tech".
+const WEB_TLDS = new Set([
+  'com', 'org', 'net', 'io', 'dev', 'app', 'me', 'co', 'ai', 'info', 'biz', 'xyz', 'site', 'online',
+  'page', 'blog', 'design', 'studio', 'tv', 'ly', 'gg', 'sh', 'to', 'cc',
+  'uk', 'us', 'ca', 'au', 'nz', 'ie', 'in', 'sg', 'za', 'de', 'fr', 'nl', 'be', 'ch', 'at',
+  'es', 'it', 'pt', 'se', 'no', 'dk', 'fi', 'pl', 'br', 'jp'
+]);
+
+const SKILL_SPELLINGS = new Set(
+  skillsDictionary.flatMap(({ name, aliases = [] }) => [name, ...aliases]).map(spelling => spelling.toLowerCase())
+);
+
+// "https://…" and "www.…" are always addresses; anything else needs a known TLD
+// and must not be a skill that happens to contain a dot
+const isWebAddress = (candidate) => {
+  if (/^(?:https?:\/\/|www\.)/i.test(candidate)) return true;
+
+  const host = candidate.split('/')[0].toLowerCase();
+  return WEB_TLDS.has(host.split('.').pop()) && !SKILL_SPELLINGS.has(host);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One regex per dictionary entry; "+", "#" and "." count as part of the word so
+// "C++" doesn't match inside "C++11" and "Java" doesn't match "JavaScript"
+const SKILL_PATTERNS = skillsDictionary.map(({ name, aliases = [] }) => ({
+  name,
+  pattern: new RegExp(
+    `(?<![\\w+#.])(?:${[name, ...aliases].map(escapeRegex).join('|')})(?![\\w+#]|\\.\\w)`,
+    'i'
+  )
+}));
+
+const clip = (value, maxLength) => {
+  const trimmed = (value || '').replace(/[^\S\n]+/g, ' ').trim();
+  return trimmed ? trimmed.slice(0, maxLength) : undefined;
+};
+
+// Drops undefined fields so entries pass the PUT /api/users/me validators as-is
+const compact = (entry) =>
+  Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined));
+
+const parseDateToken = (token) => {
+  if (!token || /^(present|current|now|today)$/i.test(token)) return null;
+
+  const numeric = token.match(/^(\d{1,2})\/(\d{4})$/);
+  if (numeric) return new Date(Date.UTC(Number(numeric[2]), Number(numeric[1]) - 1, 1));
+
+  const named = token.match(/^([a-z]+)\.?\s+(\d{4})$/i);
+  if (named) {
+    const month = MONTHS.indexOf(named[1].slice(0, 3).toLowerCase());
+    return new Date(Date.UTC(Number(named[2]), Math.max(month, 0), 1));
+  }
+
+  return new Date(Date.UTC(Number(token), 0, 1));
+};
+
+const parseDateRange = (line) => {
+  const match = line.match(DATE_RANGE);
+  if (!match) return null;
+
+  return {
+    start: parseDateToken(match[1]),
+    end: parseDateToken(match[2]),
+    current: parseDateToken(match[2]) === null,
+    rest: line.replace(match[0], '').replace(/[\s,|()–—-]+$|^[\s,|()–—-]+/g, '')
+  };
+};
+
+// Text extraction
+
+export const RESUME_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+export const extractText = async (buffer, contentType) => {
+  if (contentType === RESUME_TYPES.pdf) {
+    const { PDFParse } = await import('pdf-parse');
+    const parser = new PDFParse({ data: buffer });
+    try {
+      const { text } = await parser.getText();
+      return text;
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  if (contentType === RESUME_TYPES.docx) {
+    const mammoth = await import('mammoth');
+    const { value } = await (mammoth.default || mammoth).extractRawText({ buffer });
+    return value;
+  }
+
+  throw new Error(`Cannot parse resumes of type ${contentType}`);
+};
+
+// Text parsing
+
+const splitSections = (lines) => {
+  const sections = { header: [], education: [], experience: [], skills: [], other: [] };
+  let current = 'header';
+
+  lines.forEach(line => {
+    const heading = line.toLowerCase().replace(/[:\s]+$/, '');
+    const section = line.length <= 40 &&
+      Object.keys(SECTION_HEADINGS).find(key => SECTION_HEADINGS[key].test(heading));
+
+    if (section) {
+      current = section;
+    } else {
+      sections[current].push(line);
+    }
+  });
+
+  return sections;
+};
+
+const parseContact = (text, headerLines) => {
+  const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+  const email = text.match(EMAIL)?.[0];
+
+  // 9-15 digits keeps year ranges like 2012-2016 out
+  const phone = [...text.matchAll(/(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{2,4}[\s.-]\d{3,4}(?:[\s.-]?\d{3,4})?/g)]
+    .map(match => match[0])
+    .find(candidate => {
+      const digits = candidate.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15;
+    });
+
+  const urls = (text.replace(EMAIL, ' ').match(/(?:https?:\/\/)?(?:www\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?:\/[^\s,;)|]*)?/gi) || [])
+    .filter(isWebAddress)
+    .map(url => (/^https?:\/\//i.test(url) ? url : `https://${url}`));
+
+  const linkedinUrl = urls.find(url => /linkedin\.com\/in\//i.test(url));
+  const githubUrl = urls.find(url => /github\.com\/[\w-]+/i.test(url));
+  const portfolioUrl = urls.find(url =>
+    url !== linkedinUrl && url !== githubUrl && /^https?:\/\/[^/]+\.[a-z]{2,}/i.test(url) &&
+    !/linkedin\.com|github\.com/i.test(url));
+
+  // A short line of capitalized words at the top is almost always the name
+  const name = headerLines.find(line =>
+    /^[A-Z][a-zA-Z'’-]+(?:\s+[A-Z][a-zA-Z'’.-]+){1,3}$/.test(line) && !TITLE_WORDS.test(line));
+
+  return { name, email, phone, linkedinUrl, githubUrl, portfolioUrl };
+};
+
+export const extractSkills = (text) =>
+  SKILL_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ name }) => name);
+
+const parseEducation = (lines) => {
+  const entries = [];
+  let entry = null;
+
+  const startEntry = () => {
+    entry = {};
+    entries.push(entry);
+  };
+
+  lines.forEach(line => {
+    const text = line.replace(BULLET, '');
+    const institution = INSTITUTION_PATTERN.test(text);
+    const degree = text.match(DEGREE_PATTERN);
+    const range = parseDateRange(text);
+    const year = !range && text.match(/\b(19|20)\d{2}\b/);
+
+    if (!entry || (institution && entry.institution) || (degree && entry.degree && !institution)) {
+      if (!institution && !degree) return;
+      startEntry();
+    }
+
+    if (institution && !entry.institution) {
+      entry.institution = clip(text.split(/\s[-–—|,]\s|,\s(?=\d)/)[0].replace(DATE_RANGE, ''), 100);
+    }
+
+    if (degree && !entry.degree) {
+      entry.degree = clip(degree[0], 100);
+      const field = text.slice(degree.index + degree[0].length).match(/^\s*(?:in|of|,|-|–)\s*([A-Za-z &]+)/);
+      if (field) entry.field = clip(field[1], 100);
+    }
+
+    if (range) {
+      entry.startYear = range.start?.getUTCFullYear();
+      entry.endYear = range.end?.getUTCFullYear();
+      entry.current = range.current;
+    } else if (year && !entry.endYear) {
+      entry.endYear = Number(year[0]);
+    }
+  });
+
+  return entries.filter(item => item.institution || item.degree).map(compact);
+};
+
+const splitTitle = (header) => {
+  const parts = header.split(/\s+(?:at|@)\s+|\s*[|,–—]\s*|\s+-\s+/).map(part => part.trim()).filter(Boolean);
+  if (parts.length < 2) {
+    return TITLE_WORDS.test(header) ? { position: header } : { company: header };
+  }
+
+  const [first, second] = parts;
+  return TITLE_WORDS.test(second) && !TITLE_WORDS.test(first)
+    ? { position: second, company: first }
+    : { position: first, company: second };
+};
+
+const parseExperience = (lines) => {
+  const entries = [];
+  // Collects the lines before the first date range
+  let entry = { lines: [] };
+
+  lines.forEach(line => {
+    const range = parseDateRange(line);
+
+    if (range) {
+      // Header lines right above the dates belong to the new entry, not the last one
+      const header = [];
+      const previous = entry.lines;
+      while (previous.length && header.length < 2 && !BULLET.test(previous[previous.length - 1]) &&
+        previous[previous.length - 1].length <= 80) {
+        header.unshift(previous.pop());
+      }
+      if (range.rest) header.push(range.rest);
+
+      entry = { range, header, lines: [] };
+      entries.push(entry);
+    } else {
+      entry.lines.push(line);
+    }
+  });
+
+  return entries.map(({ range, header, lines: body }) => {
+    const { position, company } = header.length >= 2
+      ? (TITLE_WORDS.test(header[1]) && !TITLE_WORDS.test(header[0])
+        ? { position: header[1], company: header[0] }
+        : { position: header[0], company: header[1] })
+      : splitTitle(header[0] || '');
+
+    return compact({
+      company: clip(company, 100),
+      position: clip(position, 100),
+      startDate: range.start?.toISOString(),
+      endDate: range.end?.toISOString(),
+      current: range.current,
+      description: clip(body.map(line => line.replace(BULLET, '')).join('\n'), 2000)
+    });
+  }).filter(item => item.company || item.position);
+};
+
+export const parseResumeText = (text) => {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  const sections = splitSections(lines);
+
+  return {
+    contact: parseContact(text, sections.header.slice(0, 5)),
+    skills: extractSkills(text),
+    education: parseEducation(sections.education),
+    experience: parseExperience(sections.experience)
+  };
+};
+
+// Turns parsed resume data into a PUT /api/users/me `updates` object that only
+// adds what the profile doesn't already have. Existing values are never replaced.
+export const proposeProfileUpdates = (user, parsed) => {
+  const profile = user.profile || {};
+  const updates = { profile: {} };
+
+  const known = new Set((profile.skills || []).map(normalizeSkill));
+  const skills = parsed.skills.filter(skill => !known.has(normalizeSkill(skill)));
+  if (skills.length > 0) updates.profile.skills = { add: skills };
+
+  const sameText = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+  const education = parsed.education.filter(entry =>
+    !(profile.education || []).some(existing =>
+      sameText(existing.institution, entry.institution) && sameText(existing.degree, entry.degree)));
+  if (education.length > 0) updates.profile.education = { add: education };
+
+  const experience = parsed.experience.filter(entry =>
+    !(profile.experience || []).some(existing =>
+      sameText(existing.company, entry.company) && sameText(existing.position, entry.position)));
+  if (experience.length > 0) updates.profile.experience = { add: experience };
+
+  ['linkedinUrl', 'githubUrl', 'portfolioUrl'].forEach(field => {
+    if (parsed.contact[field] && !profile[field]) updates.profile[field] = parsed.contact[field];
+  });
+
+  return Object.keys(updates.profile).length > 0 ? updates : {};
+};
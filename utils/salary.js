@@ -0,0 +1,118 @@
+// Parses the free-text Job.salary field ("$80,000 - $100,000", "$25 - $30/hour",
+// "KES 150k per month") into structured values, and annualizes them so jobs paid
+// hourly, monthly and yearly can be filtered together.
+
+export const SALARY_PERIODS = ['hour', 'day', 'week', 'month', 'year'];
+
+// Typical full-time working units per year
+const PERIODS_PER_YEAR = {
+  hour: 2080,
+  day: 260,
+  week: 52,
+  month: 12,
+  year: 1
+};
+
+// Checked in order - multi-character symbols before the bare ones they contain
+const CURRENCY_SYMBOLS = [
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['US$', 'USD'],
+  ['KSh', 'KES'],
+  ['Ksh', 'KES'],
+  ['$', 'USD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['₹', 'INR'],
+  ['₦', 'NGN'],
+  ['¥', 'JPY']
+];
+
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'KES', 'NGN', 'ZAR', 'INR', 'JPY', 'CHF'];
+
+const PERIOD_PATTERNS = [
+  ['hour', /(\/|\bper\s+|\ban?\s+)(hour|hr|h)\b|\bhourly\b/i],
+  ['day', /(\/|\bper\s+|\ban?\s+)day\b|\bdaily\b/i],
+  ['week', /(\/|\bper\s+|\ban?\s+)(week|wk)\b|\bweekly\b/i],
+  ['month', /(\/|\bper\s+|\ban?\s+)(month|mo)\b|\bmonthly\b|\bp\.?m\.?$/i],
+  ['year', /(\/|\bper\s+|\ban?\s+)(year|yr|annum)\b|\bannual(ly)?\b|\bp\.?a\.?\b|\byearly\b/i]
+];
+
+// "80,000" | "80k" | "1.2M" | "25.50"
+const AMOUNT_PATTERN = /(\d+(?:,\d{3})*(?:\.\d+)?)\s*([kKmM])?\b/g;
+
+const detectCurrency = (text) => {
+  const code = CURRENCY_CODES.find(candidate => new RegExp(`\\b${candidate}\\b`, 'i').test(text));
+  if (code) return code;
+
+  const symbol = CURRENCY_SYMBOLS.find(([candidate]) => text.includes(candidate));
+  return symbol ? symbol[1] : null;
+};
+
+const detectPeriod = (text, amounts) => {
+  const match = PERIOD_PATTERNS.find(([, pattern]) => pattern.test(text));
+  if (match) return match[0];
+
+  // Unlabelled small amounts ("$25 - $30") are almost always hourly rates
+  return Math.max(...amounts) < 1000 ? 'hour' : 'year';
+};
+
+const MULTIPLIERS = { k: 1000, m: 1000000 };
+
+const parseAmounts = (text) => {
+  const amounts = [...text.matchAll(AMOUNT_PATTERN)]
+    .map(([, digits, suffix]) => ({
+      value: parseFloat(digits.replace(/,/g, '')),
+      multiplier: suffix ? MULTIPLIERS[suffix.toLowerCase()] : 1
+    }))
+    .filter(({ value }) => value > 0);
+
+  // "$50 - 60K": the suffix on the upper bound applies to the bare lower bound too,
+  // as long as that keeps it below the upper bound ("$80,000 - 120k" is left alone)
+  const [lower, upper] = amounts;
+  if (lower && upper && lower.multiplier === 1 && upper.multiplier > 1 &&
+      lower.value <= upper.value) {
+    lower.multiplier = upper.multiplier;
+  }
+
+  return amounts.map(({ value, multiplier }) => value * multiplier);
+};
+
+export const annualize = (amount, period) =>
+  amount == null ? null : Math.round(amount * PERIODS_PER_YEAR[period]);
+
+// Returns { min, max, currency, period } or null when no amount can be found
+export const parseSalary = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const amounts = parseAmounts(text).slice(0, 2);
+  if (amounts.length === 0) return null;
+
+  const min = Math.min(...amounts);
+  const max = Math.max(...amounts);
+
+  return {
+    min,
+    max,
+    currency: detectCurrency(text) || 'USD',
+    period: detectPeriod(text, amounts)
+  };
+};
+
+// Field values for the structured salary columns on Job
+export const toSalaryFields = ({ min, max, currency, period }) => ({
+  salaryMin: min,
+  salaryMax: max,
+  salaryCurrency: currency,
+  salaryPeriod: period,
+  salaryAnnualMin: annualize(min, period),
+  salaryAnnualMax: annualize(max ?? min, period)
+});
+
+// Builds a display string for jobs posted with structured values only
+export const formatSalary = ({ min, max, currency, period }) => {
+  const format = (amount) => amount.toLocaleString('en-US');
+  const range = max && max !== min ? `${format(min)} - ${format(max)}` : format(min);
+  return `${currency} ${range}${period === 'year' ? '' : `/${period}`}`;
+};
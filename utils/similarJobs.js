@@ -0,0 +1,104 @@
+import Job from '../models/Job.js';
+import { createCache } from './cache.js';
+import { matchSkills } from './skillMatch.js';
+
+// "Similar jobs" for the job detail page. Candidates sharing a category or a
+// requirement are scored on requirement overlap, title words, category and
+// location. Results are cached per job for a few minutes.
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const CANDIDATE_LIMIT = 200;
+
+const WEIGHTS = {
+  requirements: 45,
+  title: 25,
+  category: 20,
+  location: 10
+};
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'to', 'in', 'at', 'with', 'senior', 'junior', 'jr', 'sr', 'lead', 'i', 'ii', 'iii']);
+
+const cache = createCache({ ttlMs: CACHE_TTL_MS, maxEntries: 1000 });
+
+const titleTerms = (title) =>
+  new Set(
+    (title || '')
+      .toLowerCase()
+      .split(/[^a-z0-9+#]+/)
+      .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+  );
+
+const overlap = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter(item => b.has(item)).length;
+  return shared / Math.min(a.size, b.size);
+};
+
+const sameCity = (a, b) => {
+  const city = (location) => (location || '').split(',')[0].trim().toLowerCase();
+  return Boolean(city(a)) && city(a) === city(b);
+};
+
+// Same employer reposting the same role - not worth showing as "similar"
+const isDuplicatePosting = (job, candidate) =>
+  candidate.employerId === job.employerId &&
+  candidate.title.trim().toLowerCase() === job.title.trim().toLowerCase();
+
+const scoreCandidate = (job, candidate, jobTerms) => {
+  const { matched } = matchSkills(candidate.requirements, job.requirements);
+  const requirementScore = job.requirements.length > 0 ? matched.length / job.requirements.length : 0;
+  const titleScore = overlap(jobTerms, titleTerms(candidate.title));
+
+  const score =
+    requirementScore * WEIGHTS.requirements +
+    titleScore * WEIGHTS.title +
+    (candidate.category === job.category ? WEIGHTS.category : 0) +
+    (sameCity(job.location, candidate.location) || (job.isRemote && candidate.isRemote) ? WEIGHTS.location : 0);
+
+  return {
+    score: Math.round(score),
+    sharedRequirements: matched
+  };
+};
+
+const findSimilar = async (job, limit) => {
+  const candidates = await Job.find(Job.publicFilter({
+    _id: { $ne: job._id },
+    $or: [
+      { category: job.category },
+      { requirements: { $in: job.requirements } }
+    ]
+  }))
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_LIMIT);
+
+  const jobTerms = titleTerms(job.title);
+  const seen = new Set();
+
+  return candidates
+    .filter(candidate => !isDuplicatePosting(job, candidate))
+    .map(candidate => ({ job: candidate, ...scoreCandidate(job, candidate, jobTerms) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || b.job.createdAt - a.job.createdAt)
+    // Collapse an employer's reposts of one role into a single result
+    .filter(({ job: candidate }) => {
+      const key = `${candidate.employerId}:${candidate.title.trim().toLowerCase()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+};
+
+export const getSimilarJobs = async (job, limit = 6) => {
+  const key = `${job._id}:${limit}`;
+  const cached = cache.get(key);
+  if (cached) return { results: cached, cached: true };
+
+  const results = await findSimilar(job, limit);
+  cache.set(key, results);
+  return { results, cached: false };
+};
+
+// Called whenever a job is created, edited or taken down - any cached list may include it
+export const clearSimilarJobsCache = () => cache.clear();
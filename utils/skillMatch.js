@@ -0,0 +1,38 @@
+// Fuzzy comparison of free-text skills ("React.js" vs "react", "Node" vs "Node.js"),
+// shared by recommendations, similar jobs and applicant match scores.
+
+export const normalizeSkill = (skill) =>
+  String(skill || '')
+    .toLowerCase()
+    .replace(/\.js\b/g, '')
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .trim();
+
+// Distinct normalized skills, as stored in User.skillKeys for database-side matching
+export const skillKeys = (skills = []) => [...new Set(skills.map(normalizeSkill).filter(Boolean))];
+
+const skillsMatch = (a, b) => {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  // "rest api" matches "api", "aws lambda" matches "aws" - whole words only
+  const [shorter, longer] = a.length < b.length ? [a, b] : [b, a];
+  return shorter.length > 1 && ` ${longer} `.includes(` ${shorter} `);
+};
+
+// Splits `requirements` into the ones covered by `skills` and the rest
+export const matchSkills = (skills = [], requirements = []) => {
+  const normalizedSkills = skills.map(normalizeSkill).filter(Boolean);
+  const matched = [];
+  const missing = [];
+
+  requirements.forEach(requirement => {
+    const normalized = normalizeSkill(requirement);
+    if (normalizedSkills.some(skill => skillsMatch(skill, normalized))) {
+      matched.push(requirement);
+    } else {
+      missing.push(requirement);
+    }
+  });
+
+  return { matched, missing };
+};
@@ -0,0 +1,173 @@
+// Bundled skills dictionary for resume parsing (utils/resumeParser.js).
+// `name` is what ends up in profile.skills; aliases are other spellings found in
+// resumes. Ambiguous everyday words ("Go", "R", "Swift" alone) are left out or
+// only listed under unambiguous aliases.
+
+const skillsDictionary = [
+  // Languages
+  { name: 'JavaScript', aliases: ['JS', 'ECMAScript', 'ES6'] },
+  { name: 'TypeScript' },
+  { name: 'Python' },
+  { name: 'Java' },
+  { name: 'C#', aliases: ['C Sharp'] },
+  { name: 'C++', aliases: ['CPP'] },
+  { name: 'Go', aliases: ['Golang'] },
+  { name: 'Rust' },
+  { name: 'Ruby' },
+  { name: 'PHP' },
+  { name: 'Kotlin' },
+  { name: 'Swift', aliases: ['SwiftUI'] },
+  { name: 'Objective-C' },
+  { name: 'Scala' },
+  { name: 'Elixir' },
+  { name: 'Dart' },
+  { name: 'Perl' },
+  { name: 'MATLAB' },
+  { name: 'Bash', aliases: ['Shell scripting'] },
+  { name: 'PowerShell' },
+  { name: 'SQL' },
+  { name: 'HTML', aliases: ['HTML5'] },
+  { name: 'CSS', aliases: ['CSS3'] },
+  { name: 'Sass', aliases: ['SCSS'] },
+
+  // Frontend
+  { name: 'React', aliases: ['React.js', 'ReactJS'] },
+  { name: 'React Native' },
+  { name: 'Next.js', aliases: ['NextJS'] },
+  { name: 'Vue.js', aliases: ['Vue', 'VueJS'] },
+  { name: 'Nuxt.js', aliases: ['Nuxt'] },
+  { name: 'Angular', aliases: ['AngularJS'] },
+  { name: 'Svelte' },
+  { name: 'Redux' },
+  { name: 'jQuery' },
+  { name: 'Tailwind CSS', aliases: ['Tailwind'] },
+  { name: 'Bootstrap' },
+  { name: 'Webpack' },
+  { name: 'Vite' },
+  { name: 'Flutter' },
+
+  // Backend
+  { name: 'Node.js', aliases: ['Node', 'NodeJS'] },
+  { name: 'Express', aliases: ['Express.js', 'ExpressJS'] },
+  { name: 'NestJS' },
+  { name: 'Django' },
+  { name: 'Flask' },
+  { name: 'FastAPI' },
+  { name: 'Spring Boot', aliases: ['Spring'] },
+  { name: 'Ruby on Rails', aliases: ['Rails'] },
+  { name: 'Laravel' },
+  { name: '.NET', aliases: ['ASP.NET', 'dotnet', '.NET Core'] },
+  { name: 'GraphQL' },
+  { name: 'REST APIs', aliases: ['REST', 'RESTful'] },
+  { name: 'gRPC' },
+  { name: 'Microservices' },
+
+  // Data stores
+  { name: 'MongoDB', aliases: ['Mongo', 'Mongoose'] },
+  { name: 'PostgreSQL', aliases: ['Postgres'] },
+  { name: 'MySQL' },
+  { name: 'SQLite' },
+  { name: 'Redis' },
+  { name: 'Elasticsearch' },
+  { name: 'DynamoDB' },
+  { name: 'Cassandra' },
+  { name: 'Oracle Database', aliases: ['Oracle'] },
+  { name: 'SQL Server', aliases: ['MSSQL'] },
+  { name: 'Firebase' },
+  { name: 'Kafka', aliases: ['Apache Kafka'] },
+  { name: 'RabbitMQ' },
+
+  // Cloud and DevOps
+  { name: 'AWS', aliases: ['Amazon Web Services'] },
+  { name: 'Azure', aliases: ['Microsoft Azure'] },
+  { name: 'Google Cloud', aliases: ['GCP', 'Google Cloud Platform'] },
+  { name: 'Docker' },
+  { name: 'Kubernetes', aliases: ['K8s'] },
+  { name: 'Terraform' },
+  { name: 'Ansible' },
+  { name: 'Jenkins' },
+  { name: 'GitHub Actions' },
+  { name: 'GitLab CI' },
+  { name: 'CI/CD' },
+  { name: 'Linux' },
+  { name: 'Nginx' },
+  { name: 'Git' },
+  { name: 'Serverless', aliases: ['AWS Lambda', 'Lambda'] },
+
+  // Data and ML
+  { name: 'Machine Learning', aliases: ['ML'] },
+  { name: 'Deep Learning' },
+  { name: 'TensorFlow' },
+  { name: 'PyTorch' },
+  { name: 'scikit-learn', aliases: ['sklearn'] },
+  { name: 'Pandas' },
+  { name: 'NumPy' },
+  { name: 'Spark', aliases: ['Apache Spark', 'PySpark'] },
+  { name: 'Hadoop' },
+  { name: 'Data Analysis', aliases: ['Data Analytics'] },
+  { name: 'Data Visualization' },
+  { name: 'Tableau' },
+  { name: 'Power BI' },
+  { name: 'Excel', aliases: ['Microsoft Excel', 'MS Excel'] },
+  { name: 'Statistics' },
+  { name: 'NLP', aliases: ['Natural Language Processing'] },
+  { name: 'Computer Vision' },
+
+  // Testing
+  { name: 'Jest' },
+  { name: 'Mocha' },
+  { name: 'Cypress' },
+  { name: 'Selenium' },
+  { name: 'Playwright' },
+  { name: 'Unit Testing' },
+  { name: 'Test Automation' },
+
+  // Design
+  { name: 'Figma' },
+  { name: 'Sketch' },
+  { name: 'Adobe Photoshop', aliases: ['Photoshop'] },
+  { name: 'Adobe Illustrator', aliases: ['Illustrator'] },
+  { name: 'Adobe XD' },
+  { name: 'UI Design', aliases: ['User Interface Design'] },
+  { name: 'UX Design', aliases: ['User Experience', 'UX Research'] },
+  { name: 'Wireframing' },
+  { name: 'Prototyping' },
+
+  // Business, marketing and management
+  { name: 'Project Management' },
+  { name: 'Product Management' },
+  { name: 'Agile' },
+  { name: 'Scrum' },
+  { name: 'Kanban' },
+  { name: 'Jira' },
+  { name: 'SEO', aliases: ['Search Engine Optimization'] },
+  { name: 'Content Marketing' },
+  { name: 'Digital Marketing' },
+  { name: 'Social Media Marketing' },
+  { name: 'Google Analytics' },
+  { name: 'Salesforce' },
+  { name: 'HubSpot' },
+  { name: 'CRM' },
+  { name: 'Sales' },
+  { name: 'Customer Service', aliases: ['Customer Support'] },
+  { name: 'Accounting' },
+  { name: 'Financial Analysis', aliases: ['Financial Modeling'] },
+  { name: 'QuickBooks' },
+  { name: 'Copywriting' },
+  { name: 'Public Speaking' },
+  { name: 'Leadership', aliases: ['Team Leadership'] },
+  { name: 'Communication', aliases: ['Communication Skills'] },
+
+  // Security
+  { name: 'Cybersecurity', aliases: ['Information Security', 'InfoSec'] },
+  { name: 'Penetration Testing' },
+  { name: 'OAuth' },
+
+  // Healthcare and education
+  { name: 'Patient Care' },
+  { name: 'Nursing' },
+  { name: 'Curriculum Development' },
+  { name: 'Teaching' }
+];
+
+export default skillsDictionary;
@@ -0,0 +1,39 @@
+import { createLocalStorage } from './local.js';
+
+// Pluggable file storage. Every driver implements:
+//   put(key, buffer, { contentType })  store a file
+//   get(key)                           readable stream (rejects if missing)
+//   remove(key)                        delete, no error if already gone
+//
+// STORAGE_DRIVER picks the driver: local (default) or s3.
+
+let storage;
+
+export const getStorage = async () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+
+    if (driver === 'local') {
+      storage = createLocalStorage();
+    } else if (driver === 's3') {
+      const { createS3Storage } = await import('./s3.js');
+      storage = await createS3Storage();
+    } else {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+  }
+  return storage;
+};
+
+// For tests and scripts that need a specific driver
+export const setStorage = (driver) => {
+  storage = driver;
+};
+
+// Whole file as a Buffer (resume parsing and other small files)
+export const readFile = async (key) => {
+  const stream = await (await getStorage()).get(key);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
@@ -0,0 +1,36 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+// Default storage driver: files live under UPLOAD_DIR (default uploads/)
+
+export const createLocalStorage = ({ root = process.env.UPLOAD_DIR || 'uploads' } = {}) => {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    // Keys are generated server-side, but never let one escape the upload root
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(file, buffer);
+    },
+
+    async get(key) {
+      const file = resolve(key);
+      await fsp.access(file);
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      await fsp.rm(resolve(key), { force: true });
+    }
+  };
+};
@@ -0,0 +1,49 @@
+// Optional S3-compatible driver (AWS S3, MinIO, R2, ...). The AWS SDK is not a
+// dependency of this project - install @aws-sdk/client-s3 to use it.
+
+export const createS3Storage = async ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT
+} = {}) => {
+  let sdk;
+  try {
+    sdk = await import('@aws-sdk/client-s3');
+  } catch {
+    throw new Error('STORAGE_DRIVER=s3 needs the @aws-sdk/client-s3 package (npm install @aws-sdk/client-s3)');
+  }
+
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for STORAGE_DRIVER=s3');
+  }
+
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = sdk;
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    // Most S3-compatible servers don't support virtual-hosted bucket names
+    forcePathStyle: Boolean(endpoint),
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+    },
+
+    async get(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Body;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
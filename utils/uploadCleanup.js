@@ -0,0 +1,76 @@
+import Upload, { ATTACHMENT_CLAIM_WINDOW_MS } from '../models/Upload.js';
+import { getStorage } from './storage/index.js';
+
+// Removes contact attachments nobody claimed with POST /api/contact. Anyone can
+// upload them, so without this abandoned files would pile up in storage.
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+// An hour past the claim window, so an inquiry submitted right at the deadline
+// keeps its files
+const GRACE_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+let timer = null;
+let running = false;
+
+export const removeUnclaimedAttachments = async (now = new Date()) => {
+  const stats = { removed: 0, failed: 0 };
+  const cutoff = new Date(now.getTime() - ATTACHMENT_CLAIM_WINDOW_MS - GRACE_MS);
+
+  const expired = await Upload.find({
+    kind: 'contact_attachment',
+    contactId: { $exists: false },
+    createdAt: { $lte: cutoff }
+  }).limit(BATCH_SIZE);
+
+  const storage = await getStorage();
+
+  for (const upload of expired) {
+    try {
+      // Only if it still wasn't claimed in the meantime
+      const { deletedCount } = await Upload.deleteOne({ _id: upload._id, contactId: { $exists: false } });
+      if (deletedCount === 0) continue;
+
+      await storage.remove(upload.storageKey);
+      stats.removed += 1;
+    } catch (error) {
+      console.error(`❌ Failed to remove unclaimed attachment ${upload._id}:`, error.message);
+      stats.failed += 1;
+    }
+  }
+
+  if (stats.removed > 0 || stats.failed > 0) {
+    console.log(`🧹 Upload cleanup: removed ${stats.removed} unclaimed attachments, failed ${stats.failed}`);
+  }
+
+  return stats;
+};
+
+const tick = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await removeUnclaimedAttachments();
+  } catch (error) {
+    console.error('❌ Upload cleanup error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+export const startUploadCleanup = ({ intervalMs } = {}) => {
+  if (timer) return;
+
+  const interval = intervalMs || parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS;
+  timer = setInterval(tick, interval);
+  // Don't keep scripts or tests alive just for the scheduler
+  timer.unref();
+
+  console.log(`🧹 Upload cleanup running every ${Math.round(interval / 60000)}min`);
+};
+
+export const stopUploadCleanup = () => {
+  clearInterval(timer);
+  timer = null;
+};
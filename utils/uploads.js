@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import multer from 'multer';
+
+// Upload rules per kind: allowed file types and size limits. A file is only
+// accepted when both its declared MIME type and its leading bytes match one of
+// the kind's types, so a renamed executable can't pass as a PDF.
+
+const MB = 1024 * 1024;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (text) => [...Buffer.from(text, 'latin1')];
+
+export const FILE_TYPES = {
+  pdf: {
+    mime: 'application/pdf',
+    ext: '.pdf',
+    matches: (buffer) => startsWith(buffer, ascii('%PDF-'))
+  },
+  docx: {
+    mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    ext: '.docx',
+    // A zip archive with a word/ folder (xlsx/pptx share the zip header)
+    matches: (buffer) => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) && buffer.includes('word/')
+  },
+  png: {
+    mime: 'image/png',
+    ext: '.png',
+    matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+  },
+  jpeg: {
+    mime: 'image/jpeg',
+    ext: '.jpg',
+    matches: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff])
+  },
+  webp: {
+    mime: 'image/webp',
+    ext: '.webp',
+    matches: (buffer) => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)
+  },
+  txt: {
+    mime: 'text/plain',
+    ext: '.txt',
+    // No magic number - reject anything with NUL bytes near the start
+    matches: (buffer) => !buffer.subarray(0, 8192).includes(0)
+  }
+};
+
+export const UPLOAD_RULES = {
+  resume: { types: ['pdf', 'docx'], maxBytes: 5 * MB },
+  logo: { types: ['png', 'jpeg', 'webp'], maxBytes: 2 * MB },
+  contact_attachment: { types: ['pdf', 'docx', 'png', 'jpeg', 'txt'], maxBytes: 10 * MB }
+};
+
+// Returns the FILE_TYPES key for an accepted file, or null
+export const detectFileType = (kind, { mimetype, buffer }) =>
+  UPLOAD_RULES[kind].types.find(type =>
+    FILE_TYPES[type].mime === mimetype && FILE_TYPES[type].matches(buffer)) || null;
+
+export const allowedMimeTypes = (kind) => UPLOAD_RULES[kind].types.map(type => FILE_TYPES[type].mime);
+
+// Multer instance holding the single `file` field in memory for validation
+export const uploadMiddleware = (kind) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_RULES[kind].maxBytes, files: 1 }
+}).single('file');
+
+export const storageKeyFor = (kind, type, now = new Date()) => {
+  const month = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+  return `${kind}/${month}/${crypto.randomBytes(16).toString('hex')}${FILE_TYPES[type].ext}`;
+};
+
+// Signed, time-limited download URLs
+
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+
+let fallbackSecret;
+
+const signingSecret = () => {
+  if (process.env.UPLOAD_SIGNING_SECRET) return process.env.UPLOAD_SIGNING_SECRET;
+
+  if (!fallbackSecret) {
+    // Links signed with this stop working when the process restarts
+    console.warn('⚠️  UPLOAD_SIGNING_SECRET not set - using a temporary signing secret');
+    fallbackSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return fallbackSecret;
+};
+
+const computeDownloadSignature = (id, expires) =>
+  crypto.createHmac('sha256', signingSecret()).update(`${id}.${expires}`).digest('hex');
+
+export const signDownloadUrl = (upload, { ttlSeconds = DEFAULT_URL_TTL_SECONDS, baseUrl = '' } = {}) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const signature = computeDownloadSignature(upload._id.toString(), expires);
+
+  return {
+    url: `${baseUrl}/api/uploads/${upload._id}/download?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+export const verifyDownloadSignature = (id, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || !signature || expiresAt < Math.floor(Date.now() / 1000)) return false;
+
+  const expected = Buffer.from(computeDownloadSignature(id, expiresAt));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// Claim tokens for contact attachments. They are uploaded before the inquiry
+// exists, often anonymously, so POST /api/contact takes the token handed to the
+// uploader rather than the bare upload ID (which e.g. download links reveal).
+
+const computeClaimSignature = (id, uploadedBy) =>
+  crypto.createHmac('sha256', signingSecret()).update(`claim.${id}.${uploadedBy || ''}`).digest('hex');
+
+export const signClaimToken = (upload) =>
+  `${upload._id}.${computeClaimSignature(upload._id.toString(), upload.uploadedBy)}`;
+
+// The upload ID a claim token is for, or null if it isn't shaped like one
+export const claimTokenUploadId = (token) => {
+  const match = typeof token === 'string' && token.match(/^([a-f0-9]{24})\.[a-f0-9]{64}$/);
+  return match ? match[1] : null;
+};
+
+export const verifyClaimToken = (upload, token) => {
+  const expected = Buffer.from(signClaimToken(upload));
+  const received = Buffer.from(String(token));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};